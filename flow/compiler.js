@@ -168,6 +168,7 @@ declare type ASTElement = {
   directives?: Array<ASTDirective>;
 
   forbidden?: true;
+  fragment?: true; // synthetic root of multiple root elements
   once?: true;
   onceProcessed?: boolean;
   wrapData?: (code: string) => string;
@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/reactivity/effect-scope'
 
 declare interface Component {
   // constructor information
@@ -71,6 +72,9 @@ declare interface Component {
   _staticTrees: ?Array<VNode>; // v-once cached trees
   _hasHookEvent: boolean;
   _provided: ?Object;
+  _setupState: ?Object;
+  _setupPromise: ?Promise<any>;
+  _scope: EffectScope;
   // _virtualComponents?: { [key: string]: Component };
 
   // private methods
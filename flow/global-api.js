@@ -1,5 +1,6 @@
 declare interface GlobalAPI {
   cid: number;
+  version: string;
   options: Object;
   config: Config;
   util: Object;
@@ -18,6 +19,83 @@ declare interface GlobalAPI {
 
   observable: <T>(value: T) => T;
 
+  // standalone reactivity API
+  reactive: <T>(value: T) => T;
+  isReactive: (value: any) => boolean;
+  toRaw: <T>(value: T) => T;
+  ref: (value: any) => { value: any };
+  isRef: (value: any) => boolean;
+  unref: (value: any) => any;
+  computed: (getterOrOptions: Function | Object) => { value: any };
+  watch: (source: any, cb: Function, options?: Object) => Function;
+  watchEffect: (effect: Function, options?: Object) => Function;
+  effectScope: (detached?: boolean) => Object;
+  getCurrentScope: () => ?Object;
+  onScopeDispose: (fn: Function) => void;
+
+  // setup() lifecycle registration
+  getCurrentInstance: () => ?Component;
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeUnmount: (fn: Function) => void;
+  onUnmounted: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onServerPrefetch: (fn: Function) => void;
+  onRenderTracked: (fn: Function) => void;
+  onRenderTriggered: (fn: Function) => void;
+
+  profiler: {
+    start: () => void;
+    stop: () => Array<Object>;
+    isRecording: () => boolean;
+    summary: () => Array<Object>;
+    exportTrace: () => string;
+  };
+
+  devtools: {
+    version: number;
+    setHook: (hook: ?{ emit: Function }) => void;
+    getComponentTree: () => Array<Object>;
+    inspect: (uid: string | number) => ?Object;
+  };
+
+  // per-app configuration
+  createApp: (rootOptions?: Object) => App;
+
   // allow dynamic method registration
   [key: string]: any
 };
+
+declare type AppConfig = {
+  errorHandler: ?(err: Error, vm: Component, info: string) => void;
+  warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+  globalProperties: { [key: string]: any };
+};
+
+declare type AppContext = {
+  config: AppConfig;
+  mixin: ?Object;
+  provides: Object;
+  components: Object;
+  directives: Object;
+  filters: Object;
+};
+
+declare interface App {
+  version: string;
+  config: AppConfig;
+  _context: AppContext;
+
+  use: (plugin: Function | Object) => App;
+  mixin: (mixin: Object) => App;
+  provide: (key: string | Symbol, value: any) => App;
+  component: (id: string, def?: Class<Component> | Object) => App | Class<Component> | void;
+  directive: (id: string, def?: Function | Object) => App | Object | void;
+  filter: (id: string, def?: Function) => App | Function | void;
+  mount: (el?: string | Element, hydrating?: boolean) => Component;
+  unmount: () => void;
+}
@@ -24,6 +24,7 @@ declare type ComponentOptions = {
   };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
+  setup?: Array<(props: Object, context: Object) => ?Object | Function>;
 
   // DOM
   el?: string | Element;
@@ -45,6 +46,9 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  serverPrefetchTimeout?: number;
+  renderTracked?: Function;
+  renderTriggered?: Function;
 
   // assets
   directives?: { [key: string]: Object };
@@ -70,11 +74,13 @@ declare type ComponentOptions = {
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  hydrate?: HydrationStrategy;
 
   // private
   _isComponent?: true;
   _propKeys?: Array<string>;
   _parentVnode?: VNode;
+  _appContext?: AppContext;
   _parentListeners?: ?Object;
   _renderChildren?: ?Array<VNode>;
   _componentTag: ?string;
@@ -82,6 +88,13 @@ declare type ComponentOptions = {
   _base: Class<Component>;
 };
 
+declare type HydrationStrategy =
+  | 'visible'
+  | 'idle'
+  | 'never'
+  | { on: string | Array<string> }
+  | (hydrate: () => void, el: Element) => ?Function;
+
 declare type PropOptions = {
   type: Function | Array<Function> | null;
   default: any;
@@ -8,12 +8,18 @@ declare type VNodeComponentOptions = {
   tag?: string;
 };
 
+declare type TeleportOptions = {
+  to: string | Node;
+  disabled: boolean;
+};
+
 declare type MountedComponentVNode = {
   context: Component;
   componentOptions: VNodeComponentOptions;
   componentInstance: Component;
   parent: VNode;
   data: VNodeData;
+  lazyHydration?: ?LazyHydration;
 };
 
 // interface for vnodes in update modules
@@ -36,6 +42,7 @@ declare interface VNodeData {
   key?: string | number;
   slot?: string;
   ref?: string;
+  refInFor?: boolean;
   is?: string;
   pre?: boolean;
   tag?: string;
@@ -58,6 +65,7 @@ declare interface VNodeData {
   };
   directives?: Array<VNodeDirective>;
   keepAlive?: boolean;
+  keepAliveInfo?: KeepAliveInfo;
   scopedSlots?: { [key: string]: Function };
   model?: {
     value: any;
@@ -77,3 +85,16 @@ declare type VNodeDirective = {
 };
 
 declare type ScopedSlotsData = Array<{ key: string, fn: Function } | ScopedSlotsData>;
+
+// passed to the activated/deactivated hooks of kept-alive components
+declare type KeepAliveInfo = {
+  key: string;
+  fromCache?: boolean;
+};
+
+// deferred hydration of a server-rendered component, moved to the latest
+// placeholder vnode when its parent re-renders
+declare type LazyHydration = {
+  vnode: Object;
+  teardown: ?Function;
+};
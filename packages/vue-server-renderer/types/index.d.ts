@@ -1,10 +1,33 @@
 import Vue, { VNode, VNodeDirective } from 'vue';
 import { Readable } from 'stream';
+import { EventEmitter } from 'events';
 
 export declare function createRenderer(options?: RendererOptions): Renderer;
 
 export declare function createBundleRenderer(bundle: string | object, options?: BundleRendererOptions): BundleRenderer;
 
+export declare function createRenderCache(options?: RenderCacheOptions): LRURenderCache;
+
+// structural subsets of the AsyncIterable and ReadableStream types of the
+// esnext.asynciterable and dom libs, which projects may not compile with
+export interface SSRAsyncIterable<T> {
+  [Symbol.asyncIterator](): SSRAsyncIterator<T>;
+}
+
+export interface SSRAsyncIterator<T> {
+  next(): Promise<{ done: boolean; value: T }>;
+  return?(): Promise<{ done: boolean; value: T }>;
+}
+
+export interface SSRReadableStream<R> {
+  readonly locked: boolean;
+  cancel(reason?: any): Promise<void>;
+  getReader(): {
+    read(): Promise<{ done: boolean; value: R }>;
+    releaseLock(): void;
+  };
+}
+
 type RenderCallback = (err: Error | null, html: string) => void;
 
 interface Renderer {
@@ -14,15 +37,35 @@ interface Renderer {
   renderToString(vm: Vue, context: object): Promise<string>;
 
   renderToStream(vm: Vue, context?: object): Readable;
+  renderToAsyncIterable(vm: Vue, context?: object): SSRAsyncIterable<string>;
+  renderToWebStream(vm: Vue, context?: object): SSRReadableStream<Uint8Array>;
+
+  getEarlyResources(context?: object): ResourceHint[];
 }
 
-interface BundleRenderer {
+interface BundleRenderer extends EventEmitter {
   renderToString(callback: RenderCallback): void;
   renderToString(context: object, callback: RenderCallback): void;
   renderToString(): Promise<string>;
   renderToString(context: object): Promise<string>;
 
   renderToStream(context?: object): Readable;
+  renderToAsyncIterable(context?: object): SSRAsyncIterable<string>;
+  renderToWebStream(context?: object): SSRReadableStream<Uint8Array>;
+
+  getEarlyResources(context?: object): ResourceHint[];
+
+  updateBundle(bundle: string | object, clientManifest?: object): void;
+  on(event: 'bundleUpdated', listener: () => void): this;
+}
+
+interface ResourceHint {
+  file: string;
+  href: string;
+  rel: 'preload' | 'prefetch';
+  as: string;
+  type?: string;
+  crossorigin?: boolean;
 }
 
 interface RendererOptions {
@@ -34,17 +77,61 @@ interface RendererOptions {
   directives?: {
     [key: string]: (vnode: VNode, dir: VNodeDirective) => void
   };
+  outOfOrder?: boolean;
+  serverPrefetchTimeout?: number;
+  // context.cspHashes is complete once renderToString is done. Streams only
+  // know the hashes of the out-of-order swap scripts before they start.
+  cspHashes?: boolean;
+  state?: { [contextKey: string]: string | StatePayloadOptions };
+  stateBudget?: number;
+}
+
+interface StatePayloadOptions {
+  windowKey: string;
+  format?: 'script' | 'json';
 }
 
 interface BundleRendererOptions extends RendererOptions {
   clientManifest?: object;
+  criticalCSS?: CriticalCSSOptions;
   serializer?: (state: object) => string;
   runInNewContext?: boolean | 'once';
   basedir?: string;
 }
 
+// only applied by renderToString: streams send the styles before the
+// content they apply to is rendered
+interface CriticalCSSOptions {
+  outputDir?: string;
+  readFile?: (file: string) => string;
+}
+
+interface RenderCacheEntry {
+  html: string;
+  components: Set<Function>;
+  teleports?: { [to: string]: string };
+  renderedAt: number;
+  ttl?: number;
+  staleWhileRevalidate?: number;
+  tags?: string[];
+}
+
 interface RenderCache {
-  get: (key: string, cb?: (res: string) => void) => string | void;
-  set: (key: string, val: string) => void;
-  has?: (key: string, cb?: (hit: boolean) => void) => boolean | void;
+  get: (key: string, cb?: (res: RenderCacheEntry | undefined) => void) => RenderCacheEntry | Promise<RenderCacheEntry | undefined> | void;
+  set: (key: string, entry: RenderCacheEntry, maxAge?: number) => void;
+  has?: (key: string, cb?: (hit: boolean) => void) => boolean | Promise<boolean> | void;
+  purge?: (tags: string | string[]) => void;
+}
+
+interface RenderCacheOptions {
+  max?: number;
+}
+
+interface LRURenderCache extends RenderCache {
+  get: (key: string) => RenderCacheEntry | undefined;
+  has: (key: string) => boolean;
+  purge: (tags: string | string[]) => void;
+  delete: (key: string) => void;
+  clear: () => void;
+  size: () => number;
 }
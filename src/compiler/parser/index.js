@@ -117,22 +117,22 @@ export function parse (
     }
     // tree management
     if (!stack.length && element !== root) {
-      // allow root elements with v-if, v-else-if and v-else
-      if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element)
+      if (root.fragment) {
+        if (element.elseif || element.else) {
+          processIfConditions(element, root)
+        } else {
+          root.children.push(element)
+          element.parent = root
         }
+      } else if (root.if && (element.elseif || element.else)) {
+        // allow root elements with v-if, v-else-if and v-else
         addIfCondition(root, {
           exp: element.elseif,
           block: element
         })
-      } else if (process.env.NODE_ENV !== 'production') {
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+      } else {
+        // multiple root elements are rendered as a fragment
+        root = createFragmentRoot(root, element)
       }
     }
     if (currentParent && !element.forbidden) {
@@ -184,23 +184,6 @@ export function parse (
     }
   }
 
-  function checkRootConstraints (el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
-      warnOnce(
-        `Cannot use <${el.tag}> as component root element because it may ` +
-        'contain multiple nodes.',
-        { start: el.start }
-      )
-    }
-    if (el.attrsMap.hasOwnProperty('v-for')) {
-      warnOnce(
-        'Cannot use v-for on stateful component root element because ' +
-        'it renders multiple elements.',
-        el.rawAttrsMap['v-for']
-      )
-    }
-  }
-
   parseHTML(template, {
     warn,
     expectHTML: options.expectHTML,
@@ -284,9 +267,6 @@ export function parse (
 
       if (!root) {
         root = element
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(root)
-        }
       }
 
       if (!unary) {
@@ -546,6 +526,18 @@ function processIf (el) {
   }
 }
 
+/**
+ * Wrap multiple root elements in a template, so that the render function
+ * returns all of them and the component renders a fragment.
+ */
+function createFragmentRoot (first: ASTElement, second: ASTElement): ASTElement {
+  const root = createASTElement('template', [], undefined)
+  root.fragment = true
+  root.children.push(first, second)
+  first.parent = second.parent = root
+  return root
+}
+
 function processIfConditions (el, parent) {
   const prev = findPrevElement(parent.children)
   if (prev && prev.if) {
@@ -1,5 +1,9 @@
 import KeepAlive from './keep-alive'
+import Teleport from './teleport'
+import Suspense from './suspense'
 
 export default {
-  KeepAlive
+  KeepAlive,
+  Teleport,
+  Suspense
 }
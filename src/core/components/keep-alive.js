@@ -1,9 +1,14 @@
 /* @flow */
 
-import { isRegExp, remove } from 'shared/util'
+import { isRegExp, remove, hasOwn } from 'shared/util'
+import { warn } from 'core/util/index'
 import { getFirstComponentChild } from 'core/vdom/helpers/index'
 
-type VNodeCache = { [key: string]: ?VNode };
+type KeepAliveCacheStrategy = {
+  access?: (key: string) => void;
+  remove?: (key: string) => void;
+  pick: (candidates: Array<string>) => string;
+};
 
 function getComponentName (opts: ?VNodeComponentOptions): ?string {
   return opts && (opts.Ctor.options.name || opts.tag)
@@ -22,30 +27,167 @@ function matches (pattern: string | RegExp | Array<string>, name: string): boole
 }
 
 function pruneCache (keepAliveInstance: any, filter: Function) {
-  const { cache, keys, _vnode } = keepAliveInstance
-  for (const key in cache) {
-    const cachedNode: ?VNode = cache[key]
+  const { cachedVNodes, _vnode } = keepAliveInstance
+  for (const key in cachedVNodes) {
+    const cachedNode: ?VNode = cachedVNodes[key]
     if (cachedNode) {
       const name: ?string = getComponentName(cachedNode.componentOptions)
       if (name && !filter(name)) {
-        pruneCacheEntry(cache, key, keys, _vnode)
+        pruneCacheEntry(keepAliveInstance, key, _vnode)
       }
     }
   }
 }
 
 function pruneCacheEntry (
-  cache: VNodeCache,
+  keepAliveInstance: any,
   key: string,
-  keys: Array<string>,
   current?: VNode
 ) {
-  const cached = cache[key]
-  if (cached && (!current || cached.tag !== current.tag)) {
-    cached.componentInstance.$destroy()
+  const { cachedVNodes, cachedKeys, strategy } = keepAliveInstance
+  const cached = cachedVNodes[key]
+  if (cached) {
+    if (current && cached.componentInstance === current.componentInstance) {
+      // the instance is still rendered: destroy it instead of deactivating
+      // it once it gets switched away, it is not cached again meanwhile
+      (current.data: any).keepAlive = false
+      keepAliveInstance.evictedKey = key
+    } else {
+      cached.componentInstance.$destroy()
+    }
+  }
+  cachedVNodes[key] = null
+  delete keepAliveInstance.accessedAt[key]
+  remove(cachedKeys, key)
+  if (strategy.remove) {
+    strategy.remove(key)
+  }
+}
+
+// evict the entries that have not been rendered for longer than the ttl
+function pruneExpired (keepAliveInstance: any) {
+  const { ttl, cachedKeys, accessedAt, currentKey, _vnode } = keepAliveInstance
+  if (!ttl) {
+    return
+  }
+  const expiry = Date.now() - parseInt(ttl)
+  cachedKeys.slice().forEach(key => {
+    if (key !== currentKey && accessedAt[key] <= expiry) {
+      pruneCacheEntry(keepAliveInstance, key, _vnode)
+    }
+  })
+}
+
+// evict expired entries even if keep-alive does not render again
+function scheduleExpiration (keepAliveInstance: any) {
+  const { ttl, cachedKeys, accessedAt, currentKey } = keepAliveInstance
+  clearTimeout(keepAliveInstance.expirationTimer)
+  if (!ttl) {
+    return
+  }
+  let next = Infinity
+  cachedKeys.forEach(key => {
+    if (key !== currentKey) {
+      next = Math.min(next, accessedAt[key] + parseInt(ttl))
+    }
+  })
+  if (next !== Infinity) {
+    keepAliveInstance.expirationTimer = setTimeout(() => {
+      pruneExpired(keepAliveInstance)
+      scheduleExpiration(keepAliveInstance)
+    }, Math.max(next - Date.now(), 0))
+  }
+}
+
+function getCacheKey (
+  vnode: VNode,
+  componentOptions: VNodeComponentOptions,
+  cacheKey: ?Function
+): string {
+  if (cacheKey) {
+    const key = cacheKey(vnode)
+    if (key != null) {
+      // a different identity must not be patched as the same component
+      if (vnode.key == null) {
+        vnode.key = key
+      }
+      return String(key)
+    }
+  }
+  return vnode.key == null
+    // same constructor may get registered as different local components
+    // so cid alone is not enough (#3269)
+    ? componentOptions.Ctor.cid + (componentOptions.tag ? `::${componentOptions.tag}` : '')
+    : String(vnode.key)
+}
+
+// the time an entry stops being rendered starts its ttl
+function setCurrentKey (keepAliveInstance: any, key: ?string) {
+  const { currentKey, accessedAt } = keepAliveInstance
+  if (key !== currentKey) {
+    if (currentKey != null && currentKey in accessedAt) {
+      accessedAt[currentKey] = Date.now()
+    }
+    keepAliveInstance.currentKey = key
+    keepAliveInstance.evictedKey = null
+  }
+}
+
+/**
+ * Cache strategies decide which entry is evicted once the cache exceeds
+ * `max`. Cached keys are kept ordered from least to most recently used,
+ * the candidates passed to `pick` exclude the entry being rendered.
+ */
+function createLRUStrategy (): KeepAliveCacheStrategy {
+  return {
+    pick: candidates => candidates[0]
+  }
+}
+
+function createLFUStrategy (): KeepAliveCacheStrategy {
+  const counts = Object.create(null)
+  return {
+    access (key) {
+      counts[key] = (counts[key] || 0) + 1
+    },
+    remove (key) {
+      delete counts[key]
+    },
+    // the least frequently used entry, the least recently used among equals
+    pick (candidates) {
+      let victim = candidates[0]
+      for (let i = 1; i < candidates.length; i++) {
+        if (counts[candidates[i]] < counts[victim]) {
+          victim = candidates[i]
+        }
+      }
+      return victim
+    }
   }
-  cache[key] = null
-  remove(keys, key)
+}
+
+const builtInStrategies = {
+  lru: createLRUStrategy,
+  lfu: createLFUStrategy
+}
+
+function resolveStrategy (
+  strategy: ?string | KeepAliveCacheStrategy
+): KeepAliveCacheStrategy {
+  if (strategy && typeof strategy === 'object') {
+    return strategy
+  }
+  const name = (strategy || 'lru').toLowerCase()
+  if (hasOwn(builtInStrategies, name)) {
+    return builtInStrategies[name]()
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid keep-alive cache strategy: "${String(strategy)}". ` +
+      `Expected "lru", "lfu" or an object implementing pick().`
+    )
+  }
+  return createLRUStrategy()
 }
 
 const patternTypes: Array<Function> = [String, RegExp, Array]
@@ -57,17 +199,27 @@ export default {
   props: {
     include: patternTypes,
     exclude: patternTypes,
-    max: [String, Number]
+    max: [String, Number],
+    ttl: [String, Number],
+    cache: [String, Object],
+    cacheKey: Function
   },
 
   created () {
-    this.cache = Object.create(null)
-    this.keys = []
+    this.cachedVNodes = Object.create(null)
+    this.cachedKeys = []
+    this.accessedAt = Object.create(null)
+    this.currentKey = null
+    // the evicted key being rendered
+    this.evictedKey = null
+    this.expirationTimer = null
+    this.strategy = resolveStrategy(this.cache)
   },
 
   destroyed () {
-    for (const key in this.cache) {
-      pruneCacheEntry(this.cache, key, this.keys)
+    clearTimeout(this.expirationTimer)
+    for (const key in this.cachedVNodes) {
+      pruneCacheEntry(this, key)
     }
   },
 
@@ -78,6 +230,56 @@ export default {
     this.$watch('exclude', val => {
       pruneCache(this, name => !matches(val, name))
     })
+    this.$watch('cache', val => {
+      // replay the cached keys so the new strategy knows about them
+      const strategy = this.strategy = resolveStrategy(val)
+      if (strategy.access) {
+        this.cachedKeys.forEach(strategy.access)
+      }
+    })
+    scheduleExpiration(this)
+  },
+
+  updated () {
+    scheduleExpiration(this)
+  },
+
+  methods: {
+    /**
+     * Remove a cached entry, destroying its component instance. The instance
+     * of the entry being rendered is destroyed once it gets switched away.
+     */
+    evict (key: string) {
+      if (this.cachedVNodes[key]) {
+        if (process.env.NODE_ENV !== 'production' && key === this.currentKey) {
+          warn(
+            `The keep-alive entry "${key}" is being rendered, its instance is ` +
+            `destroyed once it gets switched away instead of right away.`,
+            this
+          )
+        }
+        pruneCacheEntry(this, key, this._vnode)
+        scheduleExpiration(this)
+      }
+    },
+
+    /**
+     * Remove all cached entries.
+     */
+    clear () {
+      this.cachedKeys.slice().forEach(key => {
+        pruneCacheEntry(this, key, this._vnode)
+      })
+      scheduleExpiration(this)
+    },
+
+    /**
+     * The keys of the cached entries, least recently used first.
+     */
+    keys (): Array<string> {
+      pruneExpired(this)
+      return this.cachedKeys.slice()
+    }
   },
 
   render () {
@@ -94,30 +296,41 @@ export default {
         // excluded
         (exclude && name && matches(exclude, name))
       ) {
+        setCurrentKey(this, null)
         return vnode
       }
 
-      const { cache, keys } = this
-      const key: ?string = vnode.key == null
-        // same constructor may get registered as different local components
-        // so cid alone is not enough (#3269)
-        ? componentOptions.Ctor.cid + (componentOptions.tag ? `::${componentOptions.tag}` : '')
-        : vnode.key
-      if (cache[key]) {
-        vnode.componentInstance = cache[key].componentInstance
+      const { cachedVNodes, cachedKeys, accessedAt, strategy } = this
+      const key: string = getCacheKey(vnode, componentOptions, this.cacheKey)
+      setCurrentKey(this, key)
+      if (key === this.evictedKey) {
+        return vnode
+      }
+      pruneExpired(this)
+      const fromCache = !!cachedVNodes[key]
+      if (fromCache) {
+        vnode.componentInstance = cachedVNodes[key].componentInstance
         // make current key freshest
-        remove(keys, key)
-        keys.push(key)
+        remove(cachedKeys, key)
+        cachedKeys.push(key)
       } else {
-        cache[key] = vnode
-        keys.push(key)
-        // prune oldest entry
-        if (this.max && keys.length > parseInt(this.max)) {
-          pruneCacheEntry(cache, keys[0], keys, this._vnode)
+        cachedVNodes[key] = vnode
+        cachedKeys.push(key)
+        // prune the entry picked by the cache strategy
+        if (this.max && cachedKeys.length > parseInt(this.max)) {
+          const victim = strategy.pick(cachedKeys.filter(k => k !== key))
+          pruneCacheEntry(this, victim, this._vnode)
         }
       }
+      accessedAt[key] = Date.now()
+      if (strategy.access) {
+        strategy.access(key)
+      }
 
       vnode.data.keepAlive = true
+      vnode.data.keepAliveInfo = { key, fromCache }
+    } else {
+      setCurrentKey(this, null)
     }
     return vnode || (slot && slot[0])
   }
@@ -0,0 +1,130 @@
+/* @flow */
+
+import { inBrowser, isDef, isUndef, isTrue, remove } from 'core/util/index'
+import {
+  createEmptyVNode,
+  createFragmentVNode,
+  createTeleportVNode
+} from 'core/vdom/vnode'
+
+// collect the async components and components with an async setup() that
+// are still pending in a rendered subtree. Nested suspense boundaries wait
+// for their own subtree.
+function collectPendingDeps (vnode: ?VNode, deps: Array<Function | Component>) {
+  if (isUndef(vnode)) {
+    return
+  }
+  const factory = vnode.asyncFactory
+  if (isDef(factory) && isUndef(factory.resolved) && !isTrue(factory.error)) {
+    deps.push(factory)
+  }
+  const child = vnode.componentInstance
+  if (isDef(child)) {
+    if (isDef(child._setupPromise)) {
+      deps.push(child)
+    } else if (!child._isSuspense) {
+      collectPendingDeps(child._vnode, deps)
+    }
+    return
+  }
+  const children = vnode.children
+  if (isDef(children)) {
+    for (let i = 0; i < children.length; i++) {
+      collectPendingDeps(children[i], deps)
+    }
+  }
+}
+
+export default {
+  name: 'suspense',
+  abstract: true,
+
+  data () {
+    return {
+      pending: false
+    }
+  },
+
+  created () {
+    this._isSuspense = true
+    this.shownPending = false
+    this.waiting = []
+    // the default content is rendered off-document while pending
+    this.hiddenContainer = inBrowser ? document.createElement('div') : null
+  },
+
+  beforeMount () {
+    // a child component that already has an element is being hydrated.
+    // The server-rendered content is complete, so the fallback is never
+    // shown until the pending components have resolved.
+    this.hydrating = isDef(this.$el) && isDef(this.$vnode)
+  },
+
+  mounted () {
+    if (!this.checkDeps()) {
+      this.$emit('resolve')
+    }
+  },
+
+  updated () {
+    if (this.pending !== this.shownPending) {
+      // the fallback or the default content has been swapped in
+      this.shownPending = this.pending
+      this.$emit(this.pending ? 'fallback' : 'resolve')
+    }
+    this.checkDeps()
+  },
+
+  methods: {
+    checkDeps (): boolean {
+      const deps = []
+      collectPendingDeps(this._vnode.children[0], deps)
+      if (deps.length) {
+        if (!this.pending && !this.hydrating) {
+          this.pending = true
+          this.$emit('pending')
+        }
+        deps.forEach(this.waitFor)
+        return true
+      }
+      this.hydrating = false
+      this.pending = false
+      return false
+    },
+
+    // re-render once a dependency has settled, the updated hook
+    // then checks the subtree again
+    waitFor (dep: Function | Component) {
+      if (typeof dep === 'function') {
+        // async component factories re-render their owners when settled
+        const owners = dep.owners
+        if (isDef(owners) && owners.indexOf(this) === -1) {
+          owners.push(this)
+          this.$once('hook:destroyed', () => remove(owners, this))
+        }
+      } else if (this.waiting.indexOf(dep) === -1) {
+        const waiting = this.waiting
+        const settled = () => {
+          remove(waiting, dep)
+          this.$forceUpdate()
+        }
+        waiting.push(dep)
+        ;(dep._setupPromise: any).then(settled, settled)
+      }
+    }
+  },
+
+  render () {
+    const pending = this.pending
+    const content = createTeleportVNode(this.$slots.default || [], {
+      to: this.hiddenContainer,
+      disabled: !pending
+    })
+    return createFragmentVNode([
+      content,
+      pending
+        ? createFragmentVNode(this.$slots.fallback || [])
+        : createEmptyVNode()
+    ])
+  }
+}
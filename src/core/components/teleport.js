@@ -0,0 +1,23 @@
+/* @flow */
+
+import { createTeleportVNode } from 'core/vdom/vnode'
+
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    // a selector or a DOM element
+    to: {
+      required: true
+    },
+    disabled: Boolean
+  },
+
+  render () {
+    return createTeleportVNode(this.$slots.default || [], {
+      to: this.to,
+      disabled: this.disabled
+    })
+  }
+}
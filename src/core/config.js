@@ -19,6 +19,8 @@ export type Config = {
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  reactivity: 'accessor' | 'proxy';
+  hydrationMismatch: 'warn' | 'patch' | 'remount';
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -83,6 +85,23 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * How observed objects are made reactive. 'accessor' converts each key
+   * into a getter/setter, 'proxy' wraps the object in an ES Proxy so that
+   * added/deleted keys and array index assignment are tracked as well.
+   * Falls back to 'accessor' in environments without native Proxy.
+   */
+  reactivity: 'accessor',
+
+  /**
+   * What to do when the server-rendered DOM doesn't match the virtual DOM
+   * during hydration. 'warn' reports the mismatch and renders the component
+   * being hydrated on the client, 'patch' fixes the mismatching nodes in
+   * place, 'remount' renders the closest element containing the mismatch on
+   * the client. Mismatching text is always fixed in place.
+   */
+  hydrationMismatch: 'warn',
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
@@ -0,0 +1,210 @@
+/* @flow */
+
+import config from '../config'
+import { devtools, inBrowser, hasOwn, formatComponentName } from '../util/index'
+import { serialize } from './serialize'
+
+import type Watcher from '../observer/watcher'
+
+/**
+ * Version of the devtools hook protocol. Bumped whenever an event or the
+ * shape of a payload changes in a way inspectors need to know about.
+ */
+export const DEVTOOLS_PROTOCOL_VERSION = 1
+
+/**
+ * Anything with an emit() method can receive the protocol events, e.g. the
+ * devtools global hook or a bridge forwarding them over a WebSocket. All
+ * payloads are JSON-safe.
+ *
+ * - `protocol:init`     { version }
+ * - `component:added`   { uid, name, parentUid, rootUid }
+ * - `component:updated` { uid, name }
+ * - `component:removed` { uid, name }
+ * - `component:emit`    { uid, name, event, args }
+ * - `state:mutation`    { type, key, newValue, oldValue, components }
+ *
+ * The last two serialize values on each $emit() and mutation, they are only
+ * sent to a hook connected with setHook(), not to the global hook alone.
+ */
+export type DevtoolsHook = {
+  emit: (event: string, payload?: any) => void;
+};
+
+let hook: ?DevtoolsHook = devtools || null
+// whether the hook has been connected with setDevtoolsHook
+let subscribed = false
+// instances mounted while a hook is connected, by uid
+let instances: Object = Object.create(null)
+
+export function setDevtoolsHook (newHook: ?DevtoolsHook) {
+  hook = newHook
+  subscribed = !!newHook
+  instances = Object.create(null)
+  if (newHook) {
+    if (inBrowser) {
+      collectMountedInstances()
+    }
+    newHook.emit('protocol:init', { version: DEVTOOLS_PROTOCOL_VERSION })
+  }
+}
+
+// the root instances mounted in the document before the hook was connected
+// are found through the __vue__ property of their elements
+function collectMountedInstances () {
+  const elements = document.querySelectorAll('*')
+  for (let i = 0; i < elements.length; i++) {
+    const vm: ?Component = (elements[i]: any).__vue__
+    if (vm && vm.$root === vm && !vm._isDestroyed) {
+      addInstance(vm)
+    }
+  }
+}
+
+function addInstance (vm: Component) {
+  instances[vm._uid] = vm
+  vm.$children.forEach(addInstance)
+}
+
+export function getDevtoolsHook (): ?DevtoolsHook {
+  return config.devtools ? hook : null
+}
+
+/**
+ * The hook receiving the events whose payloads are costly to serialize.
+ */
+export function getDevtoolsSubscriber (): ?DevtoolsHook {
+  return subscribed ? getDevtoolsHook() : null
+}
+
+function describe (vm: Component): Object {
+  return { uid: vm._uid, name: formatComponentName(vm, false) }
+}
+
+const componentEvents = {
+  mounted: 'component:added',
+  updated: 'component:updated',
+  destroyed: 'component:removed'
+}
+
+/**
+ * Notify the hook about a lifecycle hook of a component.
+ */
+export function devtoolsLifecycle (vm: Component, lifecycleHook: string) {
+  const hook = getDevtoolsHook()
+  if (!hook || !hasOwn(componentEvents, lifecycleHook)) {
+    return
+  }
+  const payload = describe(vm)
+  if (lifecycleHook === 'mounted') {
+    instances[vm._uid] = vm
+    payload.parentUid = vm.$parent ? vm.$parent._uid : null
+    payload.rootUid = vm.$root._uid
+  } else if (lifecycleHook === 'destroyed') {
+    delete instances[vm._uid]
+  }
+  hook.emit(componentEvents[lifecycleHook], payload)
+}
+
+/**
+ * Notify the hook about an event emitted with $emit().
+ */
+export function devtoolsComponentEmit (vm: Component, event: string, args: Array<any>) {
+  const hook = getDevtoolsSubscriber()
+  if (hook) {
+    const payload = describe(vm)
+    payload.event = event
+    payload.args = serialize(args)
+    hook.emit('component:emit', payload)
+  }
+}
+
+// mutations are reported while the state is being set, so their values
+// are only serialized a few levels deep
+const MUTATION_DEPTH = 3
+
+/**
+ * Notify the hook about a mutation of reactive state, with the components
+ * whose watchers depend on it.
+ */
+export function devtoolsStateMutation (info: Object, subs: Array<Watcher>) {
+  const hook = getDevtoolsSubscriber()
+  if (hook) {
+    const components = []
+    subs.forEach(sub => {
+      const vm = sub.vm
+      if (vm && components.indexOf(vm._uid) < 0) {
+        components.push(vm._uid)
+      }
+    })
+    hook.emit('state:mutation', {
+      type: info.type,
+      key: serialize(info.key, MUTATION_DEPTH),
+      newValue: serialize(info.newValue, MUTATION_DEPTH),
+      oldValue: serialize(info.oldValue, MUTATION_DEPTH),
+      components
+    })
+  }
+}
+
+function getTree (vm: Component): Object {
+  const node = describe(vm)
+  node.children = vm.$children.map(getTree)
+  return node
+}
+
+function pick (vm: Component, keys: Array<string>): Object {
+  const res = {}
+  keys.forEach(key => {
+    try {
+      res[key] = serialize(vm[key])
+    } catch (e) {
+      res[key] = { _type: 'error', message: String(e) }
+    }
+  })
+  return res
+}
+
+/**
+ * The inspect API of the protocol. Its results are JSON-safe as well, so a
+ * bridge can answer inspection requests coming from a remote inspector.
+ */
+export const devtoolsAPI = {
+  version: DEVTOOLS_PROTOCOL_VERSION,
+
+  setHook: setDevtoolsHook,
+
+  /**
+   * The trees of the root instances mounted in the document or while a hook
+   * is connected.
+   */
+  getComponentTree (): Array<Object> {
+    const roots = []
+    Object.keys(instances).forEach(uid => {
+      const vm = instances[uid]
+      if (vm.$root === vm) {
+        roots.push(getTree(vm))
+      }
+    })
+    return roots
+  },
+
+  /**
+   * The state of a mounted instance, or null if there is none with the id.
+   */
+  inspect (uid: string | number): ?Object {
+    const vm = instances[uid]
+    if (!vm) {
+      return null
+    }
+    const options = vm.$options
+    const state = describe(vm)
+    state.parentUid = vm.$parent ? vm.$parent._uid : null
+    state.props = pick(vm, options.props ? Object.keys(options.props) : [])
+    state.data = serialize(vm._data)
+    state.computed = pick(vm, vm._computedWatchers ? Object.keys(vm._computedWatchers) : [])
+    state.injected = pick(vm, options.inject ? Object.keys((options.inject: any)) : [])
+    state.setupState = serialize(vm._setupState || {})
+    return state
+  }
+}
@@ -0,0 +1,83 @@
+/* @flow */
+
+import {
+  toRawType,
+  isPlainObject,
+  formatComponentName
+} from '../util/index'
+
+const MAX_DEPTH = 10
+
+/**
+ * Convert a value into a JSON-safe structure so that devtools payloads can
+ * cross a postMessage or WebSocket bridge. Values JSON cannot represent are
+ * replaced by `{ _type, ... }` descriptors.
+ */
+export function serialize (value: any, maxDepth?: number): any {
+  return walk(value, [], 0, maxDepth || MAX_DEPTH)
+}
+
+function walk (value: any, seen: Array<any>, depth: number, maxDepth: number): any {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return value
+  }
+  if (typeof value === 'number') {
+    return isFinite(value) ? value : { _type: 'number', value: String(value) }
+  }
+  if (value === undefined) {
+    return { _type: 'undefined' }
+  }
+  if (typeof value === 'function') {
+    return { _type: 'function', name: value.name || 'anonymous' }
+  }
+  // $flow-disable-line
+  if (typeof value === 'symbol') {
+    return { _type: 'symbol', description: value.toString() }
+  }
+  if (value._isVue) {
+    return { _type: 'component', uid: value._uid, name: formatComponentName(value, false) }
+  }
+  if (typeof Node !== 'undefined' && value instanceof Node) {
+    return { _type: 'node', name: value.nodeName }
+  }
+  if (value instanceof Date) {
+    return { _type: 'date', value: value.toISOString() }
+  }
+  if (value instanceof RegExp) {
+    return { _type: 'regexp', value: String(value) }
+  }
+  if (seen.indexOf(value) > -1) {
+    return { _type: 'circular' }
+  }
+  if (depth >= maxDepth) {
+    return { _type: 'truncated' }
+  }
+  seen.push(value)
+  let result
+  if (value.__isRef === true) {
+    result = { _type: 'ref', value: walk(value.value, seen, depth + 1, maxDepth) }
+  } else if (Array.isArray(value)) {
+    result = value.map(item => walk(item, seen, depth + 1, maxDepth))
+  } else if (typeof Map !== 'undefined' && value instanceof Map) {
+    const entries = []
+    value.forEach((val, key) => {
+      entries.push([walk(key, seen, depth + 1, maxDepth), walk(val, seen, depth + 1, maxDepth)])
+    })
+    result = { _type: 'map', entries }
+  } else if (typeof Set !== 'undefined' && value instanceof Set) {
+    const values = []
+    value.forEach(val => {
+      values.push(walk(val, seen, depth + 1, maxDepth))
+    })
+    result = { _type: 'set', values }
+  } else if (isPlainObject(value)) {
+    result = {}
+    Object.keys(value).forEach(key => {
+      result[key] = walk(value[key], seen, depth + 1, maxDepth)
+    })
+  } else {
+    result = { _type: 'object', name: toRawType(value) }
+  }
+  seen.pop()
+  return result
+}
@@ -0,0 +1,119 @@
+/* @flow */
+
+import { ASSET_TYPES } from 'shared/constants'
+import {
+  warn,
+  extend,
+  toArray,
+  mergeOptions,
+  isPlainObject,
+  validateComponentName
+} from '../util/index'
+
+export function initCreateApp (Vue: GlobalAPI) {
+  /**
+   * Create an app with its own configuration, plugins, mixins and assets,
+   * so that several independently configured apps can run on one page
+   * without mutating the global Vue.
+   */
+  Vue.createApp = function (rootOptions?: Object): App {
+    const context: AppContext = {
+      config: {
+        errorHandler: undefined,
+        warnHandler: undefined,
+        globalProperties: {}
+      },
+      mixin: undefined,
+      provides: Object.create(null),
+      components: Object.create(null),
+      directives: Object.create(null),
+      filters: Object.create(null)
+    }
+    const installedPlugins = []
+    let root: ?Component = null
+
+    const app: Object = {
+      version: Vue.version,
+      config: context.config,
+      _context: context,
+
+      use (plugin: Function | Object) {
+        if (installedPlugins.indexOf(plugin) > -1) {
+          return app
+        }
+        const args = toArray(arguments, 1)
+        args.unshift(app)
+        if (typeof plugin.install === 'function') {
+          plugin.install.apply(plugin, args)
+        } else if (typeof plugin === 'function') {
+          plugin.apply(null, args)
+        }
+        installedPlugins.push(plugin)
+        return app
+      },
+
+      mixin (mixin: Object) {
+        context.mixin = mergeOptions(context.mixin || {}, mixin)
+        return app
+      },
+
+      provide (key: string | Symbol, value: any) {
+        const provides = context.provides
+        if (process.env.NODE_ENV !== 'production' && (key: any) in provides) {
+          warn(
+            `App already provides property with key "${String(key)}". ` +
+            `It will be overwritten with the new value.`
+          )
+        }
+        provides[(key: any)] = value
+        return app
+      },
+
+      mount (el?: string | Element, hydrating?: boolean): Component {
+        if (root) {
+          process.env.NODE_ENV !== 'production' && warn(
+            `App has already been mounted. Create a new app instance ` +
+            `with createApp() to mount another one.`
+          )
+          return root
+        }
+        root = new (Vue: any)(extend({ _appContext: context }, rootOptions))
+        return root.$mount(el, hydrating)
+      },
+
+      unmount () {
+        if (root) {
+          root.$destroy()
+          root = null
+        }
+      }
+    }
+
+    ASSET_TYPES.forEach(type => {
+      app[type] = function (
+        id: string,
+        definition: Function | Object
+      ): Function | Object | void {
+        const assets = context[type + 's']
+        if (!definition) {
+          return assets[id]
+        }
+        /* istanbul ignore if */
+        if (process.env.NODE_ENV !== 'production' && type === 'component') {
+          validateComponentName(id)
+        }
+        if (type === 'component' && isPlainObject(definition)) {
+          definition.name = definition.name || id
+          definition = Vue.extend(definition)
+        }
+        if (type === 'directive' && typeof definition === 'function') {
+          definition = { bind: definition, update: definition }
+        }
+        assets[id] = definition
+        return app
+      }
+    })
+
+    return app
+  }
+}
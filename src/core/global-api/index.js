@@ -5,10 +5,41 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
+import { initCreateApp } from './create-app'
+import { profiler } from '../util/profiler'
+import { devtoolsAPI } from '../devtools/index'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
-import { observe } from 'core/observer/index'
+import {
+  reactive,
+  isReactive,
+  toRaw,
+  ref,
+  isRef,
+  unref,
+  computed,
+  watch,
+  watchEffect,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from '../reactivity/index'
+import {
+  getCurrentInstance,
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onServerPrefetch,
+  onRenderTracked,
+  onRenderTriggered
+} from '../instance/setup'
 
 import {
   warn,
@@ -51,10 +82,42 @@ export function initGlobalAPI(Vue: GlobalAPI) {
   Vue.nextTick = nextTick
 
   // 2.6 explicit observable API
-  // Vue.observable = <T>(obj: T): T => {
-  //   observe(obj)
-  //   return obj
-  // }
+  Vue.observable = <T>(obj: T): T => reactive(obj)
+
+  // standalone reactivity API, usable without a component instance
+  Vue.reactive = reactive
+  Vue.isReactive = isReactive
+  Vue.toRaw = toRaw
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.unref = unref
+  Vue.computed = computed
+  Vue.watch = watch
+  Vue.watchEffect = watchEffect
+  Vue.effectScope = effectScope
+  Vue.getCurrentScope = getCurrentScope
+  Vue.onScopeDispose = onScopeDispose
+
+  // lifecycle registration for the setup() option
+  Vue.getCurrentInstance = getCurrentInstance
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onServerPrefetch = onServerPrefetch
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+
+  // per-component render timings, exportable as a Chrome trace
+  Vue.profiler = profiler
+
+  // devtools hook protocol and inspect API
+  Vue.devtools = devtoolsAPI
 
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
@@ -121,4 +184,5 @@ export function initGlobalAPI(Vue: GlobalAPI) {
   initMixin(Vue)
   initExtend(Vue)
   initAssetRegisters(Vue)
+  initCreateApp(Vue)
 }
@@ -0,0 +1,27 @@
+/* @flow */
+
+import { mergeOptions } from '../util/index'
+
+/**
+ * Apply the context of the app an instance belongs to, if it was created
+ * with createApp(): app-level mixins and global properties.
+ */
+export function initAppContext (vm: Component) {
+  const appContext: ?AppContext = vm.$options._appContext
+  if (!appContext) {
+    return
+  }
+  const mixin = appContext.mixin
+  if (mixin) {
+    vm.$options = mergeOptions(mixin, vm.$options, vm)
+  }
+  const globalProperties = appContext.config.globalProperties
+  for (const key in globalProperties) {
+    if (!(key in vm)) {
+      Object.defineProperty(vm, key, {
+        configurable: true,
+        get: () => globalProperties[key]
+      })
+    }
+  }
+}
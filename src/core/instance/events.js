@@ -8,6 +8,7 @@ import {
   invokeWithErrorHandling
 } from '../util/index'
 import { updateListeners } from '../vdom/helpers/index'
+import { getDevtoolsSubscriber, devtoolsComponentEmit } from '../devtools/index'
 
 export function initEvents (vm: Component) {
   // 首先在 vm 实例对象上添加两个实例属性 _events 和 _hasHookEvent
@@ -140,6 +141,9 @@ export function eventsMixin (Vue: Class<Component>) {
         invokeWithErrorHandling(cbs[i], vm, args, vm, info)
       }
     }
+    if (getDevtoolsSubscriber()) {
+      devtoolsComponentEmit(vm, event, toArray(arguments, 1))
+    }
     return vm
   }
 }
@@ -1,13 +1,14 @@
 /* @flow */
 
-import config from '../config'
 import { initProxy } from './proxy'
 import { initState } from './state'
 import { initRender } from './render'
 import { initEvents } from './events'
-import { mark, measure } from '../util/perf'
+import { mark, measure, isMeasuring } from '../util/perf'
 import { initLifecycle, callHook } from './lifecycle'
 import { initProvide, initInjections } from './inject'
+import { initAppContext } from './app'
+import { EffectScope } from '../reactivity/effect-scope'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
 
 let uid = 0
@@ -20,7 +21,7 @@ export function initMixin(Vue: Class<Component>) {
 
 		let startTag, endTag
 		/* istanbul ignore if */
-		if (process.env.NODE_ENV !== 'production' && config.performance && mark) { // 在非生产环境下，并且 config.performance 和 mark 都为真
+		if (process.env.NODE_ENV !== 'production' && isMeasuring()) { // 在非生产环境下，开启了 config.performance 或者 profiler 正在记录
 			// Vue 提供了全局配置 Vue.config.performance，我们通过将其设置为 true，即可开启性能追踪，你可以追踪四个场景的性能：
 			// 1、组件初始化(component init)
 			// 2、编译(compile)，将模板(template)编译成渲染函数
@@ -54,6 +55,7 @@ export function initMixin(Vue: Class<Component>) {
 				vm // 当前实例
 			)
 		}
+		initAppContext(vm) // 应用 createApp() 创建的 app 的 mixin 和全局属性
 		/* istanbul ignore else */
 		// 第二步： renderProxy
 		if (process.env.NODE_ENV !== 'production') {
@@ -63,6 +65,8 @@ export function initMixin(Vue: Class<Component>) {
 		}
 		// expose real self
 		vm._self = vm // 在Vue实例对象vm上添加了_self属性，指向真实的实例本身
+		// effect scope of the watchers created in setup()
+		vm._scope = new EffectScope(true /* detached */)
 		// 第三步： vm的生命周期相关变量初始化
 		initLifecycle(vm)
 		// 第四步：vm的事件监听初始化
@@ -77,10 +81,10 @@ export function initMixin(Vue: Class<Component>) {
 		callHook(vm, 'created') // 使用在created钩子中，是可以访问到上述内容的，但是此时还没有任何挂载的操作，所以在created中是不能访问dom的，即不能访问$el
 
 		/* istanbul ignore if */
-		if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+		if (process.env.NODE_ENV !== 'production' && startTag) {
 			vm._name = formatComponentName(vm, false)
 			mark(endTag)
-			measure(`vue ${vm._name} init`, startTag, endTag)
+			measure(`vue ${vm._name} init`, startTag, endTag, vm, 'init')
 		}
 
 		// 第六步：render & mount
@@ -96,6 +100,10 @@ export function initInternalComponent(vm: Component, options: InternalComponentO
 	const parentVnode = options._parentVnode
 	opts.parent = options.parent
 	opts._parentVnode = parentVnode
+	// 子组件继承父组件所属 app 的上下文
+	if (options.parent && options.parent.$options._appContext) {
+		opts._appContext = options.parent.$options._appContext
+	}
 
 	const vnodeComponentOptions = parentVnode.componentOptions
 	opts.propsData = vnodeComponentOptions.propsData
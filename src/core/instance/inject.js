@@ -58,7 +58,11 @@ export function resolveInject (inject: any, vm: Component): ?Object {
         source = source.$parent
       }
       if (!source) {
-        if ('default' in inject[key]) {
+        // fallback to the provides of the app created with createApp()
+        const appContext = vm.$options._appContext
+        if (appContext && provideKey in appContext.provides) {
+          result[key] = appContext.provides[provideKey]
+        } else if ('default' in inject[key]) {
           const provideDefault = inject[key].default
           result[key] = typeof provideDefault === 'function'
             ? provideDefault.call(vm)
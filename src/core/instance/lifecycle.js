@@ -1,13 +1,13 @@
 /* @flow */
 
-import config from '../config'
 import Watcher from '../observer/watcher'
-import { mark, measure } from '../util/perf'
+import { mark, measure, isMeasuring } from '../util/perf'
 import { createEmptyVNode } from '../vdom/vnode'
 import { updateComponentListeners } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { toggleObserving } from '../observer/index'
 import { pushTarget, popTarget } from '../observer/dep'
+import { devtoolsLifecycle } from '../devtools/index'
 
 import {
 	warn,
@@ -15,6 +15,7 @@ import {
 	remove,
 	emptyObject,
 	validateProp,
+	formatComponentName,
 	invokeWithErrorHandling
 } from '../util/index'
 
@@ -115,6 +116,7 @@ export function lifecycleMixin(Vue: Class<Component>) {
 		if (vm._watcher) {
 			vm._watcher.teardown()
 		}
+		vm._scope.stop() // 停止 setup() 中创建的 watch/computed 等副作用
 		let i = vm._watchers.length
 		while (i--) {
 			vm._watchers[i].teardown()
@@ -173,9 +175,14 @@ export function mountComponent(
 
 	let updateComponent
 	/* istanbul ignore if */
-	if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+	if (process.env.NODE_ENV !== 'production') {
 		updateComponent = () => {
-			const name = vm._name
+			// 每次更新时检查，使得 profiler 也能记录挂载之后才开始记录的更新
+			if (!isMeasuring()) {
+				vm._update(vm._render(), hydrating)
+				return
+			}
+			const name = vm._name || (vm._name = formatComponentName(vm, false))
 			const id = vm._uid
 			const startTag = `vue-perf-start:${id}`
 			const endTag = `vue-perf-end:${id}`
@@ -183,12 +190,12 @@ export function mountComponent(
 			mark(startTag)
 			const vnode = vm._render()
 			mark(endTag)
-			measure(`vue ${name} render`, startTag, endTag)
+			measure(`vue ${name} render`, startTag, endTag, vm, 'render')
 
 			mark(startTag)
 			vm._update(vnode, hydrating)
 			mark(endTag)
-			measure(`vue ${name} patch`, startTag, endTag)
+			measure(`vue ${name} patch`, startTag, endTag, vm, 'patch')
 		}
 	} else {
 		updateComponent = () => {
@@ -199,13 +206,24 @@ export function mountComponent(
 	// we set this to vm._watcher inside the watcher's constructor
 	// since the watcher's initial patch may call $forceUpdate (e.g. inside child
 	// component's mounted hook), which relies on vm._watcher being already defined
-	new Watcher(vm, updateComponent, noop, {
+	const watcherOptions: Object = {
 		before() {
 			if (vm._isMounted && !vm._isDestroyed) {
 				callHook(vm, 'beforeUpdate')
 			}
 		}
-	}, true /* isRenderWatcher */)
+	}
+	if (process.env.NODE_ENV !== 'production') { // 开发环境下，渲染函数收集/触发依赖时调用 renderTracked/renderTriggered 钩子
+		// 只有组件定义了这两个钩子或者监听了 hook: 事件时才安装，避免每次收集/触发依赖都调用 callHook
+		const options = vm.$options
+		if (options.renderTracked || vm._hasHookEvent) {
+			watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+		}
+		if (options.renderTriggered || vm._hasHookEvent) {
+			watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+		}
+	}
+	new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
 	hydrating = false
 
 	// manually mounted instance, call mounted on self
@@ -304,52 +322,62 @@ function isInInactiveTree(vm) {
 	return false
 }
 
-export function activateChildComponent(vm: Component, direct?: boolean) {
+// keep-alive 在 vnode 上记录的缓存信息，作为 activated/deactivated 钩子的参数传给整个子树
+function getKeepAliveInfo(vm: Component): ?KeepAliveInfo {
+	const data = vm.$vnode && vm.$vnode.data
+	return data && data.keepAliveInfo
+}
+
+export function activateChildComponent(vm: Component, direct?: boolean, info?: ?KeepAliveInfo) {
 	if (direct) {
 		vm._directInactive = false
 		if (isInInactiveTree(vm)) {
 			return
 		}
+		info = getKeepAliveInfo(vm)
 	} else if (vm._directInactive) {
 		return
 	}
 	if (vm._inactive || vm._inactive === null) {
 		vm._inactive = false
 		for (let i = 0; i < vm.$children.length; i++) {
-			activateChildComponent(vm.$children[i])
+			activateChildComponent(vm.$children[i], false, info)
 		}
-		callHook(vm, 'activated')
+		callHook(vm, 'activated', info ? [info] : undefined)
 	}
 }
 
-export function deactivateChildComponent(vm: Component, direct?: boolean) {
+export function deactivateChildComponent(vm: Component, direct?: boolean, info?: ?KeepAliveInfo) {
 	if (direct) {
 		vm._directInactive = true
 		if (isInInactiveTree(vm)) {
 			return
 		}
+		const activeInfo = getKeepAliveInfo(vm)
+		info = activeInfo && { key: activeInfo.key } // deactivated 钩子只接收缓存的 key
 	}
 	if (!vm._inactive) {
 		vm._inactive = true
 		for (let i = 0; i < vm.$children.length; i++) {
-			deactivateChildComponent(vm.$children[i])
+			deactivateChildComponent(vm.$children[i], false, info)
 		}
-		callHook(vm, 'deactivated')
+		callHook(vm, 'deactivated', info ? [info] : undefined)
 	}
 }
 
-export function callHook(vm: Component, hook: string) {
+export function callHook(vm: Component, hook: string, args?: Array<any>) {
 	// #7573 disable dep collection when invoking lifecycle hooks
 	pushTarget()
 	const handlers = vm.$options[hook] // 获取要调用的生命周期钩子，对于生命周期钩子选项最终会被合并处理成一个数组，所以得到的 handlers 就是对应生命周期钩子的数组
 	const info = `${hook} hook`
 	if (handlers) {
 		for (let i = 0, j = handlers.length; i < j; i++) {
-			invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+			invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
 		}
 	}
 	if (vm._hasHookEvent) {
 		vm.$emit('hook:' + hook)
 	}
+	devtoolsLifecycle(vm, hook) // 通知 devtools 钩子组件的添加、更新和移除
 	popTarget()
 }
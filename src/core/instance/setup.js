@@ -0,0 +1,194 @@
+/* @flow */
+
+import { pushTarget, popTarget } from '../observer/dep'
+import { isRef } from '../reactivity/ref'
+import { createEmptyVNode } from '../vdom/vnode'
+
+import {
+  warn,
+  hasOwn,
+  isReserved,
+  isPromise,
+  isPlainObject,
+  invokeWithErrorHandling
+} from '../util/index'
+
+export let currentInstance: ?Component = null
+
+export function setCurrentInstance (vm: ?Component) {
+  currentInstance = vm
+}
+
+/**
+ * Get the component instance whose setup() is currently running.
+ */
+export function getCurrentInstance (): ?Component {
+  return currentInstance
+}
+
+/**
+ * Run the setup() functions of a component and expose the returned
+ * bindings on the instance, with refs unwrapped.
+ */
+export function initSetup (vm: Component) {
+  const setups: Array<Function> = (vm.$options.setup: any)
+  const props = vm._props || {}
+  const context = createSetupContext(vm)
+  const setupState = vm._setupState = {}
+  const pending = []
+
+  // setup() runs inside the instance's effect scope so that the watchers
+  // it creates are stopped when the instance is destroyed
+  vm._scope.run(() => {
+    setCurrentInstance(vm)
+    // setup() is not a reactive computation
+    pushTarget()
+    try {
+      for (let i = 0; i < setups.length; i++) {
+        const setupResult: any = invokeWithErrorHandling(setups[i], null, [props, context], vm, `setup`)
+        if (isPromise(setupResult)) {
+          pending.push(setupResult)
+        } else {
+          handleSetupResult(vm, setupState, setupResult)
+        }
+      }
+    } finally {
+      popTarget()
+      setCurrentInstance(null)
+    }
+  })
+
+  if (pending.length) {
+    initAsyncSetup(vm, setupState, pending)
+  }
+}
+
+/**
+ * An async setup() defers rendering of the component until it resolves.
+ * The pending promise is exposed so that <suspense> boundaries and the
+ * server renderer can wait for it.
+ */
+function initAsyncSetup (vm: Component, setupState: Object, pending: Array<Promise<any>>) {
+  const promise = vm._setupPromise = Promise.all(pending).then(results => {
+    for (let i = 0; i < results.length; i++) {
+      handleSetupResult(vm, setupState, results[i])
+    }
+  })
+  promise.then(() => {
+    vm._setupPromise = null
+    vm.$forceUpdate()
+  }, () => {
+    // the error has been handled already, render nothing
+    vm._setupPromise = null
+    vm.$options.render = () => createEmptyVNode()
+    vm.$forceUpdate()
+  })
+}
+
+function handleSetupResult (vm: Component, setupState: Object, setupResult: any) {
+  if (typeof setupResult === 'function') {
+    // render function
+    vm.$options.render = setupResult
+  } else if (isPlainObject(setupResult)) {
+    exposeSetupState(vm, setupState, setupResult)
+  } else if (process.env.NODE_ENV !== 'production' && setupResult !== undefined) {
+    warn(
+      `setup() should return an object or a render function. ` +
+      `Received: ${setupResult === null ? 'null' : typeof setupResult}`,
+      vm
+    )
+  }
+}
+
+function exposeSetupState (vm: Component, setupState: Object, bindings: Object) {
+  const props = vm.$options.props
+  for (const key in bindings) {
+    if (process.env.NODE_ENV !== 'production' && props && hasOwn(props, key)) {
+      warn(`The setup binding property "${key}" is already declared as a prop.`, vm)
+    } else if (isReserved(key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Avoid using variables that start with _ or $ in setup(): "${key}"`,
+        vm
+      )
+    } else {
+      setupState[key] = bindings[key]
+      if (!hasOwn(vm, key)) {
+        proxyWithRefUnwrap(vm, setupState, key)
+      }
+    }
+  }
+}
+
+function createSetupContext (vm: Component): Object {
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit: vm.$emit.bind(vm)
+  }
+}
+
+/**
+ * Define an accessor on the instance for a setup binding. Refs are
+ * unwrapped so that templates can use them directly.
+ */
+export function proxyWithRefUnwrap (target: Object, source: Object, key: string) {
+  Object.defineProperty(target, key, {
+    enumerable: true,
+    configurable: true,
+    get: () => {
+      const val = source[key]
+      return isRef(val) ? val.value : val
+    },
+    set: val => {
+      const oldValue = source[key]
+      if (isRef(oldValue) && !isRef(val)) {
+        oldValue.value = val
+      } else {
+        source[key] = val
+      }
+    }
+  })
+}
+
+/**
+ * Create a function that registers a lifecycle hook on the instance whose
+ * setup() is running. The hook is appended to the instance's own options
+ * so that callHook() invokes it after the hooks coming from options.
+ */
+function createLifeCycle (hookName: string): Function {
+  return (fn: Function) => {
+    const vm = currentInstance
+    if (vm) {
+      // $options may inherit its hooks from the constructor options,
+      // so never mutate the existing array
+      const options: Object = vm.$options
+      options[hookName] = (options[hookName] || []).concat(fn)
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(
+        `The "${hookName}" hook is registered when there is no active component ` +
+        `instance to be associated with. Lifecycle injection APIs can only be ` +
+        `used during execution of setup().`
+      )
+    }
+  }
+}
+
+export const onBeforeMount = createLifeCycle('beforeMount')
+export const onMounted = createLifeCycle('mounted')
+export const onBeforeUpdate = createLifeCycle('beforeUpdate')
+export const onUpdated = createLifeCycle('updated')
+export const onBeforeUnmount = createLifeCycle('beforeDestroy')
+export const onUnmounted = createLifeCycle('destroyed')
+export const onActivated = createLifeCycle('activated')
+export const onDeactivated = createLifeCycle('deactivated')
+export const onErrorCaptured = createLifeCycle('errorCaptured')
+export const onServerPrefetch = createLifeCycle('serverPrefetch')
+export const onRenderTracked = createLifeCycle('renderTracked')
+export const onRenderTriggered = createLifeCycle('renderTriggered')
@@ -4,6 +4,7 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { initSetup } from './setup'
 
 import {
 	set,
@@ -57,11 +58,12 @@ export function initState(vm: Component) {
 	vm._watchers = []
 	const opts = vm.$options
 	if (opts.props) initProps(vm, opts.props) // 如果opts.props存在，即选项中有props，那么就调用initProps初始化props选项
+	if (opts.setup) initSetup(vm) // setup() 在 props 之后、methods/data/computed 之前执行，所以它能访问 props，而 data 等选项也能访问它返回的绑定
 	if (opts.methods) initMethods(vm, opts.methods)
 	if (opts.data) {
 		initData(vm)
 	} else {
-		observe(vm._data = {}, true /* asRootData */)
+		vm._data = observeRootData({})
 	}
 	if (opts.computed) initComputed(vm, opts.computed)
 	// 判断 opts.watch 是不是原生的 watch 对象, 因为在 Firefox 中原生提供了 Object.prototype.watch 函数，
@@ -173,7 +175,16 @@ function initData(vm: Component) {
 		}
 	}
 	// observe data
-	observe(data, true /* asRootData */)
+	vm._data = observeRootData(data)
+}
+
+/**
+ * Observe a root data object. In proxy mode the instance must read and
+ * write through the reactive proxy instead of the raw object.
+ */
+function observeRootData(data: Object): Object {
+	const ob = observe(data, true /* asRootData */)
+	return ob && ob.proxy ? ob.proxy : data
 }
 
 // getData函数的作用是通过调用data函数获取真正的数据对象并返回，即data.call(vm, vm)
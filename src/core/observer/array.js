@@ -4,6 +4,8 @@
  */
 
 import { def } from '../util/index'
+import { pushTarget, popTarget, debugInfo } from './dep'
+import { toRaw } from './index'
 
 const arrayProto = Array.prototype
 export const arrayMethods = Object.create(arrayProto) // arrayMethods对象的原型是真正的数组构造函数的原型
@@ -39,7 +41,40 @@ methodsToPatch.forEach(function (method) {
 		}
 		if (inserted) ob.observeArray(inserted)
 		// notify change
-		ob.dep.notify() // 当调用数组变异方法时，必然修改了数组，这时需要将该数组的所有依赖（观察者）全部拿出来执行
+		ob.dep.notify(debugInfo(this, method, 'array mutation')) // 当调用数组变异方法时，必然修改了数组，这时需要将该数组的所有依赖（观察者）全部拿出来执行（开发环境下以变异方法名作为 key 记录本次操作）
 		return result // 保证了拦截函数的功能与数组原本变异方法的功能是一致的
 	})
 })
+
+/**
+ * Methods used by reactive array proxies in place of the native ones.
+ * Mutations go through the proxy traps natively, so the mutators only
+ * need to stop the caller from collecting the length/indexes they read
+ * internally as dependencies.
+ */
+export const arrayInstrumentations = Object.create(null)
+
+methodsToPatch.forEach(function (method) {
+	const original = arrayProto[method]
+	arrayInstrumentations[method] = function mutator(...args) {
+		pushTarget()
+		try {
+			return original.apply(this, args)
+		} finally {
+			popTarget()
+		}
+	}
+})
+
+// identity-sensitive search methods may receive raw objects, while the
+// elements read through the proxy are proxies - retry with raw values
+;['includes', 'indexOf', 'lastIndexOf'].forEach(function (method) {
+	const original = arrayProto[method]
+	arrayInstrumentations[method] = function (...args) {
+		const res = original.apply(this, args)
+		if (res === -1 || res === false) {
+			return original.apply(this.__ob__.value, args.map(toRaw))
+		}
+		return res
+	}
+})
@@ -0,0 +1,212 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map/Set prototypes
+ */
+
+import { debugInfo } from './dep'
+import { toRaw, toReactive } from './index'
+import { def, toRawType } from '../util/index'
+
+const nativeProtos = Object.create(null)
+/* istanbul ignore else */
+if (typeof Map !== 'undefined') nativeProtos.Map = Map.prototype
+/* istanbul ignore else */
+if (typeof Set !== 'undefined') nativeProtos.Set = Set.prototype
+/* istanbul ignore else */
+if (typeof WeakMap !== 'undefined') nativeProtos.WeakMap = WeakMap.prototype
+/* istanbul ignore else */
+if (typeof WeakSet !== 'undefined') nativeProtos.WeakSet = WeakSet.prototype
+
+/**
+ * Check if a value is a collection that can be observed.
+ */
+export function isCollection (value) {
+  return toRawType(value) in nativeProtos
+}
+
+/**
+ * Weak collections can't be iterated and must not hold their keys
+ * strongly - not even through the per-key deps.
+ */
+export function isWeakCollection (value) {
+  const type = toRawType(value)
+  return type === 'WeakMap' || type === 'WeakSet'
+}
+
+// the native prototype, also for collections that have been augmented
+function nativeProto (raw) {
+  return nativeProtos[toRawType(raw)]
+}
+
+function dependKey (raw, key, type) {
+  const ob = raw.__ob__
+  // weak collections only accept objects as keys
+  if (!(ob.deps instanceof WeakMap) || key === Object(key)) {
+    ob.dependKey(key, type)
+  }
+}
+
+function getSize (raw) {
+  return Reflect.get(nativeProto(raw), 'size', raw)
+}
+
+/**
+ * Wrap an iterator so that the values it yields are reactive.
+ */
+function createIterableMethod (method) {
+  return function (...args) {
+    const raw = toRaw(this)
+    const proto = nativeProto(raw)
+    const isPair = method === 'entries' ||
+      (method === Symbol.iterator && proto === Map.prototype)
+    const inner = proto[method].apply(raw, args)
+    raw.__ob__.dep.depend(debugInfo(raw, undefined, 'iterate'))
+    return {
+      next () {
+        const { value, done } = inner.next()
+        return done
+          ? { value, done }
+          : {
+            value: isPair ? [toReactive(value[0]), toReactive(value[1])] : toReactive(value),
+            done
+          }
+      },
+      [Symbol.iterator] () {
+        return this
+      }
+    }
+  }
+}
+
+/**
+ * Methods used by reactive collections in place of the native ones, either
+ * through the proxy (proxy mode) or the augmented prototype (accessor mode).
+ * Reads collect the dep of the accessed key (or the collection's own dep
+ * for size and iteration), writes notify them.
+ */
+export const collectionInstrumentations = {
+  get (key) {
+    const raw = toRaw(this)
+    key = toRaw(key)
+    dependKey(raw, key)
+    return toReactive(nativeProto(raw).get.call(raw, key))
+  },
+
+  has (key) {
+    const raw = toRaw(this)
+    key = toRaw(key)
+    dependKey(raw, key, 'has')
+    return nativeProto(raw).has.call(raw, key)
+  },
+
+  set (key, value) {
+    const raw = toRaw(this)
+    const proto = nativeProto(raw)
+    const ob = raw.__ob__
+    key = toRaw(key)
+    value = toRaw(value)
+    const hadKey = proto.has.call(raw, key)
+    const oldValue = proto.get.call(raw, key)
+    proto.set.call(raw, key, value)
+    /* eslint-disable no-self-compare */
+    if (!hadKey) {
+      ob.notifyKey(key, 'add')
+      ob.dep.notify(debugInfo(raw, key, 'add'))
+    } else if (value !== oldValue && (value === value || oldValue === oldValue)) {
+      ob.notifyKey(key)
+      ob.dep.notify(debugInfo(raw, key, 'set'))
+    }
+    /* eslint-enable no-self-compare */
+    return this
+  },
+
+  add (value) {
+    const raw = toRaw(this)
+    const proto = nativeProto(raw)
+    value = toRaw(value)
+    if (!proto.has.call(raw, value)) {
+      proto.add.call(raw, value)
+      raw.__ob__.notifyKey(value, 'add')
+      raw.__ob__.dep.notify(debugInfo(raw, value, 'add'))
+    }
+    return this
+  },
+
+  delete (key) {
+    const raw = toRaw(this)
+    key = toRaw(key)
+    const result = nativeProto(raw).delete.call(raw, key)
+    if (result) {
+      raw.__ob__.notifyKey(key, 'delete')
+      raw.__ob__.dep.notify(debugInfo(raw, key, 'delete'))
+    }
+    return result
+  },
+
+  clear () {
+    const raw = toRaw(this)
+    const ob = raw.__ob__
+    const hadItems = getSize(raw) !== 0
+    nativeProto(raw).clear.call(raw)
+    if (hadItems) {
+      ob.deps.forEach((dep, key) => dep.notify(debugInfo(raw, key, 'clear')))
+      ob.dep.notify(debugInfo(raw, undefined, 'clear'))
+    }
+  },
+
+  forEach (callback, thisArg) {
+    const observed = this
+    const raw = toRaw(observed)
+    raw.__ob__.dep.depend(debugInfo(raw, undefined, 'iterate'))
+    nativeProto(raw).forEach.call(raw, (value, key) => {
+      callback.call(thisArg, toReactive(value), toReactive(key), observed)
+    })
+  },
+
+  keys: createIterableMethod('keys'),
+  values: createIterableMethod('values'),
+  entries: createIterableMethod('entries')
+}
+
+if (typeof Symbol !== 'undefined') {
+  collectionInstrumentations[Symbol.iterator] = createIterableMethod(Symbol.iterator)
+}
+
+// by the prototype they are built on, created with the first collection
+let augmentedProtos
+
+/**
+ * Get the prototype that is used to intercept the methods of a collection
+ * observed in accessor mode, in the same way arrayMethods does for arrays.
+ * It is built on the prototype of the collection, so that the methods of
+ * subclasses are kept.
+ */
+export function getCollectionMethods (value) {
+  const proto = Object.getPrototypeOf(value)
+  if (!augmentedProtos) {
+    augmentedProtos = new Map()
+  } else if (augmentedProtos.has(proto)) {
+    return augmentedProtos.get(proto)
+  }
+  const methods = Object.create(proto)
+  Object.keys(collectionInstrumentations).forEach(key => {
+    if (key in proto) {
+      def(methods, key, collectionInstrumentations[key])
+    }
+  })
+  if (typeof Symbol !== 'undefined' && Symbol.iterator in proto) {
+    def(methods, Symbol.iterator, collectionInstrumentations[Symbol.iterator])
+  }
+  if ('size' in proto) {
+    Object.defineProperty(methods, 'size', {
+      configurable: true,
+      get () {
+        const raw = toRaw(this)
+        raw.__ob__.dep.depend(debugInfo(raw, undefined, 'iterate'))
+        return getSize(raw)
+      }
+    })
+  }
+  augmentedProtos.set(proto, methods)
+  return methods
+}
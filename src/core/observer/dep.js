@@ -3,9 +3,32 @@
 import type Watcher from './watcher'
 import { remove } from '../util/index'
 import config from '../config'
+import { getDevtoolsSubscriber, devtoolsStateMutation } from '../devtools/index'
 
 let uid = 0
 
+/**
+ * Describes the reactive operation that tracked or triggered a dep.
+ * Only created in development builds, for the debug hooks.
+ */
+export type DebuggerEventInfo = {
+  target: Object | Array<any>;
+  key: any;
+  type: string;
+  newValue?: any;
+  oldValue?: any;
+};
+
+/**
+ * Create the debugger event info of a reactive operation. Nothing is
+ * allocated in production.
+ */
+export function debugInfo (target: Object | Array<any>, key: any, type: string): DebuggerEventInfo | void {
+  if (process.env.NODE_ENV !== 'production') {
+    return { target, key, type }
+  }
+}
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -28,13 +51,17 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  depend () {
-    if (Dep.target) {
-      Dep.target.addDep(this)
+  depend (info?: DebuggerEventInfo) {
+    const target = Dep.target
+    if (target) {
+      target.addDep(this)
+      if (process.env.NODE_ENV !== 'production' && info && target.onTrack) {
+        target.onTrack(info)
+      }
     }
   }
 
-  notify () {
+  notify (info?: DebuggerEventInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -43,8 +70,21 @@ export default class Dep {
       // order
       subs.sort((a, b) => a.id - b.id)
     }
+    if (process.env.NODE_ENV !== 'production' && info && getDevtoolsSubscriber()) {
+      // the values serialized for the devtools are not dependencies of the
+      // watcher being evaluated
+      pushTarget()
+      try {
+        devtoolsStateMutation(info, subs)
+      } finally {
+        popTarget()
+      }
+    }
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      if (process.env.NODE_ENV !== 'production' && info && subs[i].onTrigger) {
+        subs[i].onTrigger(info)
+      }
+      subs[i].update(info)
     }
   }
 }
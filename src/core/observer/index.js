@@ -1,13 +1,17 @@
 /* @flow */
 
-import Dep from './dep'
+import Dep, { debugInfo } from './dep'
+import config from '../config'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { createProxy } from './proxy'
+import { isCollection, isWeakCollection, getCollectionMethods } from './collection'
 import {
 	def,
 	warn,
 	hasOwn,
 	hasProto,
+	hasProxy,
 	isObject,
 	isPlainObject,
 	isPrimitive,
@@ -41,11 +45,15 @@ export class Observer { // Observer类的实例对象拥有三个实例属性：
 	value: any;
 	dep: Dep;
 	vmCount: number; // number of vms that have this object as root $data
+	proxy: ?Object; // the reactive proxy of value when observed in proxy mode
+	deps: ?(Map<any, Dep> | WeakMap<any, Dep>); // per-key deps, used in proxy mode and for collections
 
 	constructor(value: any) { // 构造函数接受一个参数，即数据对象
 		this.value = value // 实例对象的value属性（即this.value）引用了数据对象（即value）
 		this.dep = new Dep() // 实例对象的dep属性，保存了一个新创建的dep实例对象，Dep是一个收集依赖的容器
 		this.vmCount = 0
+		this.proxy = null
+		this.deps = null
 		def(value, '__ob__', this) // 使用def函数（就是对Object.defineProperty函数的封装），为数据对象定义一个__ob__属性，这个属性的值就是当前Observer实例对象，这里使用def函数定义
 		// __ob__属性是因为这样可以定义不可枚举的属性，后面遍历数据对象的时候就能够防止遍历到__ob__属性
 
@@ -68,7 +76,17 @@ export class Observer { // Observer类的实例对象拥有三个实例属性：
 
 		// 数组有很多实例方法，并且有些方法会改变数组自身的值，我们称其为变异方法，这些方法有：push、pop、shift、unshift、splice、sort 以及 reverse 等,
 		// 这个时候我们就要考虑一件事，即当用户调用这些变异方法改变数组时需要触发依赖。
-		if (Array.isArray(value)) {
+		if (isProxyMode() || isCollection(value)) {
+			this.deps = isWeakCollection(value) ? new WeakMap() : new Map()
+		}
+		if (isProxyMode()) {
+			// nested values are observed lazily by the proxy's get trap
+			this.proxy = createProxy(value)
+		} else if (isCollection(value)) {
+			// collections are only ever available together with __proto__,
+			// their values are observed lazily when read
+			protoAugment(value, getCollectionMethods(value))
+		} else if (Array.isArray(value)) {
 			if (hasProto) { // hasProto是一个布尔值，用来检测当前环境是否可以使用__proto__属性（一个对象的 __proto__ 属性指向了它构造函数的原型，但这是一个在 ES2015 中才被标准化的属性，IE11 及更高版本才能够使用）
 				protoAugment(value, arrayMethods) // 无论是 protoAugment 函数还是 copyAugment 函数，他们的目的只有一个：把数组实例与代理原型或与代理原型中定义的函数联系起来，从而拦截数组变异方法。
 			} else {
@@ -100,6 +118,39 @@ export class Observer { // Observer类的实例对象拥有三个实例属性：
 			observe(items[i])
 		}
 	}
+
+	/**
+	 * Collect the dep of a single key as a dependency of the
+	 * current target. Only used in proxy mode and for collections.
+	 */
+	dependKey(key: any, type?: string = 'get') {
+		const deps = this.deps
+		if (Dep.target && deps) {
+			let dep = deps.get(key)
+			if (!dep) {
+				deps.set(key, (dep = new Dep()))
+			}
+			dep.depend(debugInfo(this.value, key, type))
+		}
+	}
+
+	/**
+	 * Notify the subscribers of a single key. Only used in proxy mode
+	 * and for collections.
+	 */
+	notifyKey(key: any, type?: string = 'set') {
+		const dep = this.deps && this.deps.get(key)
+		if (dep) {
+			dep.notify(debugInfo(this.value, key, type))
+		}
+	}
+}
+
+/**
+ * Whether newly observed values should be wrapped in a Proxy.
+ */
+function isProxyMode(): boolean {
+	return config.reactivity === 'proxy' && hasProxy
 }
 
 // helpers
@@ -141,7 +192,7 @@ export function observe(value: any, asRootData: ?boolean): Observer | void { //
 	} else if (
 		shouldObserve && // shouldObserve为true说明对数据进行观测
 		!isServerRendering() && // 非服务器端渲染
-		(Array.isArray(value) || isPlainObject(value)) && // 数据对象是数组或纯对象
+		(Array.isArray(value) || isPlainObject(value) || isCollection(value)) && // 数据对象是数组或纯对象
 		Object.isExtensible(value) && // 被观测的对象必须是可扩展的。一个普通的对象默认就是可扩展的，以下三个方法都可以使得一个对象变得不可扩展：
 		// Object.preventExtensions()、
 		// Object.freeze()、
@@ -156,6 +207,23 @@ export function observe(value: any, asRootData: ?boolean): Observer | void { //
 	return ob
 }
 
+/**
+ * Return the reactive version of a value: its proxy if the value
+ * is observed in proxy mode, otherwise the value itself.
+ */
+export function toReactive(value: any): any {
+	const ob = observe(value)
+	return ob && ob.proxy ? ob.proxy : value
+}
+
+/**
+ * Return the raw object behind a reactive proxy.
+ */
+export function toRaw(value: any): any {
+	const ob = isObject(value) && value.__ob__
+	return ob instanceof Observer ? ob.value : value
+}
+
 // 在javaScript中，对象的属性分成两种类型：数据属性和访问器属性
 
 /**
@@ -230,15 +298,15 @@ export function defineReactive(
 			if (Dep.target) { // Dep.target的值是要被收集的依赖(观察者)
 				// 这里闭包引用了上面的dep常量，注意：每一个数据字段都通过闭包引用着属于自己的 dep 常量
 				//（因为在 walk 函数中通过循环遍历了所有数据对象的属性，并调用 defineReactive 函数，所以每次调用 defineReactive 定义访问器属性时，该属性的 setter/getter 都闭包引用了一个属于自己的“筐”。）
-				dep.depend() // 作用是收集依赖
+				dep.depend(debugInfo(obj, key, 'get')) // 作用是收集依赖，开发环境下同时记录被读取的对象、属性和操作类型，供 onTrack/renderTracked 调试钩子使用
 				if (childOb) {
 					childOb.dep.depend()
-					if (Array.isArray(value)) {
+					if (Array.isArray(value) && !childOb.proxy) {
 						dependArray(value)
 					}
 				}
 			}
-			return value
+			return childOb && childOb.proxy ? childOb.proxy : value
 		},
 		set: function reactiveSetter(newVal) { // 返回正确的属性值，触发相应的依赖
 			const value = getter ? getter.call(obj) : val // 取得属性原有的值，拿原有的值和新值作比较，只有在原值和新值不相等的情况下才需要触发依赖和重新设置新属性值
@@ -262,7 +330,11 @@ export function defineReactive(
 			}
 			// 由于属性被设置了新的值，那么假如我们为属性设置的新值是一个数组或者纯对象，那么该数组或纯对象是未被观测的，所以需要对新值进行观测
 			childOb = !shallow && observe(newVal) // !shallow值为true说明需要深度观测
-			dep.notify()
+			if (process.env.NODE_ENV !== 'production') { // 开发环境下记录触发更新的属性和新旧值，供 onTrigger/renderTriggered 调试钩子使用
+				dep.notify({ target: obj, key, type: 'set', newValue: newVal, oldValue: value })
+			} else {
+				dep.notify()
+			}
 		}
 	})
 }
@@ -278,6 +350,18 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
 	) {
 		warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
 	}
+	const ob = (target: any).__ob__
+	if (ob && ob.proxy) { // proxy 模式下，直接通过代理对象赋值即可触发响应，新增属性和数组索引都能被拦截
+		if (ob.vmCount && !(key in ob.value)) {
+			process.env.NODE_ENV !== 'production' && warn(
+				'Avoid adding reactive properties to a Vue instance or its root $data ' +
+				'at runtime - declare it upfront in the data option.'
+			)
+			return val
+		}
+		ob.proxy[key] = val
+		return val
+	}
 	if (Array.isArray(target) && isValidArrayIndex(key)) { // isValidArrayIndex函数用来校验key是否是有效的数组索引
 		target.length = Math.max(target.length, key) // 将数组的长度修改为 target.length 和 key 中的较大者，否则如果当要设置的元素的索引大于数组长度时 splice 无效
 		target.splice(key, 1, val) // splice(index, howmany, item1) index（必选）: 从何处开始添加/删除元素（数组元素下标），
@@ -290,7 +374,6 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
 		target[key] = val
 		return val
 	}
-	const ob = (target: any).__ob__
 	if (target._isVue || (ob && ob.vmCount)) { // Vue 实例对象拥有 _isVue 属性，target._isVue表示当前正在使用VUe.set/$set函数为Vue实例对象添加属性，为了避免属性覆盖的情况出现，Vue.set/$set 函数不允许这么做，在非生产环境下会打印警告信息
 		process.env.NODE_ENV !== 'production' && warn(
 			'Avoid adding reactive properties to a Vue instance or its root $data ' +
@@ -303,7 +386,11 @@ export function set(target: Array<any> | Object, key: any, val: any): any {
 		return val
 	}
 	defineReactive(ob.value, key, val) // 使用definedReactive函数设置属性值，这是为了保证新添加的属性是响应式的
-	ob.dep.notify() // 调用了 __ob__.dep.notify() 从而触发响应。这就是添加全新属性触发响应的原理
+	if (process.env.NODE_ENV !== 'production') {
+		ob.dep.notify({ target: ob.value, key, type: 'add', newValue: val })
+	} else {
+		ob.dep.notify() // 调用了 __ob__.dep.notify() 从而触发响应。这就是添加全新属性触发响应的原理
+	}
 	return val
 }
 
@@ -316,11 +403,11 @@ export function del(target: Array<any> | Object, key: any) {
 	) {
 		warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
 	}
+	const ob = (target: any).__ob__
 	if (Array.isArray(target) && isValidArrayIndex(key)) {
-		target.splice(key, 1) // 移除数组元素同样使用了数组的 splice 方法，这样是能够触发响应的。
+		(ob && ob.proxy ? ob.proxy : target).splice(key, 1) // 移除数组元素同样使用了数组的 splice 方法，这样是能够触发响应的。
 		return
 	}
-	const ob = (target: any).__ob__
 	if (target._isVue || (ob && ob.vmCount)) { // 不能使用 Vue.delete/$delete 删除 Vue 实例对象或根数据的属性，不允许删除 Vue 实例对象的属性，是出于安全因素的考虑。而不允许删除根数据对象的属性，是因为这样做也是触发不了响应的
 		process.env.NODE_ENV !== 'production' && warn(
 			'Avoid deleting properties on a Vue instance or its root $data ' +
@@ -331,11 +418,15 @@ export function del(target: Array<any> | Object, key: any) {
 	if (!hasOwn(target, key)) { // hasOwn函数检测key是否是target对象自身拥有的属性
 		return
 	}
+	if (ob && ob.proxy) { // proxy 模式下删除操作会被代理的 deleteProperty 拦截并触发响应
+		delete ob.proxy[key]
+		return
+	}
 	delete target[key] // 如果 key 存在于 target 对象上，那么代码将继续运行，此时将使用 delete 语句从 target 上删除属性 key
 	if (!ob) { // 如果ob对象不存在说明 target 对象原本就不是响应的，所以直接返回(return)即可
 		return
 	}
-	ob.dep.notify() // 如果 ob 对象存在，说明 target 对象是响应的，需要触发响应才行，即执行 ob.dep.notify()。
+	ob.dep.notify(debugInfo(target, key, 'delete')) // 如果 ob 对象存在，说明 target 对象是响应的，需要触发响应才行，即执行 ob.dep.notify()。
 }
 
 /**
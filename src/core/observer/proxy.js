@@ -0,0 +1,148 @@
+/* not type checking this file because flow doesn't play well with Proxy */
+
+import Dep, { debugInfo } from './dep'
+import { observe, toRaw } from './index'
+import { arrayInstrumentations } from './array'
+import { isCollection, collectionInstrumentations } from './collection'
+import { hasOwn, isObject, isValidArrayIndex } from '../util/index'
+
+/**
+ * Create the reactive proxy for an observed value. The value must
+ * already have its __ob__ defined.
+ */
+export function createProxy (value) {
+  const handlers = Array.isArray(value)
+    ? arrayHandlers
+    : isCollection(value)
+      ? collectionHandlers
+      : objectHandlers
+  return new Proxy(value, handlers)
+}
+
+function hasChanged (value, oldValue) {
+  /* eslint-disable no-self-compare */
+  return value !== oldValue && (value === value || oldValue === oldValue)
+  /* eslint-enable no-self-compare */
+}
+
+function get (target, key, receiver) {
+  if (key === '__ob__') {
+    return target.__ob__
+  }
+  const res = Reflect.get(target, key, receiver)
+  if (typeof key === 'symbol') {
+    return res
+  }
+  const ob = target.__ob__
+  ob.dependKey(key)
+  if (!isObject(res)) {
+    return res
+  }
+  // nested values are observed lazily, on first access
+  const childOb = observe(res)
+  if (!childOb) {
+    return res
+  }
+  if (Dep.target) {
+    childOb.dep.depend()
+  }
+  // returning a different value for a non-configurable, non-writable
+  // data property would violate the proxy invariants
+  const desc = Object.getOwnPropertyDescriptor(target, key)
+  if (!childOb.proxy || (desc && !desc.configurable && !desc.writable)) {
+    return res
+  }
+  return childOb.proxy
+}
+
+function set (target, key, value, receiver) {
+  const ob = target.__ob__
+  const isArray = Array.isArray(target)
+  const hadKey = isArray && isValidArrayIndex(key)
+    ? Number(key) < target.length
+    : hasOwn(target, key)
+  const oldValue = target[key]
+  const oldLength = isArray ? target.length : 0
+  const result = Reflect.set(target, key, toRaw(value), receiver)
+  // don't trigger if the set happened on something down the
+  // prototype chain of the receiver
+  if (toRaw(receiver) !== target) {
+    return result
+  }
+  if (!hadKey) {
+    ob.notifyKey(key, 'add')
+    ob.dep.notify(debugInfo(target, key, 'add'))
+  } else if (hasChanged(value, oldValue)) {
+    ob.notifyKey(key)
+    // for arrays, index assignment and length changes are structural
+    // mutations, same as calling one of the mutator methods
+    if (isArray) ob.dep.notify(debugInfo(target, key, 'set'))
+  }
+  if (isArray && key !== 'length' && target.length !== oldLength) {
+    ob.notifyKey('length')
+  }
+  return result
+}
+
+function deleteProperty (target, key) {
+  const hadKey = hasOwn(target, key)
+  const result = Reflect.deleteProperty(target, key)
+  if (result && hadKey) {
+    const ob = target.__ob__
+    ob.notifyKey(key, 'delete')
+    ob.dep.notify(debugInfo(target, key, 'delete'))
+  }
+  return result
+}
+
+function has (target, key) {
+  if (typeof key !== 'symbol' && key !== '__ob__') {
+    target.__ob__.dependKey(key, 'has')
+  }
+  return Reflect.has(target, key)
+}
+
+function ownKeys (target) {
+  target.__ob__.dep.depend(debugInfo(target, undefined, 'iterate'))
+  return Reflect.ownKeys(target)
+}
+
+const objectHandlers = {
+  get,
+  set,
+  deleteProperty,
+  has,
+  ownKeys
+}
+
+const arrayHandlers = {
+  get (target, key, receiver) {
+    if (hasOwn(arrayInstrumentations, key)) {
+      return arrayInstrumentations[key]
+    }
+    return get(target, key, receiver)
+  },
+  set,
+  deleteProperty,
+  has,
+  ownKeys
+}
+
+// Collection methods have to be called on the raw collection (they throw when
+// the receiver is a proxy), so every method is replaced by an instrumented
+// version that does the tracking/triggering itself.
+const collectionHandlers = {
+  get (target, key) {
+    if (key === '__ob__') {
+      return target.__ob__
+    }
+    if (key === 'size') {
+      target.__ob__.dep.depend(debugInfo(target, undefined, 'iterate'))
+      return Reflect.get(target, key, target)
+    }
+    if (hasOwn(collectionInstrumentations, key) && key in target) {
+      return collectionInstrumentations[key]
+    }
+    return Reflect.get(target, key, target)
+  }
+}
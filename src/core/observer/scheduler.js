@@ -1,32 +1,38 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
+import { isProfiling, recordUpdate } from '../util/profiler'
+import { getDevtoolsHook } from '../devtools/index'
 
 import {
   warn,
   nextTick,
-  devtools,
   inBrowser,
   isIE
 } from '../util/index'
 
 export const MAX_UPDATE_COUNT = 100
 
+// pre-render queue: render watchers and the user watchers flushed before them
 const queue: Array<Watcher> = []
+// post-render queue: user watchers flushed after the tree has been patched
+const postQueue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
 let has: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
 let waiting = false
 let flushing = false
 let index = 0
+let postIndex = 0
 
 /**
  * Reset the scheduler's state.
  */
 function resetSchedulerState () {
-  index = queue.length = activatedChildren.length = 0
+  index = postIndex = queue.length = postQueue.length = activatedChildren.length = 0
   has = {}
   if (process.env.NODE_ENV !== 'production') {
     circular = {}
@@ -65,15 +71,16 @@ if (inBrowser && !isIE) {
   }
 }
 
+const sortById = (a: Watcher, b: Watcher) => a.id - b.id
+
 /**
  * Flush both queues and run the watchers.
  */
 function flushSchedulerQueue () {
   currentFlushTimestamp = getNow()
   flushing = true
-  let watcher, id
 
-  // Sort queue before flush.
+  // Sort queues before flush.
   // This ensures that:
   // 1. Components are updated from parent to child. (because parent is always
   //    created before the child)
@@ -81,33 +88,26 @@ function flushSchedulerQueue () {
   //    user watchers are created before the render watcher)
   // 3. If a component is destroyed during a parent component's watcher run,
   //    its watchers can be skipped.
-  queue.sort((a, b) => a.id - b.id)
+  queue.sort(sortById)
+  postQueue.sort(sortById)
 
+  // post-render watchers may change state and queue more pre-render
+  // watchers, so keep flushing until both queues are drained.
   // do not cache length because more watchers might be pushed
   // as we run existing watchers
-  for (index = 0; index < queue.length; index++) {
-    watcher = queue[index]
-    if (watcher.before) {
-      watcher.before()
-    }
-    id = watcher.id
-    has[id] = null
-    watcher.run()
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
+  let aborted = false
+  while (!aborted && (index < queue.length || postIndex < postQueue.length)) {
+    for (; index < queue.length; index++) {
+      if (!runWatcher(queue[index])) {
+        aborted = true
         break
       }
     }
+    for (; !aborted && postIndex < postQueue.length; postIndex++) {
+      if (!runWatcher(postQueue[postIndex])) {
+        aborted = true
+      }
+    }
   }
 
   // keep copies of post queues before resetting state
@@ -121,18 +121,48 @@ function flushSchedulerQueue () {
   callUpdatedHooks(updatedQueue)
 
   // devtool hook
+  const devtoolsHook = getDevtoolsHook()
   /* istanbul ignore if */
-  if (devtools && config.devtools) {
-    devtools.emit('flush')
+  if (devtoolsHook) {
+    devtoolsHook.emit('flush')
   }
 }
 
+/**
+ * Run a queued watcher. Returns false when the flush should be
+ * stopped because of an infinite update loop.
+ */
+function runWatcher (watcher: Watcher): boolean {
+  if (watcher.before) {
+    watcher.before()
+  }
+  const id = watcher.id
+  has[id] = null
+  watcher.run()
+  // in dev build, check and stop circular updates.
+  if (process.env.NODE_ENV !== 'production' && has[id] != null) {
+    circular[id] = (circular[id] || 0) + 1
+    if (circular[id] > MAX_UPDATE_COUNT) {
+      warn(
+        'You may have an infinite update loop ' + (
+          watcher.user
+            ? `in watcher with expression "${watcher.expression}"`
+            : `in a component render function.`
+        ),
+        watcher.vm
+      )
+      return false
+    }
+  }
+  return true
+}
+
 function callUpdatedHooks (queue) {
   let i = queue.length
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, 'updated')
     }
   }
@@ -157,24 +187,34 @@ function callActivatedHooks (queue) {
 }
 
 /**
- * Push a watcher into the watcher queue.
+ * Push a watcher into the watcher queue matching its flush timing.
+ * Watchers with `flush: 'post'` go to the post-render queue, all
+ * others to the pre-render queue.
  * Jobs with duplicate IDs will be skipped unless it's
  * pushed when the queue is being flushed.
  */
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DebuggerEventInfo) {
   const id = watcher.id
+  const vm = watcher.vm
+  // record why components update, even if they are already queued
+  if (process.env.NODE_ENV !== 'production' && isProfiling() && vm && vm._watcher === watcher) {
+    recordUpdate(vm, info)
+  }
   if (has[id] == null) {
     has[id] = true
+    const isPost = watcher.flush === 'post'
+    const target = isPost ? postQueue : queue
     if (!flushing) {
-      queue.push(watcher)
+      target.push(watcher)
     } else {
       // if already flushing, splice the watcher based on its id
       // if already past its id, it will be run next immediately.
-      let i = queue.length - 1
-      while (i > index && queue[i].id > watcher.id) {
+      const start = isPost ? postIndex : index
+      let i = target.length - 1
+      while (i > start && target[i].id > watcher.id) {
         i--
       }
-      queue.splice(i + 1, 0, watcher)
+      target.splice(i + 1, 0, watcher)
     }
     // queue the flush
     if (!waiting) {
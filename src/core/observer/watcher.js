@@ -13,8 +13,10 @@ import {
 import { traverse } from './traverse'
 import { queueWatcher } from './scheduler'
 import Dep, { pushTarget, popTarget } from './dep'
+import { recordEffectScope } from '../reactivity/effect-scope'
 
 import type { SimpleSet } from '../util/index'
+import type { DebuggerEventInfo } from './dep'
 
 let uid = 0
 
@@ -22,9 +24,11 @@ let uid = 0
  * A watcher parses an expression, collects dependencies,
  * and fires callback when the expression value changes.
  * This is used for both the $watch() api and directives.
+ * Watchers created without a vm (standalone reactivity API)
+ * belong to the active effect scope instead.
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
@@ -32,6 +36,7 @@ export default class Watcher {
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  flush: 'pre' | 'post' | 'sync';
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -39,30 +44,42 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  onTrack: ?Function;
+  onTrigger: ?Function;
   getter: Function;
   value: any;
 
   constructor (
-    vm: Component,
+    vm: ?Component,
     expOrFn: string | Function,
     cb: Function,
     options?: ?Object,
     isRenderWatcher?: boolean
   ) {
     this.vm = vm
-    if (isRenderWatcher) {
-      vm._watcher = this
+    if (vm) {
+      if (isRenderWatcher) {
+        vm._watcher = this
+      }
+      vm._watchers.push(this)
+    } else {
+      recordEffectScope(this)
     }
-    vm._watchers.push(this)
     // options
     if (options) {
       this.deep = !!options.deep
       this.user = !!options.user
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      this.sync = !!options.sync || options.flush === 'sync'
+      this.flush = this.sync ? 'sync' : options.flush || 'pre'
       this.before = options.before
+      if (process.env.NODE_ENV !== 'production') {
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
       this.deep = this.user = this.lazy = this.sync = false
+      this.flush = 'pre'
     }
     this.cb = cb
     this.id = ++uid // uid for batching
@@ -161,14 +178,14 @@ export default class Watcher {
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (info?: DebuggerEventInfo) {
     /* istanbul ignore else */
     if (this.lazy) {
       this.dirty = true
     } else if (this.sync) {
       this.run()
     } else {
-      queueWatcher(this)
+      queueWatcher(this, info)
     }
   }
 
@@ -230,8 +247,9 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
       let i = this.deps.length
       while (i--) {
@@ -0,0 +1,51 @@
+/* @flow */
+
+import Dep from '../observer/dep'
+import Watcher from '../observer/watcher'
+import { warn, noop, def, isServerRendering } from '../util/index'
+
+import type { Ref } from './ref'
+
+/**
+ * Create a cached ref whose value is derived from a getter, the same way
+ * the computed option does for component instances.
+ */
+export function computed (getterOrOptions: Function | Object): Ref {
+  let getter: Function, setter: Function
+  if (typeof getterOrOptions === 'function') {
+    getter = getterOrOptions
+    setter = process.env.NODE_ENV !== 'production'
+      ? () => { warn('Write operation failed: computed value is readonly') }
+      : noop
+  } else {
+    getter = getterOrOptions.get
+    setter = getterOrOptions.set || noop
+  }
+
+  // computed values are just getters during SSR
+  const watcher = isServerRendering()
+    ? null
+    : new Watcher(null, getter, noop, { lazy: true })
+
+  const r = {
+    effect: watcher,
+    get value () {
+      if (watcher) {
+        if (watcher.dirty) {
+          watcher.evaluate()
+        }
+        if (Dep.target) {
+          watcher.depend()
+        }
+        return watcher.value
+      } else {
+        return getter()
+      }
+    },
+    set value (newVal) {
+      setter(newVal)
+    }
+  }
+  def(r, '__isRef', true)
+  return r
+}
@@ -0,0 +1,95 @@
+/* @flow */
+
+import type Watcher from '../observer/watcher'
+import { warn, remove } from '../util/index'
+
+export let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects the watchers created while it runs so
+ * that they can be stopped together.
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  cleanups: Array<Function>;
+  scopes: Array<EffectScope>;
+  parent: ?EffectScope;
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.cleanups = []
+    this.scopes = []
+    this.parent = activeEffectScope
+    if (!detached && activeEffectScope) {
+      activeEffectScope.scopes.push(this)
+    }
+  }
+
+  run (fn: Function): any {
+    if (this.active) {
+      const currentEffectScope = activeEffectScope
+      try {
+        activeEffectScope = this
+        return fn()
+      } finally {
+        activeEffectScope = currentEffectScope
+      }
+    } else if (process.env.NODE_ENV !== 'production') {
+      warn(`cannot run an inactive effect scope.`)
+    }
+  }
+
+  stop () {
+    if (this.active) {
+      let i
+      for (i = 0; i < this.effects.length; i++) {
+        this.effects[i].teardown()
+      }
+      for (i = 0; i < this.cleanups.length; i++) {
+        this.cleanups[i]()
+      }
+      // child scopes remove themselves from this.scopes when stopped
+      const scopes = this.scopes.slice()
+      for (i = 0; i < scopes.length; i++) {
+        scopes[i].stop()
+      }
+      if (this.parent) {
+        remove(this.parent.scopes, this)
+      }
+      this.active = false
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+/**
+ * Register a watcher to the currently active effect scope.
+ */
+export function recordEffectScope (effect: Watcher, scope: ?EffectScope = activeEffectScope) {
+  if (scope && scope.active) {
+    scope.effects.push(effect)
+  }
+}
+
+export function getCurrentScope (): ?EffectScope {
+  return activeEffectScope
+}
+
+/**
+ * Register a callback to be called when the active effect scope is stopped.
+ */
+export function onScopeDispose (fn: Function) {
+  if (activeEffectScope) {
+    activeEffectScope.cleanups.push(fn)
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `onScopeDispose() is called when there is no active effect scope ` +
+      `to be associated with.`
+    )
+  }
+}
@@ -0,0 +1,12 @@
+/* @flow */
+
+export { reactive, isReactive, toRaw } from './reactive'
+export { ref, isRef, unref } from './ref'
+export { computed } from './computed'
+export { watch, watchEffect } from './watch'
+export {
+  EffectScope,
+  effectScope,
+  getCurrentScope,
+  onScopeDispose
+} from './effect-scope'
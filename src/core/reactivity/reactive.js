@@ -0,0 +1,24 @@
+/* @flow */
+
+import { Observer, toReactive } from '../observer/index'
+import { warn, isObject } from '../util/index'
+
+export { toRaw } from '../observer/index'
+
+/**
+ * Make an object deeply reactive. In accessor mode the object is converted
+ * in place and returned as is, in proxy mode its reactive proxy is returned.
+ */
+export function reactive<T> (target: T): T {
+  if (!isObject(target)) {
+    if (process.env.NODE_ENV !== 'production') {
+      warn(`value cannot be made reactive: ${String(target)}`)
+    }
+    return target
+  }
+  return toReactive(target)
+}
+
+export function isReactive (value: any): boolean {
+  return isObject(value) && value.__ob__ instanceof Observer
+}
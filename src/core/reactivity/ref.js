@@ -0,0 +1,28 @@
+/* @flow */
+
+import { defineReactive } from '../observer/index'
+import { def } from '../util/index'
+
+export type Ref = { value: any };
+
+/**
+ * Create a reactive and mutable reference holding a single value. Object
+ * values are made deeply reactive.
+ */
+export function ref (value: any): Ref {
+  if (isRef(value)) {
+    return value
+  }
+  const r = {}
+  def(r, '__isRef', true)
+  defineReactive(r, 'value', value)
+  return (r: any)
+}
+
+export function isRef (r: any): boolean {
+  return !!(r && r.__isRef === true)
+}
+
+export function unref (r: any): any {
+  return isRef(r) ? r.value : r
+}
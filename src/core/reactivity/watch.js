@@ -0,0 +1,129 @@
+/* @flow */
+
+import Watcher from '../observer/watcher'
+import { isRef } from './ref'
+import { isReactive } from './reactive'
+import { warn, noop, handleError } from '../util/index'
+
+type WatchOptions = {
+  immediate?: boolean;
+  deep?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  onTrack?: Function;
+  onTrigger?: Function;
+};
+
+/**
+ * Watch one or more reactive sources (refs, reactive objects or getter
+ * functions) and invoke the callback when they change. Returns a function
+ * that stops the watcher.
+ */
+export function watch (
+  source: any,
+  cb: Function,
+  options?: WatchOptions
+): Function {
+  if (process.env.NODE_ENV !== 'production' && typeof cb !== 'function') {
+    warn(
+      `watch() expects a callback function as its second argument. ` +
+      `Use watchEffect(fn) to run an effect without a callback.`
+    )
+  }
+  return doWatch(source, cb, options)
+}
+
+/**
+ * Run a function immediately while tracking its dependencies, and
+ * re-run it whenever they change.
+ */
+export function watchEffect (effect: Function, options?: WatchOptions): Function {
+  return doWatch(effect, null, options)
+}
+
+function doWatch (
+  source: any,
+  cb: ?Function,
+  { immediate, deep, flush, onTrack, onTrigger }: WatchOptions = {}
+): Function {
+  const warnInvalidSource = (s: any) => {
+    warn(
+      `Invalid watch source: ${String(s)}. A watch source can only be a getter/effect ` +
+      `function, a ref, a reactive object, or an array of these types.`
+    )
+  }
+
+  let cleanup: ?Function
+  const onCleanup = (fn: Function) => {
+    cleanup = fn
+  }
+  const runCleanup = () => {
+    if (cleanup) {
+      const fn = cleanup
+      cleanup = null
+      fn()
+    }
+  }
+
+  let getter: Function
+  if (isRef(source)) {
+    getter = () => source.value
+  } else if (isReactive(source)) {
+    getter = () => source
+    deep = true
+  } else if (Array.isArray(source)) {
+    deep = deep || source.some(isReactive)
+    getter = () => source.map(s => {
+      if (isRef(s)) {
+        return s.value
+      } else if (isReactive(s)) {
+        return s
+      } else if (typeof s === 'function') {
+        return s()
+      } else {
+        process.env.NODE_ENV !== 'production' && warnInvalidSource(s)
+      }
+    })
+  } else if (typeof source === 'function') {
+    if (cb) {
+      getter = source
+    } else {
+      // no cb -> simple effect
+      getter = () => {
+        runCleanup()
+        return source(onCleanup)
+      }
+    }
+  } else {
+    getter = noop
+    process.env.NODE_ENV !== 'production' && warnInvalidSource(source)
+  }
+
+  const callback = cb
+    ? (value, oldValue) => {
+      runCleanup()
+      // $flow-disable-line
+      cb(value, oldValue, onCleanup)
+    }
+    : noop
+
+  const watcher = new Watcher(null, getter, callback, {
+    user: true,
+    deep,
+    flush,
+    onTrack,
+    onTrigger
+  })
+
+  if (cb && immediate) {
+    try {
+      cb(watcher.value, undefined, onCleanup)
+    } catch (error) {
+      handleError(error, null, `callback for immediate watcher "${watcher.expression}"`)
+    }
+  }
+
+  return function stop () {
+    watcher.teardown()
+    runCleanup()
+  }
+}
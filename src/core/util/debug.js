@@ -18,8 +18,11 @@ if (process.env.NODE_ENV !== 'production') {
   warn = (msg, vm) => {
     const trace = vm ? generateComponentTrace(vm) : ''
 
-    if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
+    // an app created with createApp() may have its own warn handler
+    const appContext = vm && vm.$options && vm.$options._appContext
+    const warnHandler = (appContext && appContext.config.warnHandler) || config.warnHandler
+    if (warnHandler) {
+      warnHandler.call(null, msg, vm, trace)
     } else if (hasConsole && (!config.silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
@@ -11,21 +11,8 @@ export function handleError (err: Error, vm: any, info: string) {
   // See: https://github.com/vuejs/vuex/issues/1505
   pushTarget()
   try {
-    if (vm) {
-      let cur = vm
-      while ((cur = cur.$parent)) {
-        const hooks = cur.$options.errorCaptured
-        if (hooks) {
-          for (let i = 0; i < hooks.length; i++) {
-            try {
-              const capture = hooks[i].call(cur, err, vm, info) === false
-              if (capture) return
-            } catch (e) {
-              globalHandleError(e, cur, 'errorCaptured hook')
-            }
-          }
-        }
-      }
+    if (vm && captureError(err, vm, info)) {
+      return
     }
     globalHandleError(err, vm, info)
   } finally {
@@ -33,6 +20,27 @@ export function handleError (err: Error, vm: any, info: string) {
   }
 }
 
+/**
+ * Call the errorCaptured hooks of the ancestors of vm until one of them
+ * returns false. Returns the component that stopped the propagation.
+ */
+export function captureError (err: Error, vm: Component, info: string): ?Component {
+  let cur = vm
+  while ((cur = cur.$parent)) {
+    const hooks = cur.$options.errorCaptured
+    if (hooks) {
+      for (let i = 0; i < hooks.length; i++) {
+        try {
+          const capture = hooks[i].call(cur, err, vm, info) === false
+          if (capture) return cur
+        } catch (e) {
+          globalHandleError(e, cur, 'errorCaptured hook')
+        }
+      }
+    }
+  }
+}
+
 export function invokeWithErrorHandling (
   handler: Function,
   context: any,
@@ -56,9 +64,12 @@ export function invokeWithErrorHandling (
 }
 
 function globalHandleError (err, vm, info) {
-  if (config.errorHandler) {
+  // an app created with createApp() may have its own error handler
+  const appContext = vm && vm.$options && vm.$options._appContext
+  const errorHandler = (appContext && appContext.config.errorHandler) || config.errorHandler
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info)
+      return errorHandler.call(null, err, vm, info)
     } catch (e) {
       // if the user intentionally throws the original error in the handler,
       // do not log it twice
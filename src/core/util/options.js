@@ -391,6 +391,12 @@ strats.computed = function (
 // provide 选项的合并策略与 data 选项的合并策略相同，都是使用 mergeDataOrFn 函数
 strats.provide = mergeDataOrFn
 
+/**
+ * Setup functions are merged into an array like lifecycle hooks, so that the
+ * setup() of every mixin runs and contributes its own bindings.
+ */
+strats.setup = mergeHook
+
 /**
  * Default strategy. 默认策略： 只要子选项不是undefined，那么就用子选项，否则使用复选项
  */
@@ -713,6 +719,14 @@ export function resolveAsset(
 	if (hasOwn(assets, camelizedId)) return assets[camelizedId]
 	const PascalCaseId = capitalize(camelizedId)
 	if (hasOwn(assets, PascalCaseId)) return assets[PascalCaseId]
+	// 然后检查 createApp() 创建的 app 中注册的资源
+	const appContext = options._appContext
+	if (appContext) {
+		const appAssets = appContext[type]
+		if (hasOwn(appAssets, id)) return appAssets[id]
+		if (hasOwn(appAssets, camelizedId)) return appAssets[camelizedId]
+		if (hasOwn(appAssets, PascalCaseId)) return appAssets[PascalCaseId]
+	}
 	// fallback to prototype chain
 	const res = assets[id] || assets[camelizedId] || assets[PascalCaseId]
 	if (process.env.NODE_ENV !== 'production' && warnMissing && !res) {
@@ -1,20 +1,43 @@
+import config from '../config'
 import { inBrowser } from './env'
+import { now, isProfiling, recordMeasure } from './profiler'
 
 export let mark
 export let measure
+export let isMeasuring = () => false
 
 if (process.env.NODE_ENV !== 'production') {
   const perf = inBrowser && window.performance
-  /* istanbul ignore if */
-  if (
+  const hasUserTiming = !!(
     perf &&
     perf.mark &&
     perf.measure &&
     perf.clearMarks &&
     perf.clearMeasures
-  ) {
-    mark = tag => perf.mark(tag)
-    measure = (name, startTag, endTag) => {
+  )
+  // mark timestamps for the profiler, which also works outside browsers
+  const timestamps = Object.create(null)
+
+  /* istanbul ignore next */
+  const useUserTiming = () => config.performance && hasUserTiming
+
+  isMeasuring = () => useUserTiming() || isProfiling()
+
+  mark = tag => {
+    if (isProfiling()) {
+      timestamps[tag] = now()
+    }
+    if (useUserTiming()) {
+      perf.mark(tag)
+    }
+  }
+  measure = (name, startTag, endTag, vm, phase) => {
+    if (vm && phase) {
+      recordMeasure(vm, phase, timestamps[startTag], timestamps[endTag])
+    }
+    delete timestamps[startTag]
+    delete timestamps[endTag]
+    if (useUserTiming()) {
       perf.measure(name, startTag, endTag)
       perf.clearMarks(startTag)
       perf.clearMarks(endTag)
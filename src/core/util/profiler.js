@@ -0,0 +1,193 @@
+/* @flow */
+
+import { formatComponentName } from './debug'
+
+type ProfilerPhase = 'init' | 'compile' | 'render' | 'patch';
+
+type ProfilerMeasure = {
+  uid: number | string;
+  name: string;
+  phase: ProfilerPhase;
+  start: number;
+  duration: number;
+};
+
+type ProfilerUpdate = {
+  uid: number | string;
+  name: string;
+  time: number;
+  reason: ?{ type: string; key: string };
+};
+
+type ComponentProfile = {
+  uid: number | string;
+  name: string;
+  init: number;
+  compile: number;
+  render: number;
+  patch: number;
+  renders: number;
+  updates: Array<?{ type: string; key: string }>;
+};
+
+const hasPerformanceNow =
+  typeof performance !== 'undefined' && typeof performance.now === 'function'
+
+export const now: () => number = hasPerformanceNow
+  ? () => performance.now()
+  : Date.now
+
+let recording = false
+let measures: Array<ProfilerMeasure> = []
+let updates: Array<ProfilerUpdate> = []
+
+export function isProfiling (): boolean {
+  return recording
+}
+
+function getName (vm: Component): string {
+  return vm._name || (vm._name = formatComponentName(vm, false))
+}
+
+/**
+ * Record the duration of a phase of a component, measured between two
+ * mark points of the instance.
+ */
+export function recordMeasure (
+  vm: Component,
+  phase: ProfilerPhase,
+  start: ?number,
+  end: ?number
+) {
+  if (recording && start != null && end != null) {
+    measures.push({
+      uid: vm._uid,
+      name: getName(vm),
+      phase,
+      start,
+      duration: end - start
+    })
+  }
+}
+
+/**
+ * Record why the render watcher of a component has been queued. The reason
+ * is the reactive operation that triggered it, or null for $forceUpdate().
+ */
+export function recordUpdate (vm: Component, info: ?{ type: string; key: any }) {
+  if (recording) {
+    updates.push({
+      uid: vm._uid,
+      name: getName(vm),
+      time: now(),
+      reason: info ? { type: info.type, key: String(info.key) } : null
+    })
+  }
+}
+
+function summarize (): Array<ComponentProfile> {
+  const profiles: { [uid: number | string]: ComponentProfile } = {}
+  const list = []
+  const getProfile = ({ uid, name }) => {
+    let profile = profiles[uid]
+    if (!profile) {
+      profile = profiles[uid] = {
+        uid,
+        name,
+        init: 0,
+        compile: 0,
+        render: 0,
+        patch: 0,
+        renders: 0,
+        updates: []
+      }
+      list.push(profile)
+    }
+    return profile
+  }
+  measures.forEach(measure => {
+    const profile = getProfile(measure)
+    profile[measure.phase] += measure.duration
+    if (measure.phase === 'render') {
+      profile.renders++
+    }
+  })
+  updates.forEach(update => {
+    getProfile(update).updates.push(update.reason)
+  })
+  return list
+}
+
+function toMicroseconds (ms: number): number {
+  return Math.round(ms * 1000)
+}
+
+/**
+ * The profiler records the init, compile, render and patch durations of
+ * every component instance, and the reason of every component update.
+ * Only development builds have the mark points it relies on.
+ */
+export const profiler = {
+  start () {
+    measures = []
+    updates = []
+    recording = true
+  },
+
+  stop (): Array<ComponentProfile> {
+    recording = false
+    return summarize()
+  },
+
+  isRecording (): boolean {
+    return recording
+  },
+
+  /**
+   * Durations in milliseconds aggregated per component instance.
+   */
+  summary (): Array<ComponentProfile> {
+    return summarize()
+  },
+
+  /**
+   * Export the records in the Chrome trace event format, the returned JSON
+   * can be loaded in the Performance panel of the Chrome devtools.
+   */
+  exportTrace (): string {
+    const traceEvents: Array<Object> = []
+    measures.forEach(({ uid, name, phase, start, duration }) => {
+      traceEvents.push({
+        name: `${name} ${phase}`,
+        cat: phase,
+        ph: 'X',
+        ts: toMicroseconds(start),
+        dur: toMicroseconds(duration),
+        pid: 1,
+        tid: 1,
+        args: { uid, component: name }
+      })
+    })
+    updates.forEach(({ uid, name, time, reason }) => {
+      traceEvents.push({
+        name: `${name} update`,
+        cat: 'update',
+        ph: 'i',
+        s: 't',
+        ts: toMicroseconds(time),
+        pid: 1,
+        tid: 1,
+        args: { uid, component: name, reason }
+      })
+    })
+    traceEvents.sort((a, b) => a.ts - b.ts)
+    traceEvents.unshift({
+      name: 'process_name',
+      ph: 'M',
+      pid: 1,
+      tid: 1,
+      args: { name: 'Vue' }
+    })
+    return JSON.stringify({ traceEvents, displayTimeUnit: 'ms' })
+  }
+}
@@ -53,6 +53,14 @@ const componentVNodeHooks = {
   },
 
   prepatch (oldVnode: MountedComponentVNode, vnode: MountedComponentVNode) {
+    const lazy = oldVnode.lazyHydration
+    if (lazy) {
+      // not hydrated yet, it will be updated to the latest vnode
+      lazy.vnode = vnode
+      vnode.lazyHydration = lazy
+      oldVnode.lazyHydration = undefined
+      return
+    }
     const options = vnode.componentOptions
     const child = vnode.componentInstance = oldVnode.componentInstance
     updateChildComponent(
@@ -85,7 +93,12 @@ const componentVNodeHooks = {
   },
 
   destroy (vnode: MountedComponentVNode) {
-    const { componentInstance } = vnode
+    const { componentInstance, lazyHydration } = vnode
+    if (lazyHydration) {
+      vnode.lazyHydration = undefined
+      if (lazyHydration.teardown) lazyHydration.teardown()
+      return
+    }
     if (!componentInstance._isDestroyed) {
       if (!vnode.data.keepAlive) {
         componentInstance.$destroy()
@@ -172,14 +185,27 @@ export function createComponent (
 
   if (isTrue(Ctor.options.abstract)) {
     // abstract components do not keep anything
-    // other than props & listeners & slot
+    // other than props & listeners & slots & refs,
+    // refs give access to instance APIs such as keep-alive's evict()
 
     // work around flow
     const slot = data.slot
+    const scopedSlots = data.scopedSlots
+    const ref = data.ref
+    const refInFor = data.refInFor
     data = {}
     if (slot) {
       data.slot = slot
     }
+    if (scopedSlots) {
+      data.scopedSlots = scopedSlots
+    }
+    if (ref) {
+      data.ref = ref
+    }
+    if (refInFor) {
+      data.refInFor = refInFor
+    }
   }
 
   // install component management hooks onto the placeholder node
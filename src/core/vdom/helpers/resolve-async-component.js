@@ -105,10 +105,10 @@ export function resolveAsyncComponent (
         `Failed to resolve async component: ${String(factory)}` +
         (reason ? `\nReason: ${reason}` : '')
       )
-      if (isDef(factory.errorComp)) {
-        factory.error = true
-        forceRender(true)
-      }
+      factory.error = true
+      // re-render to show the error component. Also lets <suspense>
+      // boundaries waiting for this component know that it has settled.
+      forceRender(true)
     })
 
     const res = factory(resolve, reject)
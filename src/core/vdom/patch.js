@@ -12,11 +12,19 @@
 
 import VNode, { cloneVNode } from './vnode'
 import config from '../config'
-import { SSR_ATTR } from 'shared/constants'
+import { SSR_ATTR, SSR_HYDRATE_ATTR } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
-import { activeInstance } from '../instance/lifecycle'
+import { activeInstance, setActiveInstance } from '../instance/lifecycle'
 import { isTextInputType } from 'web/util/element'
+import {
+  getNodePath,
+  describeNode,
+  describeVNode,
+  getAttrsMismatch,
+  getServerOnlyAttrs,
+  onHydrationTrigger
+} from 'web/util/hydration'
 
 import {
   warn,
@@ -38,6 +46,7 @@ function sameVnode (a, b) {
       (
         a.tag === b.tag &&
         a.isComment === b.isComment &&
+        a.isFragment === b.isFragment &&
         isDef(a.data) === isDef(b.data) &&
         sameInputType(a, b)
       ) || (
@@ -145,6 +154,11 @@ export function createPatchFunction (backend) {
       return
     }
 
+    if (isTrue(vnode.isFragment)) {
+      createFragment(vnode, insertedVnodeQueue, parentElm, refElm)
+      return
+    }
+
     const data = vnode.data
     const children = vnode.children
     const tag = vnode.tag
@@ -220,7 +234,7 @@ export function createPatchFunction (backend) {
       // in that case we can just return the element and be done.
       if (isDef(vnode.componentInstance)) {
         initComponent(vnode, insertedVnodeQueue)
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
         if (isTrue(isReactivated)) {
           reactivateComponent(vnode, insertedVnodeQueue, parentElm, refElm)
         }
@@ -266,7 +280,153 @@ export function createPatchFunction (backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
+    insertVnode(parentElm, vnode, refElm)
+  }
+
+  function createFragment (vnode, insertedVnodeQueue, parentElm, refElm) {
+    const children = vnode.children
+    if (process.env.NODE_ENV !== 'production') {
+      checkDuplicateKeys(children)
+    }
+    const teleport = vnode.teleport
+    vnode.elm = nodeOps.createComment(teleport ? 'teleport start' : '[')
+    vnode.anchor = nodeOps.createComment(teleport ? 'teleport end' : ']')
     insert(parentElm, vnode.elm, refElm)
+    const target = teleport ? resolveTeleportTarget(teleport) : null
+    if (target) {
+      vnode.target = target
+      vnode.targetAnchor = nodeOps.createTextNode('')
+      insert(target, vnode.targetAnchor)
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, target, vnode.targetAnchor, true, children, i)
+      }
+    } else {
+      for (let i = 0; i < children.length; ++i) {
+        createElm(children[i], insertedVnodeQueue, parentElm, refElm, true, children, i)
+      }
+    }
+    insert(parentElm, vnode.anchor, refElm)
+  }
+
+  // the element a teleport renders into, or null if it is disabled
+  function resolveTeleportTarget (teleport) {
+    if (teleport.disabled) {
+      return null
+    }
+    const to = teleport.to
+    const target = typeof to === 'string'
+      ? isDef(nodeOps.querySelector) ? nodeOps.querySelector(to) : null
+      : to
+    if (process.env.NODE_ENV !== 'production' && !target) {
+      warn(
+        `Invalid teleport target: ${String(to)}. ` +
+        `The content is rendered in place instead.`
+      )
+    }
+    return target || null
+  }
+
+  function patchTeleport (oldVnode, vnode, insertedVnodeQueue, removeOnly) {
+    const oldCh = oldVnode.children
+    const ch = vnode.children
+    const oldTarget = vnode.target = oldVnode.target
+    let targetAnchor = vnode.targetAnchor = oldVnode.targetAnchor
+    // patch the children where they currently are
+    if (oldCh !== ch) {
+      if (oldTarget) {
+        updateChildren(oldTarget, oldCh, ch, insertedVnodeQueue, removeOnly, targetAnchor)
+      } else {
+        const parentElm = nodeOps.parentNode(vnode.elm)
+        updateChildren(parentElm, oldCh, ch, insertedVnodeQueue, removeOnly || !parentElm, vnode.anchor)
+      }
+    }
+    // then move them if the target has changed
+    const oldTeleport = oldVnode.teleport
+    const teleport = vnode.teleport
+    if (oldTeleport.to === teleport.to && oldTeleport.disabled === teleport.disabled) {
+      return
+    }
+    const target = resolveTeleportTarget(teleport)
+    if (target === oldTarget) {
+      return
+    }
+    if (target) {
+      if (isUndef(targetAnchor)) {
+        targetAnchor = vnode.targetAnchor = nodeOps.createTextNode('')
+      }
+      insert(target, targetAnchor)
+      for (let i = 0; i < ch.length; ++i) {
+        insertVnode(target, ch[i], targetAnchor)
+      }
+    } else {
+      const parentElm = nodeOps.parentNode(vnode.anchor)
+      for (let i = 0; i < ch.length; ++i) {
+        insertVnode(parentElm, ch[i], vnode.anchor)
+      }
+      removeNode(targetAnchor)
+      vnode.targetAnchor = undefined
+    }
+    vnode.target = target || undefined
+  }
+
+  // the fragment rendered by a vnode, either directly or as the root of
+  // a (possibly nested) child component
+  function getFragment (vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return isTrue(vnode.isFragment) ? vnode : undefined
+  }
+
+  // last DOM node of a vnode, the end anchor for fragments
+  function getLastElm (vnode) {
+    const fragment = getFragment(vnode)
+    return fragment ? fragment.anchor : vnode.elm
+  }
+
+  // insert or move all DOM nodes of a vnode. The nodes of a fragment are
+  // collected from the vnode tree, because they may not be attached yet
+  // (e.g. a fragment component root created before being inserted).
+  function insertVnode (parentElm, vnode, refElm) {
+    const fragment = getFragment(vnode)
+    if (fragment) {
+      const children = fragment.children
+      insert(parentElm, fragment.elm, refElm)
+      // teleported children stay in their target
+      if (isUndef(fragment.target)) {
+        for (let i = 0; i < children.length; ++i) {
+          insertVnode(parentElm, children[i], refElm)
+        }
+      }
+      insert(parentElm, fragment.anchor, refElm)
+    } else {
+      insert(parentElm, vnode.elm, refElm)
+    }
+  }
+
+  function moveVnode (parentElm, vnode, refElm) {
+    if (isDef(getFragment(vnode))) {
+      insertVnode(parentElm, vnode, refElm)
+    } else {
+      nodeOps.insertBefore(parentElm, vnode.elm, refElm)
+    }
+  }
+
+  function removeFragment (fragment) {
+    const children = fragment.children
+    for (let i = 0; i < children.length; ++i) {
+      const ch = children[i]
+      if (isDef(ch.tag) || isTrue(ch.isFragment)) {
+        removeAndInvokeRemoveHook(ch)
+      } else { // Text node
+        removeNode(ch.elm)
+      }
+    }
+    removeNode(fragment.elm)
+    removeNode(fragment.anchor)
+    if (isDef(fragment.targetAnchor)) {
+      removeNode(fragment.targetAnchor)
+    }
   }
 
   function insert (parent, elm, ref) {
@@ -362,7 +522,7 @@ export function createPatchFunction (backend) {
     for (; startIdx <= endIdx; ++startIdx) {
       const ch = vnodes[startIdx]
       if (isDef(ch)) {
-        if (isDef(ch.tag)) {
+        if (isDef(ch.tag) || isTrue(ch.isFragment)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
         } else { // Text node
@@ -373,7 +533,12 @@ export function createPatchFunction (backend) {
   }
 
   function removeAndInvokeRemoveHook (vnode, rm) {
-    if (isDef(rm) || isDef(vnode.data)) {
+    const fragment = getFragment(vnode)
+    if (isDef(fragment)) {
+      // remove hooks (e.g. leave transitions) apply to each root node
+      // of the fragment instead
+      removeFragment(fragment)
+    } else if (isDef(rm) || isDef(vnode.data)) {
       let i
       const listeners = cbs.remove.length + 1
       if (isDef(rm)) {
@@ -401,7 +566,7 @@ export function createPatchFunction (backend) {
     }
   }
 
-  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren (parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endElm) {
     let oldStartIdx = 0
     let newStartIdx = 0
     let oldEndIdx = oldCh.length - 1
@@ -436,12 +601,12 @@ export function createPatchFunction (backend) {
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldStartVnode, newEndVnode)) { // Vnode moved right
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && moveVnode(parentElm, oldStartVnode, nodeOps.nextSibling(getLastElm(oldEndVnode)))
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && moveVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
       } else {
@@ -456,7 +621,7 @@ export function createPatchFunction (backend) {
           if (sameVnode(vnodeToMove, newStartVnode)) {
             patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
             oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && moveVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // same key but different element. treat as new element
             createElm(newStartVnode, insertedVnodeQueue, parentElm, oldStartVnode.elm, false, newCh, newStartIdx)
@@ -466,7 +631,8 @@ export function createPatchFunction (backend) {
       }
     }
     if (oldStartIdx > oldEndIdx) {
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      // endElm is the end anchor when patching the children of a fragment
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endElm : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       removeVnodes(oldCh, oldStartIdx, oldEndIdx)
@@ -547,6 +713,19 @@ export function createPatchFunction (backend) {
 
     const oldCh = oldVnode.children
     const ch = vnode.children
+    if (isTrue(vnode.isFragment)) {
+      // the children of a fragment are siblings of its anchors
+      vnode.anchor = oldVnode.anchor
+      if (isDef(vnode.teleport)) {
+        patchTeleport(oldVnode, vnode, insertedVnodeQueue, removeOnly)
+      } else if (oldCh !== ch) {
+        const parentElm = nodeOps.parentNode(elm)
+        // nodes of a detached fragment (e.g. an inactive kept-alive
+        // component) are re-inserted from the vnode tree, skip moving them
+        updateChildren(parentElm, oldCh, ch, insertedVnodeQueue, removeOnly || !parentElm, vnode.anchor)
+      }
+      return
+    }
     if (isDef(data) && isPatchable(vnode)) {
       for (i = 0; i < cbs.update.length; ++i) cbs.update[i](oldVnode, vnode)
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
@@ -585,13 +764,47 @@ export function createPatchFunction (backend) {
     }
   }
 
-  let hydrationBailed = false
+  // the first mismatch found by a hydration that bails out with the 'warn'
+  // strategy, reported along with the bail out warning
+  let bailedMismatch = null
   // list of modules that can skip create hook during hydration because they
   // are already rendered on the client or has no need for initialization
   // Note: style is excluded because it relies on initial clone for future
   // deep updates (#7063).
   const isRenderedModule = makeMap('attrs,class,staticClass,staticStyle,key')
 
+  function reportHydrationMismatch (node, vnode, details, bail) {
+    if (process.env.NODE_ENV !== 'production') {
+      const msg = `Hydration mismatch at ${getNodePath(node)}:\n` +
+        details.map(detail => `- ${detail}`).join('\n')
+      const vm = vnode.context || activeInstance
+      if (bail && config.hydrationMismatch === 'warn') {
+        bailedMismatch = bailedMismatch || { msg, vm }
+      } else {
+        warn(msg, vm)
+      }
+    }
+  }
+
+  // with the 'warn' strategy a mismatching node bails out the hydration,
+  // otherwise the vnode is rendered on the client in place of the node
+  function handleHydrationMismatch (elm, vnode, details, insertedVnodeQueue) {
+    reportHydrationMismatch(elm, vnode, details, true)
+    if (config.hydrationMismatch === 'warn') {
+      return false
+    }
+    replaceHydratedNode(elm, vnode, insertedVnodeQueue)
+    return true
+  }
+
+  function replaceHydratedNode (elm, vnode, insertedVnodeQueue) {
+    const parentElm = nodeOps.parentNode(elm)
+    createElm(vnode, insertedVnodeQueue, parentElm, elm)
+    if (isDef(parentElm)) {
+      nodeOps.removeChild(parentElm, elm)
+    }
+  }
+
   // Note: this is a browser-only function so we can assume elms are DOM nodes.
   function hydrate (elm, vnode, insertedVnodeQueue, inVPre) {
     let i
@@ -603,13 +816,37 @@ export function createPatchFunction (backend) {
       vnode.isAsyncPlaceholder = true
       return true
     }
-    // assert node match
-    if (process.env.NODE_ENV !== 'production') {
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
+    // nodes are only compared in production to repair them
+    const checkMismatch = process.env.NODE_ENV !== 'production' ||
+      config.hydrationMismatch !== 'warn'
+    let patchAttrs = false
+    if (checkMismatch) {
+      // assert node match
       if (!assertNodeMatch(elm, vnode, inVPre)) {
-        return false
+        return handleHydrationMismatch(elm, vnode, [
+          `expected ${describeVNode(vnode)}, found ${describeNode(elm)}`
+        ], insertedVnodeQueue)
+      }
+      if (isDef(tag) && isDef(data) && isUndef(vnode.componentOptions)) {
+        const details = getAttrsMismatch(elm, vnode)
+        if (details.length) {
+          if (config.hydrationMismatch === 'remount') {
+            return handleHydrationMismatch(elm, vnode, details, insertedVnodeQueue)
+          }
+          reportHydrationMismatch(elm, vnode, details, false)
+          // the create hooks of the modules render them again
+          patchAttrs = config.hydrationMismatch === 'patch'
+        }
       }
     }
     if (isDef(data)) {
+      if (isLazyHydration(elm, vnode)) {
+        deferHydration(elm, vnode)
+        return true
+      }
       if (isDef(i = data.hook) && isDef(i = i.init)) i(vnode, true /* hydrating */)
       if (isDef(i = vnode.componentInstance)) {
         // child component. it should have hydrated its own tree.
@@ -626,66 +863,287 @@ export function createPatchFunction (backend) {
           // v-html and domProps: innerHTML
           if (isDef(i = data) && isDef(i = i.domProps) && isDef(i = i.innerHTML)) {
             if (i !== elm.innerHTML) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('server innerHTML: ', i)
-                console.warn('client innerHTML: ', elm.innerHTML)
+              const details = [
+                `innerHTML: expected ${JSON.stringify(i)}, found ${JSON.stringify(elm.innerHTML)}`
+              ]
+              if (config.hydrationMismatch !== 'patch') {
+                return handleHydrationMismatch(elm, vnode, details, insertedVnodeQueue)
               }
-              return false
+              // the domProps module sets it again
+              reportHydrationMismatch(elm, vnode, details, false)
             }
           } else {
             // iterate and compare children lists
-            let childrenMatch = true
             let childNode = elm.firstChild
-            for (let i = 0; i < children.length; i++) {
+            let i = 0
+            for (; i < children.length; i++) {
               if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
-                childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = getLastElm(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
-            if (!childrenMatch || childNode) {
-              /* istanbul ignore if */
-              if (process.env.NODE_ENV !== 'production' &&
-                typeof console !== 'undefined' &&
-                !hydrationBailed
-              ) {
-                hydrationBailed = true
-                console.warn('Parent: ', elm)
-                console.warn('Mismatching childNodes vs. VNodes: ', elm.childNodes, children)
+            if (i < children.length || childNode) {
+              if (!hydrateChildrenMismatch(elm, vnode, i, childNode, insertedVnodeQueue)) {
+                return false
+              }
+              // the element is rendered on the client unless the child nodes
+              // could be patched
+              if (vnode.elm !== elm) {
+                return true
               }
-              return false
             }
           }
         }
       }
       if (isDef(data)) {
-        let fullInvoke = false
+        let fullInvoke = patchAttrs
         for (const key in data) {
           if (!isRenderedModule(key)) {
             fullInvoke = true
-            invokeCreateHooks(vnode, insertedVnodeQueue)
             break
           }
         }
-        if (!fullInvoke && data['class']) {
+        if (fullInvoke) {
+          if (patchAttrs) {
+            removeServerOnlyAttrs(elm, vnode)
+          }
+          invokeCreateHooks(vnode, insertedVnodeQueue)
+        } else if (data['class']) {
           // ensure collecting deps for deep class bindings for future updates
           traverse(data['class'])
         }
       }
     } else if (elm.data !== vnode.text) {
+      if (checkMismatch && !isTrue(vnode.isComment)) {
+        reportHydrationMismatch(elm, vnode, [
+          `expected text ${JSON.stringify(vnode.text)}, found ${JSON.stringify(elm.data)}`
+        ], false)
+      }
       elm.data = vnode.text
     }
     return true
   }
 
+  // the create hooks of the modules only set the attributes of the vnode
+  function removeServerOnlyAttrs (elm, vnode) {
+    const names = getServerOnlyAttrs(elm, vnode)
+    for (let i = 0; i < names.length; i++) {
+      elm.removeAttribute(names[i])
+    }
+    setScope(vnode)
+  }
+
+  // the server marks the root element of components with a hydrate option
+  function isLazyHydration (elm, vnode) {
+    return isDef(vnode.componentOptions) &&
+      isDef(vnode.componentOptions.Ctor.options.hydrate) &&
+      elm.nodeType === 1 &&
+      elm.hasAttribute(SSR_HYDRATE_ATTR)
+  }
+
+  // leave the server-rendered DOM of a component as is until its hydrate
+  // strategy triggers. The placeholder vnode is replaced by the latest one
+  // when the parent re-renders meanwhile (see the prepatch hook of
+  // components), the component is then hydrated with the vnode the server
+  // rendered and updated to the latest one.
+  function deferHydration (elm, vnode) {
+    const parent = activeInstance
+    const initialVnode = vnode
+    const lazy = vnode.lazyHydration = { vnode, teardown: null }
+    const teardown = onHydrationTrigger(elm, vnode.componentOptions.Ctor.options.hydrate, () => {
+      const vnode = lazy.vnode
+      // already hydrated or destroyed
+      if (vnode.lazyHydration !== lazy) return
+      if (lazy.teardown) lazy.teardown()
+      vnode.lazyHydration = undefined
+      const insertedVnodeQueue = []
+      const restoreActiveInstance = setActiveInstance(parent)
+      initialVnode.data.hook.init(initialVnode, true /* hydrating */)
+      restoreActiveInstance()
+      if (vnode !== initialVnode) {
+        vnode.data.hook.prepatch(initialVnode, vnode)
+        vnode.data.pendingInsert = initialVnode.data.pendingInsert
+      }
+      initComponent(vnode, insertedVnodeQueue)
+      invokeInsertHook(vnode, insertedVnodeQueue, false)
+      elm.removeAttribute(SSR_HYDRATE_ATTR)
+    })
+    if (vnode.lazyHydration === lazy) {
+      lazy.teardown = teardown
+    }
+  }
+
+  // the child nodes of elm stop matching the children of vnode at index, node
+  // being the first DOM node left. Returns whether the hydration can go on.
+  function hydrateChildrenMismatch (elm, vnode, index, node, insertedVnodeQueue) {
+    const children = vnode.children
+    if (index < children.length && node) {
+      // a child that can't be repaired in place, it's been reported already
+      if (config.hydrationMismatch === 'warn') {
+        return false
+      }
+      destroyHydratedChildren(elm, children, index, insertedVnodeQueue)
+      replaceHydratedNode(elm, vnode, insertedVnodeQueue)
+      return true
+    }
+    const details = []
+    for (let i = index; i < children.length; i++) {
+      details.push(`missing ${describeVNode(children[i])}`)
+    }
+    for (let next = node; next; next = next.nextSibling) {
+      details.push(`unexpected ${describeNode(next)}`)
+    }
+    if (config.hydrationMismatch !== 'patch') {
+      if (config.hydrationMismatch !== 'warn') {
+        destroyHydratedChildren(elm, children, index, insertedVnodeQueue)
+      }
+      return handleHydrationMismatch(elm, vnode, details, insertedVnodeQueue)
+    }
+    reportHydrationMismatch(elm, vnode, details, false)
+    for (let i = index; i < children.length; i++) {
+      createElm(children[i], insertedVnodeQueue, elm, null, true, children, i)
+    }
+    while (node) {
+      const next = node.nextSibling
+      nodeOps.removeChild(elm, node)
+      node = next
+    }
+    return true
+  }
+
+  // the children hydrated before the mismatch are rendered again along with
+  // the element, their component instances are destroyed and not inserted
+  function destroyHydratedChildren (elm, children, index, insertedVnodeQueue) {
+    for (let i = 0; i < index; i++) {
+      invokeDestroyHook(children[i])
+    }
+    if (index < children.length && isDef(children[index].elm)) {
+      destroyPartiallyHydrated(children[index])
+    }
+    for (let i = insertedVnodeQueue.length - 1; i >= 0; i--) {
+      if (elm.contains(insertedVnodeQueue[i].elm)) {
+        insertedVnodeQueue.splice(i, 1)
+      }
+    }
+  }
+
+  // the hydration of vnode stopped at a mismatch. The vnodes of its tree
+  // get their elm once they are hydrated: the children before the last one
+  // having it are hydrated, the last one is hydrated up to the mismatch.
+  function destroyPartiallyHydrated (vnode) {
+    if (isDef(vnode.componentInstance) || isDef(vnode.lazyHydration)) {
+      invokeDestroyHook(vnode)
+      return
+    }
+    const children = vnode.children
+    if (isDef(children)) {
+      let last = children.length - 1
+      while (last >= 0 && isUndef(children[last].elm)) last--
+      for (let i = 0; i < last; i++) {
+        invokeDestroyHook(children[i])
+      }
+      if (last >= 0) {
+        destroyPartiallyHydrated(children[last])
+      }
+    }
+  }
+
+  // server-rendered fragments are wrapped in <!--[--> and <!--]--> comments,
+  // teleports in <!--teleport start--> and <!--teleport end--> comments
+  function hydrateFragment (elm, vnode, insertedVnodeQueue, inVPre) {
+    const teleport = vnode.teleport
+    const children = vnode.children
+    let end = false
+    if (isFragmentAnchor(elm, teleport ? 'teleport start' : '[')) {
+      const target = teleport ? resolveTeleportTarget(teleport) : null
+      if (target) {
+        end = hydrateTeleportTarget(target, vnode, insertedVnodeQueue, inVPre) && elm.nextSibling
+      } else if (teleport && isPendingBoundary(elm.nextSibling)) {
+        end = renderPendingBoundary(elm.nextSibling, children, insertedVnodeQueue)
+      } else {
+        end = hydrateSiblings(elm.nextSibling, children, insertedVnodeQueue, inVPre)
+      }
+    }
+    if (end === false || !isFragmentAnchor(end, teleport ? 'teleport end' : ']')) {
+      // the extent of the server-rendered fragment is unknown, so it can't
+      // be repaired in place
+      reportHydrationMismatch(elm, vnode, [
+        `expected ${teleport ? 'a teleport' : 'a fragment'}, found ${describeNode(elm)}`
+      ], true)
+      return false
+    }
+    vnode.anchor = end
+    return true
+  }
+
+  // teleported content is rendered in the target between
+  // <!--teleport start anchor--> and <!--teleport anchor--> comments
+  function hydrateTeleportTarget (target, vnode, insertedVnodeQueue, inVPre) {
+    let start = target.firstChild
+    while (start && !isFragmentAnchor(start, 'teleport start anchor')) {
+      start = start.nextSibling
+    }
+    if (!start) {
+      return false
+    }
+    const end = hydrateSiblings(start.nextSibling, vnode.children, insertedVnodeQueue, inVPre)
+    if (end === false || !isFragmentAnchor(end, 'teleport anchor')) {
+      return false
+    }
+    // remove the claimed start anchor, so that the next teleport into
+    // the same target finds its own content
+    nodeOps.removeChild(target, start)
+    vnode.target = target
+    vnode.targetAnchor = end
+    return true
+  }
+
+  // a <suspense> rendered out of order shows its fallback between pending
+  // comments until the server streams its content
+  function isPendingBoundary (node) {
+    return isDef(node) && node.nodeType === 8 && node.data.indexOf('suspense pending:') === 0
+  }
+
+  // the content hasn't arrived yet, it is rendered in place of the fallback.
+  // The content streamed later finds no pending comments and is dropped.
+  function renderPendingBoundary (start, children, insertedVnodeQueue) {
+    const parentElm = nodeOps.parentNode(start)
+    const endText = '/' + start.data
+    let node = start
+    while (node && !isFragmentAnchor(node, endText)) {
+      const next = nodeOps.nextSibling(node)
+      nodeOps.removeChild(parentElm, node)
+      node = next
+    }
+    if (!node) {
+      return false
+    }
+    const end = nodeOps.nextSibling(node)
+    nodeOps.removeChild(parentElm, node)
+    for (let i = 0; i < children.length; i++) {
+      createElm(children[i], insertedVnodeQueue, parentElm, end, true, children, i)
+    }
+    return end
+  }
+
+  // hydrate consecutive nodes, returns the node after them or false if
+  // they don't match
+  function hydrateSiblings (node, children, insertedVnodeQueue, inVPre) {
+    for (let i = 0; i < children.length; i++) {
+      if (!node || !hydrate(node, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      node = getLastElm(children[i]).nextSibling
+    }
+    return node
+  }
+
+  function isFragmentAnchor (node, text) {
+    return isDef(node) && node.nodeType === 8 && node.data === text
+  }
+
   function assertNodeMatch (node, vnode, inVPre) {
     if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
@@ -725,16 +1183,22 @@ export function createPatchFunction (backend) {
             hydrating = true
           }
           if (isTrue(hydrating)) {
+            bailedMismatch = null
             if (hydrate(oldVnode, vnode, insertedVnodeQueue)) {
               invokeInsertHook(vnode, insertedVnodeQueue, true)
-              return oldVnode
+              // the root node is replaced if it's been repaired
+              return vnode.elm
             } else if (process.env.NODE_ENV !== 'production') {
+              const mismatch = bailedMismatch
+              bailedMismatch = null
               warn(
                 'The client-side rendered virtual DOM tree is not matching ' +
                 'server-rendered content. This is likely caused by incorrect ' +
                 'HTML markup, for example nesting block-level elements inside ' +
                 '<p>, or missing <tbody>. Bailing hydration and performing ' +
-                'full client-side render.'
+                'full client-side render.' +
+                (mismatch ? `\n\n${mismatch.msg}` : ''),
+                mismatch ? mismatch.vm : activeInstance
               )
             }
           }
@@ -746,6 +1210,7 @@ export function createPatchFunction (backend) {
         // replacing existing element
         const oldElm = oldVnode.elm
         const parentElm = nodeOps.parentNode(oldElm)
+        const oldLastElm = getLastElm(oldVnode)
 
         // create new node
         createElm(
@@ -755,7 +1220,7 @@ export function createPatchFunction (backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(oldLastElm)
         )
 
         // update parent placeholder node element, recursively
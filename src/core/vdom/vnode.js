@@ -18,11 +18,17 @@ export default class VNode {
   isStatic: boolean; // hoisted static node
   isRootInsert: boolean; // necessary for enter transition check
   isComment: boolean; // empty comment placeholder?
+  isFragment: boolean; // multiple root nodes?
+  anchor: Node | void; // end anchor of a fragment, elm is its start anchor
+  teleport: ?TeleportOptions; // fragment rendered into another DOM target
+  target: Node | void; // resolved teleport target
+  targetAnchor: Node | void; // teleported children are inserted before it
   isCloned: boolean; // is a cloned node?
   isOnce: boolean; // is a v-once node?
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  lazyHydration: ?LazyHydration; // server-rendered component not hydrated yet
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
@@ -57,11 +63,17 @@ export default class VNode {
     this.isStatic = false
     this.isRootInsert = true
     this.isComment = false
+    this.isFragment = false
+    this.anchor = undefined
+    this.teleport = undefined
+    this.target = undefined
+    this.targetAnchor = undefined
     this.isCloned = false
     this.isOnce = false
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.lazyHydration = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -82,6 +94,22 @@ export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
 
+// a fragment renders its children between two anchor comments, so that a
+// component can have multiple root nodes
+export function createFragmentVNode (children: Array<VNode>) {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
+// a teleport is a fragment whose children are rendered into another
+// DOM target, while its anchors stay in place
+export function createTeleportVNode (children: Array<VNode>, teleport: TeleportOptions) {
+  const node = createFragmentVNode(children)
+  node.teleport = teleport
+  return node
+}
+
 // optimized shallow clone
 // used for static nodes and slot nodes because they may be reused across
 // multiple renders, cloning them avoids errors when DOM manipulations rely
@@ -104,6 +132,9 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.isStatic = vnode.isStatic
   cloned.key = vnode.key
   cloned.isComment = vnode.isComment
+  cloned.isFragment = vnode.isFragment
+  cloned.anchor = vnode.anchor
+  cloned.teleport = vnode.teleport
   cloned.fnContext = vnode.fnContext
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
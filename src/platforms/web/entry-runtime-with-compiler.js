@@ -1,8 +1,7 @@
 /* @flow */
 
-import config from 'core/config'
 import { warn, cached } from 'core/util/index'
-import { mark, measure } from 'core/util/perf'
+import { mark, measure, isMeasuring } from 'core/util/perf'
 
 import Vue from './runtime/index'
 import { query } from './util/index'
@@ -60,7 +59,8 @@ Vue.prototype.$mount = function (
     }
     if (template) {
       /* istanbul ignore if */
-      if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+      const measuring = process.env.NODE_ENV !== 'production' && isMeasuring()
+      if (measuring) {
         mark('compile')
       }
 
@@ -75,9 +75,9 @@ Vue.prototype.$mount = function (
       options.staticRenderFns = staticRenderFns
 
       /* istanbul ignore if */
-      if (process.env.NODE_ENV !== 'production' && config.performance && mark) {
+      if (measuring) {
         mark('compile end')
-        measure(`vue ${this._name} compile`, 'compile', 'compile end')
+        measure(`vue ${this._name} compile`, 'compile', 'compile end', this, 'compile')
       }
     }
   }
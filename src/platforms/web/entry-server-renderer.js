@@ -12,7 +12,10 @@ import { createBundleRendererCreator } from 'server/bundle-renderer/create-bundl
 
 export function createRenderer (options?: Object = {}): {
   renderToString: Function,
-  renderToStream: Function
+  renderToStream: Function,
+  renderToAsyncIterable: Function,
+  renderToWebStream: Function,
+  getEarlyResources: Function
 } {
   return _createRenderer(extend(extend({}, options), {
     isUnaryTag,
@@ -25,3 +28,5 @@ export function createRenderer (options?: Object = {}): {
 }
 
 export const createBundleRenderer = createBundleRendererCreator(createRenderer)
+
+export { createRenderCache } from 'server/render-cache'
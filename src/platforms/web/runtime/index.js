@@ -111,6 +111,7 @@ if (inBrowser) {
     if (config.devtools) {
       if (devtools) {
         devtools.emit('init', Vue)
+        devtools.emit('protocol:init', { version: Vue.devtools.version })
       } else if (
         process.env.NODE_ENV !== 'production' &&
         process.env.NODE_ENV !== 'test'
@@ -33,12 +33,8 @@ const isRenderableAttr = (name: string): boolean => {
 }
 export { isRenderableAttr }
 
-export const propsToAttrMap = {
-  acceptCharset: 'accept-charset',
-  className: 'class',
-  htmlFor: 'for',
-  httpEquiv: 'http-equiv'
-}
+// shared with the hydration, which compares the rendered attributes
+export { propsToAttrMap } from '../util/attrs'
 
 const ESC = {
   '<': '&lt;',
@@ -17,6 +17,14 @@ export const mustUseProp = (tag: string, type: ?string, attr: string): boolean =
   )
 }
 
+// the attributes the DOM properties are rendered as
+export const propsToAttrMap = {
+  acceptCharset: 'accept-charset',
+  className: 'class',
+  htmlFor: 'for',
+  httpEquiv: 'http-equiv'
+}
+
 export const isEnumeratedAttr = makeMap('contenteditable,draggable,spellcheck')
 
 const isValidContentEditableValue = makeMap('events,caret,typing,plaintext-only')
@@ -0,0 +1,231 @@
+/* @flow */
+
+import { warn } from 'core/util/index'
+import { SSR_ATTR, SSR_HYDRATE_ATTR } from 'shared/constants'
+import { isDef, isUndef, extend, hyphenate } from 'shared/util'
+import { genClassForVnode } from './class'
+import { getStyle, parseStyleText } from './style'
+import {
+  isBooleanAttr,
+  isEnumeratedAttr,
+  isFalsyAttrValue,
+  convertEnumeratedValue,
+  propsToAttrMap
+} from './attrs'
+
+/**
+ * A CSS-like path of a DOM node for hydration mismatch reports, starting at
+ * the closest ancestor with an id, e.g. `div#app > ul > li:nth-child(2)`.
+ */
+export function getNodePath (node: ?Node): string {
+  const segments = []
+  while (node && node.nodeType !== 9 && node.nodeType !== 11) {
+    if (node.nodeType !== 1) {
+      segments.unshift(node.nodeType === 3 ? '#text' : '#comment')
+    } else {
+      const el: any = node
+      const tag = el.tagName.toLowerCase()
+      if (tag === 'body') break
+      if (el.id) {
+        segments.unshift(`${tag}#${el.id}`)
+        break
+      }
+      segments.unshift(tag + getNthChild(el))
+    }
+    node = node.parentNode
+  }
+  return segments.join(' > ')
+}
+
+function getNthChild (el: Element): string {
+  const parent = el.parentNode
+  let index = 0
+  let count = 0
+  if (parent) {
+    for (let node = parent.firstChild; node; node = node.nextSibling) {
+      if (node.nodeType === 1) {
+        count++
+        if (node === el) index = count
+      }
+    }
+  }
+  return count > 1 ? `:nth-child(${index})` : ''
+}
+
+export function describeNode (node: any): string {
+  if (node.nodeType === 1) {
+    return `<${node.tagName.toLowerCase()}>`
+  }
+  return node.nodeType === 8 ? 'a comment' : `text ${JSON.stringify(node.data)}`
+}
+
+export function describeVNode (vnode: VNode): string {
+  if (isDef(vnode.tag)) {
+    return `<${vnode.tag}>`
+  }
+  if (vnode.isFragment) {
+    return 'a fragment'
+  }
+  return vnode.isComment ? 'a comment' : `text ${JSON.stringify(vnode.text)}`
+}
+
+// the value of an attribute as the server renders it, null if it is omitted
+function renderAttrValue (key: string, value: any): ?string {
+  if (isBooleanAttr(key)) {
+    return isFalsyAttrValue(value) ? null : key
+  }
+  if (isEnumeratedAttr(key)) {
+    return convertEnumeratedValue(key, value)
+  }
+  return isFalsyAttrValue(value) ? null : String(value)
+}
+
+function formatValue (value: ?string): string {
+  return value == null ? 'none' : JSON.stringify(value)
+}
+
+function getClassList (value: string): string {
+  return value.trim().split(/\s+/).sort().join(' ')
+}
+
+/**
+ * Compare the attributes, class and style of a server-rendered element with
+ * the ones of the vnode hydrating it, the same way the server renders them.
+ * Returns a description of each difference.
+ */
+export function getAttrsMismatch (elm: Element, vnode: VNodeWithData): Array<string> {
+  const details = []
+
+  const attrs = getRenderedData(vnode, 'attrs')
+  for (const key in attrs) {
+    if (key === 'style') continue
+    const expected = renderAttrValue(key, attrs[key])
+    const actual = elm.getAttribute(key)
+    if (isBooleanAttr(key) ? (expected == null) !== (actual == null) : expected !== actual) {
+      details.push(`attribute "${key}": expected ${formatValue(expected)}, found ${formatValue(actual)}`)
+    }
+  }
+
+  const expectedClass = genClassForVnode(vnode)
+  const actualClass = elm.getAttribute('class') || ''
+  if (getClassList(expectedClass) !== getClassList(actualClass)) {
+    details.push(`class: expected ${JSON.stringify(expectedClass)}, found ${JSON.stringify(actualClass)}`)
+  }
+
+  // only the declared properties are compared, directives such as v-show
+  // may add others
+  const style = getStyle(vnode, false)
+  const actualStyle = parseStyleText(elm.getAttribute('style') || '')
+  for (const name in style) {
+    let value = style[name]
+    if (Array.isArray(value)) {
+      value = value[value.length - 1]
+    }
+    if (typeof value !== 'string') continue
+    const key = hyphenate(name)
+    if (value.trim() !== actualStyle[key]) {
+      details.push(`style "${key}": expected ${JSON.stringify(value)}, found ${formatValue(actualStyle[key])}`)
+    }
+  }
+
+  return details
+}
+
+/**
+ * The attributes of a server-rendered element that the vnode hydrating it
+ * doesn't render, which the modules leave as is when they repair the element.
+ * Style scope ids are included, they are set again along with the repair.
+ */
+export function getServerOnlyAttrs (elm: Element, vnode: VNodeWithData): Array<string> {
+  const rendered = Object.create(null)
+  const attrs = getRenderedData(vnode, 'attrs')
+  for (const key in attrs) {
+    rendered[key] = true
+  }
+  const props = getRenderedData(vnode, 'domProps')
+  for (const key in props) {
+    rendered[propsToAttrMap[key] || key.toLowerCase()] = true
+  }
+  const names = []
+  for (let i = 0; i < elm.attributes.length; i++) {
+    const name = elm.attributes[i].name
+    if (!rendered[name] && !isRendererAttr(name)) {
+      names.push(name)
+    }
+  }
+  return names
+}
+
+const isRendererAttr = (name: string): boolean =>
+  name === 'class' ||
+  name === 'style' ||
+  name === SSR_ATTR ||
+  name === SSR_HYDRATE_ATTR
+
+// the attrs or domProps of a vnode merged with the ones of the component
+// placeholders it is the root of, the way the server renders them
+function getRenderedData (vnode: VNodeWithData, key: 'attrs' | 'domProps'): ?Object {
+  let data = (vnode.data: any)[key]
+  const opts = vnode.parent && vnode.parent.componentOptions
+  if (key === 'domProps' || isUndef(opts) || opts.Ctor.options.inheritAttrs !== false) {
+    let parent = vnode.parent
+    while (isDef(parent)) {
+      const parentData: any = parent.data
+      if (isDef(parentData) && isDef(parentData[key])) {
+        data = extend(extend({}, data), parentData[key])
+      }
+      parent = parent.parent
+    }
+  }
+  return data
+}
+
+/**
+ * Call hydrate once the lazy hydration strategy of a server-rendered
+ * component triggers. Returns a function tearing the strategy down.
+ */
+export function onHydrationTrigger (
+  el: Element,
+  strategy: HydrationStrategy,
+  hydrate: () => void
+): ?Function {
+  if (typeof strategy === 'function') {
+    return strategy(hydrate, el)
+  }
+  if (strategy === 'never') {
+    return
+  }
+  if (strategy === 'idle') {
+    if (typeof requestIdleCallback !== 'undefined') {
+      const id = requestIdleCallback(hydrate)
+      return () => cancelIdleCallback(id)
+    }
+    const id = setTimeout(hydrate)
+    return () => clearTimeout(id)
+  }
+  if (strategy === 'visible') {
+    if (typeof IntersectionObserver === 'undefined') {
+      hydrate()
+      return
+    }
+    const observer = new IntersectionObserver(entries => {
+      if (entries.some(entry => entry.isIntersecting)) hydrate()
+    }, {})
+    observer.observe((el: any))
+    return () => observer.disconnect()
+  }
+  if (strategy && strategy.on) {
+    // hydrated in the capture phase, so that the listeners of the component
+    // are attached before the event reaches them
+    const events = [].concat(strategy.on)
+    events.forEach(event => el.addEventListener(event, hydrate, true))
+    return () => {
+      events.forEach(event => el.removeEventListener(event, hydrate, true))
+    }
+  }
+  process.env.NODE_ENV !== 'production' && warn(
+    `Invalid hydrate option: ${JSON.stringify(strategy)}, expected "visible", ` +
+    `"idle", "never", { on: event } or a function.`
+  )
+  hydrate()
+}
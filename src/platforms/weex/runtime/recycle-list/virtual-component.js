@@ -10,6 +10,7 @@ import { initRender } from 'core/instance/render'
 import { initEvents } from 'core/instance/events'
 import { initProvide, initInjections } from 'core/instance/inject'
 import { initLifecycle, callHook } from 'core/instance/lifecycle'
+import { EffectScope } from 'core/reactivity/effect-scope'
 import { initInternalComponent, resolveConstructorOptions } from 'core/instance/init'
 import { registerComponentHook, updateComponentData } from '../../util/index'
 
@@ -47,6 +48,7 @@ function initVirtualComponent (options: Object = {}) {
   }
 
   vm._self = vm
+  vm._scope = new EffectScope(true /* detached */)
   initLifecycle(vm)
   initEvents(vm)
   initRender(vm)
@@ -1,13 +1,17 @@
 /* @flow */
 
+import { extend } from 'shared/util'
 import { createPromiseCallback } from '../util'
+import { createAsyncIterable, createWebStream } from '../web-stream'
 import { createBundleRunner } from './create-bundle-runner'
-import type { Renderer, RenderOptions } from '../create-renderer'
+import type { Renderer, RenderOptions, RenderCache } from '../create-renderer'
+import type { ClientManifest } from '../template-renderer/index'
 import { createSourceMapConsumers, rewriteErrorTrace } from './source-map-support'
 
 const fs = require('fs')
 const path = require('path')
 const PassThrough = require('stream').PassThrough
+const EventEmitter = require('events').EventEmitter
 
 const INVALID_MSG =
   'Invalid server-rendering bundle format. Should be a string ' +
@@ -28,64 +32,117 @@ type RenderBundle = {
   modules?: { [filename: string]: Array<string> };
 };
 
-export function createBundleRendererCreator (
-  createRenderer: (options?: RenderOptions) => Renderer
-) {
-  return function createBundleRenderer (
-    bundle: string | RenderBundle,
-    rendererOptions?: RenderOptions = {}
+// the evaluated bundle a render runs, with the renderer for its client
+// manifest. It is swapped as a whole, so that a render started before an
+// update finishes with what it started with.
+type LoadedBundle = {
+  run: (userContext?: Object) => Promise<any>;
+  maps: Object;
+  renderer: Renderer;
+  clientManifest: ?ClientManifest;
+};
+
+function loadBundle (
+  bundle: string | RenderBundle,
+  rendererOptions: RenderOptions
+): { run: Function, maps: Object } {
+  let files, entry, maps
+  let basedir = rendererOptions.basedir
+
+  // load bundle if given filepath
+  if (
+    typeof bundle === 'string' &&
+    /\.js(on)?$/.test(bundle) &&
+    path.isAbsolute(bundle)
   ) {
-    let files, entry, maps
-    let basedir = rendererOptions.basedir
-
-    // load bundle if given filepath
-    if (
-      typeof bundle === 'string' &&
-      /\.js(on)?$/.test(bundle) &&
-      path.isAbsolute(bundle)
-    ) {
-      if (fs.existsSync(bundle)) {
-        const isJSON = /\.json$/.test(bundle)
-        basedir = basedir || path.dirname(bundle)
-        bundle = fs.readFileSync(bundle, 'utf-8')
-        if (isJSON) {
-          try {
-            bundle = JSON.parse(bundle)
-          } catch (e) {
-            throw new Error(`Invalid JSON bundle file: ${bundle}`)
-          }
+    if (fs.existsSync(bundle)) {
+      const isJSON = /\.json$/.test(bundle)
+      basedir = basedir || path.dirname(bundle)
+      bundle = fs.readFileSync(bundle, 'utf-8')
+      if (isJSON) {
+        try {
+          bundle = JSON.parse(bundle)
+        } catch (e) {
+          throw new Error(`Invalid JSON bundle file: ${bundle}`)
         }
-      } else {
-        throw new Error(`Cannot locate bundle file: ${bundle}`)
       }
+    } else {
+      throw new Error(`Cannot locate bundle file: ${bundle}`)
     }
+  }
 
-    if (typeof bundle === 'object') {
-      entry = bundle.entry
-      files = bundle.files
-      basedir = basedir || bundle.basedir
-      maps = createSourceMapConsumers(bundle.maps)
-      if (typeof entry !== 'string' || typeof files !== 'object') {
-        throw new Error(INVALID_MSG)
-      }
-    } else if (typeof bundle === 'string') {
-      entry = '__vue_ssr_bundle__'
-      files = { '__vue_ssr_bundle__': bundle }
-      maps = {}
-    } else {
+  if (typeof bundle === 'object') {
+    entry = bundle.entry
+    files = bundle.files
+    basedir = basedir || bundle.basedir
+    maps = createSourceMapConsumers(bundle.maps)
+    if (typeof entry !== 'string' || typeof files !== 'object') {
       throw new Error(INVALID_MSG)
     }
+  } else if (typeof bundle === 'string') {
+    entry = '__vue_ssr_bundle__'
+    files = { '__vue_ssr_bundle__': bundle }
+    maps = {}
+  } else {
+    throw new Error(INVALID_MSG)
+  }
+
+  const run = createBundleRunner(
+    entry,
+    files,
+    basedir,
+    rendererOptions.runInNewContext
+  )
+  return { run, maps }
+}
 
-    const renderer = createRenderer(rendererOptions)
+// the entries of a cache shared by successive bundles, keyed by bundle,
+// so that an updated bundle doesn't serve the html of the components of
+// the previous one, and tagged by bundle, so that they can be purged once
+// it is swapped out. get and has keep their arity, which tells whether they
+// take a callback.
+function namespaceCache (cache: RenderCache, namespace: string, tag: string): RenderCache {
+  const get = cache.get
+  const has = cache.has
+  const res: RenderCache = {
+    get: get.length > 1
+      ? (key, cb) => get.call(cache, namespace + key, cb)
+      : key => get.call(cache, namespace + key),
+    set: (key, entry, maxAge) => cache.set(namespace + key, extend(extend({}, entry), {
+      tags: (entry.tags || []).concat(tag)
+    }), maxAge)
+  }
+  if (has) {
+    res.has = has.length > 1
+      ? (key, cb) => has.call(cache, namespace + key, cb)
+      : key => has.call(cache, namespace + key)
+  }
+  if (cache.purge) {
+    res.purge = cache.purge.bind(cache)
+  }
+  return res
+}
 
-    const run = createBundleRunner(
-      entry,
-      files,
-      basedir,
-      rendererOptions.runInNewContext
-    )
+export function createBundleRendererCreator (
+  createRenderer: (options?: RenderOptions) => Renderer
+) {
+  return function createBundleRenderer (
+    bundle: string | RenderBundle,
+    rendererOptions?: RenderOptions = {}
+  ) {
+    const { cache } = rendererOptions
+    // the entries of the first bundle keep their keys, they are only tagged
+    // when the cache can purge them
+    const options = cache && cache.purge
+      ? extend(extend({}, rendererOptions), { cache: namespaceCache(cache, '', 'bundle0::') })
+      : rendererOptions
+    let current: LoadedBundle = extend(loadBundle(bundle, options), {
+      renderer: createRenderer(options),
+      clientManifest: rendererOptions.clientManifest
+    })
+    let updates = 0
 
-    return {
+    const bundleRenderer = extend(new EventEmitter(), {
       renderToString: (context?: Object, cb: any) => {
         if (typeof context === 'function') {
           cb = context
@@ -97,6 +154,7 @@ export function createBundleRendererCreator (
           ({ promise, cb } = createPromiseCallback())
         }
 
+        const { run, maps, renderer } = current
         run(context).catch(err => {
           rewriteErrorTrace(err, maps)
           cb(err)
@@ -114,6 +172,7 @@ export function createBundleRendererCreator (
 
       renderToStream: (context?: Object) => {
         const res = new PassThrough()
+        const { run, maps, renderer } = current
         run(context).catch(err => {
           rewriteErrorTrace(err, maps)
           // avoid emitting synchronously before user can
@@ -145,7 +204,54 @@ export function createBundleRendererCreator (
         })
 
         return res
+      },
+
+      renderToAsyncIterable: (context?: Object) => {
+        return createAsyncIterable(bundleRenderer.renderToStream(context))
+      },
+
+      renderToWebStream: (context?: Object) => {
+        return createWebStream(bundleRenderer.renderToAsyncIterable(context))
+      },
+
+      getEarlyResources: (context?: Object) => {
+        return current.renderer.getEarlyResources(context)
+      },
+
+      // swap in a new build, e.g. on each emit of a development server,
+      // without recreating the bundle renderer. The cache is kept, but the
+      // entries of the previous bundle aren't served anymore: they are
+      // purged if the cache has a purge method, otherwise the cache must be
+      // bounded (e.g. createRenderCache) for them to be dropped eventually.
+      // Throws, keeping the current bundle, if the new one can't be loaded
+      // or evaluated.
+      // Emits "bundleUpdated" once the new bundle serves the renders.
+      updateBundle: (bundle: string | RenderBundle, clientManifest?: ClientManifest) => {
+        const namespace = `bundle${++updates}::`
+        const options = extend(extend({}, rendererOptions), {
+          clientManifest: clientManifest || current.clientManifest,
+          cache: cache && namespaceCache(cache, namespace, namespace)
+        })
+        // a new renderer, whose templates and stylesheets come from the
+        // new build as well
+        const next: LoadedBundle = extend(loadBundle(bundle, options), {
+          renderer: createRenderer(options),
+          clientManifest: options.clientManifest
+        })
+        // evaluate the bundle now rather than in the next render
+        if (next.run.init) {
+          next.run.init()
+        }
+        current = next
+        // the renders of the previous bundle still running may cache a few
+        // entries afterwards, those are left to the cache to drop
+        if (cache && cache.purge) {
+          cache.purge(`bundle${updates - 1}::`)
+        }
+        bundleRenderer.emit('bundleUpdated')
       }
-    }
+    })
+
+    return bundleRenderer
   }
 }
@@ -106,25 +106,29 @@ export function createBundleRunner (entry, files, basedir, runInNewContext) {
     // slightly differently.
     let runner // lazy creation so that errors can be caught by user
     let initialContext
-    return (userContext = {}) => new Promise(resolve => {
-      if (!runner) {
-        const sandbox = runInNewContext === 'once'
-          ? createSandbox()
-          : global
-        // the initial context is only used for collecting possible non-component
-        // styles injected by vue-style-loader.
-        initialContext = sandbox.__VUE_SSR_CONTEXT__ = {}
-        runner = evaluate(entry, sandbox)
-        // On subsequent renders, __VUE_SSR_CONTEXT__ will not be available
-        // to prevent cross-request pollution.
-        delete sandbox.__VUE_SSR_CONTEXT__
-        if (typeof runner !== 'function') {
-          throw new Error(
-            'bundle export should be a function when using ' +
-            '{ runInNewContext: false }.'
-          )
-        }
+    const init = () => {
+      if (runner) {
+        return
       }
+      const sandbox = runInNewContext === 'once'
+        ? createSandbox()
+        : global
+      // the initial context is only used for collecting possible non-component
+      // styles injected by vue-style-loader.
+      initialContext = sandbox.__VUE_SSR_CONTEXT__ = {}
+      runner = evaluate(entry, sandbox)
+      // On subsequent renders, __VUE_SSR_CONTEXT__ will not be available
+      // to prevent cross-request pollution.
+      delete sandbox.__VUE_SSR_CONTEXT__
+      if (typeof runner !== 'function') {
+        throw new Error(
+          'bundle export should be a function when using ' +
+          '{ runInNewContext: false }.'
+        )
+      }
+    }
+    const run = (userContext = {}) => new Promise(resolve => {
+      init()
       userContext._registeredComponents = new Set()
 
       // vue-style-loader styles imported outside of component lifecycle hooks
@@ -146,5 +150,8 @@ export function createBundleRunner (entry, files, basedir, runInNewContext) {
 
       resolve(runner(userContext))
     })
+    // lets an updated bundle be evaluated before it is swapped in
+    run.init = init
+    return run
   }
 }
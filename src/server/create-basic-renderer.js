@@ -8,9 +8,10 @@ export function createBasicRenderer ({
   modules = [],
   directives = {},
   isUnaryTag = (() => false),
-  cache
+  cache,
+  serverPrefetchTimeout
 }: RenderOptions = {}) {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache)
+  const render = createRenderFunction(modules, directives, isUnaryTag, cache, serverPrefetchTimeout)
 
   return function renderToString (
     component: Component,
@@ -25,7 +26,10 @@ export function createBasicRenderer ({
     const write = createWriteFunction(text => {
       result += text
       return false
-    }, done)
+    }, done, length => {
+      result = result.slice(0, result.length - length)
+      return true
+    })
     try {
       render(component, write, context, () => {
         done(null, result)
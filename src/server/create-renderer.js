@@ -2,20 +2,48 @@
 
 import RenderStream from './render-stream'
 import { createWriteFunction } from './write'
-import { createRenderFunction } from './render'
+import { createRenderFunction, warnDroppedTeleport } from './render'
 import { createPromiseCallback } from './util'
+import { createAsyncIterable, createWebStream } from './web-stream'
 import TemplateRenderer from './template-renderer/index'
-import type { ClientManifest } from './template-renderer/index'
+import type {
+  ClientManifest,
+  CriticalCSSOptions,
+  ResourceHint,
+  StatePayloadOptions
+} from './template-renderer/index'
 
 export type Renderer = {
   renderToString: (component: Component, context: any, cb: any) => ?Promise<string>;
   renderToStream: (component: Component, context?: Object) => stream$Readable;
+  renderToAsyncIterable: (component: Component, context?: Object) => Object;
+  renderToWebStream: (component: Component, context?: Object) => Object;
+  getEarlyResources: (context?: Object) => Array<ResourceHint>;
 };
 
-type RenderCache = {
-  get: (key: string, cb?: Function) => string | void;
-  set: (key: string, val: string) => void;
-  has?: (key: string, cb?: Function) => boolean | void;
+// serverCacheKey can return { key, ttl, staleWhileRevalidate, tags } to
+// describe the entry of a component. An entry is fresh for ttl ms after it
+// was rendered, then served for staleWhileRevalidate ms more while it is
+// rendered again in the background. Entries without a ttl never go stale.
+export type RenderCacheEntry = {
+  html: string;
+  components: Set<Function>;
+  // the content of the <teleport>s the component renders, by target
+  teleports?: ?{ [to: string]: string };
+  renderedAt: number;
+  ttl?: ?number;
+  staleWhileRevalidate?: ?number;
+  tags?: ?Array<string>;
+};
+
+// get and has can return a promise or take a callback. set receives the
+// time after which the entry can be dropped, undefined if it never expires.
+// purge drops the entries with any of the tags, the renderer doesn't call it.
+export type RenderCache = {
+  get: (key: string, cb?: Function) => ?RenderCacheEntry | Promise<?RenderCacheEntry>;
+  set: (key: string, entry: RenderCacheEntry, maxAge?: number) => void;
+  has?: (key: string, cb?: Function) => boolean | Promise<boolean> | void;
+  purge?: (tags: string | Array<string>) => void;
 };
 
 export type RenderOptions = {
@@ -31,6 +59,12 @@ export type RenderOptions = {
   clientManifest?: ClientManifest;
   serializer?: Function;
   runInNewContext?: boolean | 'once';
+  outOfOrder?: boolean;
+  serverPrefetchTimeout?: number;
+  criticalCSS?: CriticalCSSOptions;
+  cspHashes?: boolean;
+  state?: { [contextKey: string]: string | StatePayloadOptions };
+  stateBudget?: number;
 };
 
 export function createRenderer ({
@@ -43,25 +77,39 @@ export function createRenderer ({
   shouldPreload,
   shouldPrefetch,
   clientManifest,
-  serializer
+  serializer,
+  outOfOrder,
+  serverPrefetchTimeout,
+  criticalCSS,
+  cspHashes,
+  state,
+  stateBudget
 }: RenderOptions = {}): Renderer {
-  const render = createRenderFunction(modules, directives, isUnaryTag, cache)
+  const render = createRenderFunction(modules, directives, isUnaryTag, cache, serverPrefetchTimeout)
   const templateRenderer = new TemplateRenderer({
     template,
     inject,
     shouldPreload,
     shouldPrefetch,
     clientManifest,
-    serializer
+    serializer,
+    criticalCSS,
+    cspHashes,
+    state,
+    stateBudget
   })
 
-  return {
+  let criticalCSSWarned = false
+
+  const renderer = {
     renderToString (
       component: Component,
       context: any,
       cb: any
     ): ?Promise<string> {
-      if (typeof context === 'function') {
+      // a context nobody reads, its teleports are dropped as well
+      const ownContext = typeof context === 'function'
+      if (ownContext) {
         cb = context
         context = {}
       }
@@ -79,12 +127,18 @@ export function createRenderer ({
       const write = createWriteFunction(text => {
         result += text
         return false
-      }, cb)
+      }, cb, length => {
+        result = result.slice(0, result.length - length)
+        return true
+      })
       try {
         render(component, write, context, err => {
           if (err) {
             return cb(err)
           }
+          if (ownContext && context.teleports) {
+            Object.keys(context.teleports).forEach(warnDroppedTeleport)
+          }
           if (context && context.rendered) {
             context.rendered(context)
           }
@@ -103,6 +157,14 @@ export function createRenderer ({
               cb(e)
             }
           } else {
+            // for the styles rendered with context.renderStyles()
+            if (context) {
+              try {
+                templateRenderer.collectCriticalCSS(result, context)
+              } catch (e) {
+                return cb(e)
+              }
+            }
             cb(null, result)
           }
         })
@@ -119,9 +181,20 @@ export function createRenderer ({
     ): stream$Readable {
       if (context) {
         templateRenderer.bindRenderFns(context)
+        if (outOfOrder) {
+          templateRenderer.addSwapScriptHashes(context)
+        }
       }
+      if (criticalCSS && !criticalCSSWarned) {
+        criticalCSSWarned = true
+        console.warn(
+          `[vue-server-renderer] The criticalCSS option is ignored by renderToStream, ` +
+          `the styles are sent before the content is rendered.`
+        )
+      }
+      // only streams benefit from rendering <suspense> content out of order
       const renderStream = new RenderStream((write, done) => {
-        render(component, write, context, done)
+        render(component, write, context, done, outOfOrder)
       })
       if (!template) {
         if (context && context.rendered) {
@@ -147,6 +220,31 @@ export function createRenderer ({
         }
         return templateStream
       }
+    },
+
+    // the same chunks as renderToStream, template injection included,
+    // rendered as they are consumed
+    renderToAsyncIterable (
+      component: Component,
+      context?: Object
+    ): Object {
+      return createAsyncIterable(renderer.renderToStream(component, context))
+    },
+
+    renderToWebStream (
+      component: Component,
+      context?: Object
+    ): Object {
+      return createWebStream(renderer.renderToAsyncIterable(component, context))
+    },
+
+    // the files to preload and prefetch, which can be sent as Link headers
+    // before the body. Without a context, i.e. before rendering, the used
+    // async chunks aren't known yet and only the initial ones are listed.
+    getEarlyResources (context?: Object): Array<ResourceHint> {
+      return templateRenderer.getResourceHints(context || {})
     }
   }
+
+  return renderer
 }
@@ -63,7 +63,9 @@ function walk (node: ASTNode, isRoot?: boolean) {
       (!isRoot && (node.attrsMap['v-html'] || node.attrsMap['v-text']))
     ) {
       node.ssrOptimizability = optimizability.FULL
-    } else {
+    } else if (!(isRoot && node.tag === 'template')) {
+      // root nodes of a fragment are kept apart, so that the server renders
+      // as many root nodes as the client does
       node.children = optimizeSiblings(node)
     }
   } else {
@@ -0,0 +1,188 @@
+/* @flow */
+
+import type { RenderContext } from './render-context'
+import { createWriteFunction } from './write'
+
+export type Boundary = {
+  id: number;
+  parent: ?Boundary;
+  html: ?string;
+  // rendered in place, because its content didn't wait for anything
+  inlined: boolean;
+  deferred: boolean;
+  flushed: boolean;
+};
+
+// defined before the first deferred content. Swaps the server-rendered
+// fallback of a boundary for its content, unless the client has rendered
+// the content already, then removes the template and the calling script.
+// The script following a template calls it without the id of the boundary,
+// which is read from the template, so that every script has the same hash.
+export const SWAP_RUNTIME =
+  'window.__VUE_SSR_SWAP__=function(id){' +
+    'var d=document,c=d.currentScript,w=d.createTreeWalker(d,128),t,s,n;' +
+    'if(id==null)id=c.previousElementSibling.id.slice(8);' +
+    't=d.getElementById("vue-ssr-"+id);' +
+    'while((n=w.nextNode())&&n.data!=="suspense pending:"+id);' +
+    'if(s=n){' +
+      'while((n=s.nextSibling).data!=="/suspense pending:"+id)n.parentNode.removeChild(n);' +
+      'n.parentNode.removeChild(n);' +
+      's.parentNode.replaceChild(t.content,s)' +
+    '}' +
+    't.parentNode.removeChild(t);' +
+    'c&&c.parentNode.removeChild(c)' +
+  '}'
+
+export const SWAP_SCRIPT = '__VUE_SSR_SWAP__()'
+
+/**
+ * Keeps track of the boundaries of an out-of-order render. The content of a
+ * boundary is rendered in a context of its own, so that the rest of the tree
+ * doesn't wait for it. When it can't be rendered right away, it is streamed
+ * after the tree in the order it resolves, in a <template> swapped into the
+ * place of the fallback by an inline script.
+ */
+export class OutOfOrderRender {
+  write: Function;
+  done: (err: ?Error) => void;
+  nextId: number;
+  pending: number;
+  resolved: Array<Boundary>;
+  treeDone: boolean;
+  writing: boolean;
+  finished: boolean;
+  runtimeWritten: boolean;
+  nonceAttr: string;
+  end: (err: ?Error) => void;
+
+  constructor (write: Function, done: Function, nonce?: ?string) {
+    this.write = write
+    this.done = done
+    this.nonceAttr = nonce ? ` nonce="${nonce}"` : ''
+    this.nextId = 0
+    this.pending = 0
+    this.resolved = []
+    this.treeDone = false
+    this.writing = false
+    this.finished = false
+    this.runtimeWritten = false
+
+    this.end = this.end.bind(this)
+  }
+
+  renderBoundary (
+    context: RenderContext,
+    vm: Component,
+    nodes: Array<VNode>
+  ): Boundary {
+    const boundary: Boundary = {
+      id: this.nextId++,
+      parent: context.boundary,
+      html: null,
+      inlined: false,
+      deferred: false,
+      flushed: false
+    }
+    let html = ''
+    const done = err => {
+      if (err) {
+        return this.fail(err)
+      }
+      boundary.html = html
+      if (boundary.deferred) {
+        this.resolved.push(boundary)
+        this.flush()
+      }
+    }
+    // an error boundary around the suspense may be done when the content
+    // fails, so it can't render it again
+    const boundaryContext = context.fork({
+      activeInstance: vm,
+      write: createWriteFunction(text => {
+        html += text
+        return false
+      }, done, length => {
+        html = html.slice(0, html.length - length)
+        return true
+      }),
+      done,
+      outOfOrder: this,
+      boundary,
+      errorBoundary: undefined
+    })
+    boundaryContext.renderStates.push({
+      type: 'Fragment',
+      children: nodes,
+      rendered: 0,
+      total: nodes.length
+    })
+    boundaryContext.next()
+    if (boundary.html !== null) {
+      boundary.inlined = true
+    } else {
+      boundary.deferred = true
+      this.pending++
+    }
+    return boundary
+  }
+
+  // the rest of the tree has been rendered
+  end (err: ?Error) {
+    if (err) {
+      return this.fail(err)
+    }
+    this.treeDone = true
+    this.flush()
+  }
+
+  fail (err: Error) {
+    if (!this.finished) {
+      this.finished = true
+      this.done(err)
+    }
+  }
+
+  flush () {
+    if (!this.treeDone || this.writing || this.finished) {
+      return
+    }
+    // the fallback of a nested boundary is part of the content of its
+    // parent, which has to be swapped in first
+    const index = this.resolved.findIndex(isPlaced)
+    if (index > -1) {
+      const boundary = this.resolved.splice(index, 1)[0]
+      boundary.flushed = true
+      this.pending--
+      this.writing = true
+      this.write(this.renderChunk(boundary), () => {
+        this.writing = false
+        this.flush()
+      })
+    } else if (this.pending === 0) {
+      this.finished = true
+      this.done()
+    } else if (this.write.flush) {
+      // send what has been rendered so far while waiting
+      this.write.flush()
+    }
+  }
+
+  renderChunk ({ id, html }: Boundary): string {
+    let chunk = ''
+    if (!this.runtimeWritten) {
+      this.runtimeWritten = true
+      chunk += `<script${this.nonceAttr}>${SWAP_RUNTIME}</script>`
+    }
+    return chunk +
+      `<template id="vue-ssr-${id}">${html || ''}</template>` +
+      `<script${this.nonceAttr}>${SWAP_SCRIPT}</script>`
+  }
+}
+
+function isPlaced (boundary: Boundary): boolean {
+  let parent = boundary.parent
+  while (parent && parent.inlined) {
+    parent = parent.parent
+  }
+  return !parent || parent.flushed
+}
@@ -0,0 +1,106 @@
+/* @flow */
+
+import type { RenderCache, RenderCacheEntry } from './create-renderer'
+
+type CacheRecord = {
+  entry: RenderCacheEntry;
+  expires: number;
+};
+
+export type RenderCacheOptions = {
+  // the number of entries kept, the least recently used are dropped first
+  max?: number;
+};
+
+/**
+ * A reference in-memory implementation of the renderer cache. Entries are
+ * dropped once they can't be served anymore or when the cache is full, the
+ * least recently used first, and can be purged by tag.
+ */
+export function createRenderCache ({
+  max = 1000
+}: RenderCacheOptions = {}): RenderCache & {
+  delete: (key: string) => void;
+  clear: () => void;
+  size: () => number;
+} {
+  // in order of use, the least recently used first
+  const records: Map<string, CacheRecord> = new Map()
+  const keysByTag: Object = Object.create(null)
+
+  const remove = (key: string) => {
+    const record = records.get(key)
+    if (!record) {
+      return
+    }
+    records.delete(key)
+    const tags = record.entry.tags
+    if (tags) {
+      tags.forEach(tag => {
+        const keys = keysByTag[tag]
+        keys.delete(key)
+        if (!keys.size) delete keysByTag[tag]
+      })
+    }
+  }
+
+  const lookup = (key: string): ?CacheRecord => {
+    const record = records.get(key)
+    if (!record) {
+      return
+    }
+    if (record.expires <= Date.now()) {
+      remove(key)
+      return
+    }
+    records.delete(key)
+    records.set(key, record)
+    return record
+  }
+
+  return {
+    get (key: string): ?RenderCacheEntry {
+      const record = lookup(key)
+      return record && record.entry
+    },
+
+    has (key: string): boolean {
+      return !!lookup(key)
+    },
+
+    set (key: string, entry: RenderCacheEntry, maxAge?: number) {
+      remove(key)
+      records.set(key, {
+        entry,
+        expires: maxAge == null ? Infinity : Date.now() + maxAge
+      })
+      if (entry.tags) {
+        entry.tags.forEach(tag => {
+          (keysByTag[tag] || (keysByTag[tag] = new Set())).add(key)
+        })
+      }
+      while (records.size > max) {
+        remove((records.keys().next().value: any))
+      }
+    },
+
+    purge (tags: string | Array<string>) {
+      [].concat(tags).forEach(tag => {
+        const keys = keysByTag[tag]
+        if (keys) {
+          Array.from(keys).forEach(remove)
+        }
+      })
+    },
+
+    delete: remove,
+
+    clear () {
+      Array.from(records.keys()).forEach(remove)
+    },
+
+    size (): number {
+      return records.size
+    }
+  }
+}
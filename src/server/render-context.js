@@ -1,6 +1,8 @@
 /* @flow */
 
-import { isUndef } from 'shared/util'
+import { isDef, isUndef, extend } from 'shared/util'
+
+import type { OutOfOrderRender, Boundary } from './out-of-order'
 
 type RenderState = {
   type: 'Element';
@@ -13,15 +15,37 @@ type RenderState = {
   rendered: number;
   total: number;
   children: Array<VNode>;
+} | {
+  type: 'Teleport';
+  to: string;
+  rendered: number;
+  total: number;
+  children: Array<VNode>;
 } | {
   type: 'Component';
   prevActive: Component;
+} | {
+  type: 'ErrorBoundary';
+  prev: ?ErrorBoundary;
 } | {
   type: 'ComponentWithCache';
   buffer: Array<string>;
   bufferIndex: number;
   componentBuffer: Array<Set<Class<Component>>>;
+  teleportsBuffer: Array<{ [to: string]: string }>;
   key: string;
+  ttl: ?number;
+  staleWhileRevalidate: ?number;
+  tags: ?Array<string>;
+};
+
+// a component with errorCaptured hooks, rendered again when it handles
+// the failed serverPrefetch of a descendant
+export type ErrorBoundary = {
+  vm: Component;
+  parent: ?ErrorBoundary;
+  retried: boolean;
+  retry: () => boolean;
 };
 
 export class RenderContext {
@@ -40,6 +64,15 @@ export class RenderContext {
   cache: any;
   get: ?(key: string, cb: Function) => void;
   has: ?(key: string, cb: Function) => void;
+  // keys of the stale cache entries being rendered again
+  revalidating: Set<string>;
+
+  outOfOrder: ?OutOfOrderRender;
+  // the boundary whose content is rendered by this context
+  boundary: ?Boundary;
+
+  serverPrefetchTimeout: ?number;
+  errorBoundary: ?ErrorBoundary;
 
   constructor (options: Object) {
     this.userContext = options.userContext
@@ -61,6 +94,13 @@ export class RenderContext {
     this.cache = cache
     this.get = cache && normalizeAsync(cache, 'get')
     this.has = cache && normalizeAsync(cache, 'has')
+    this.revalidating = options.revalidating
+
+    this.outOfOrder = options.outOfOrder
+    this.boundary = options.boundary
+
+    this.serverPrefetchTimeout = options.serverPrefetchTimeout
+    this.errorBoundary = options.errorBoundary
 
     this.next = this.next.bind(this)
   }
@@ -76,6 +116,7 @@ export class RenderContext {
       switch (lastState.type) {
         case 'Element':
         case 'Fragment':
+        case 'Teleport':
           const { children, total } = lastState
           const rendered = lastState.rendered++
           if (rendered < total) {
@@ -84,6 +125,9 @@ export class RenderContext {
             this.renderStates.pop()
             if (lastState.type === 'Element') {
               return this.write(lastState.endTag, this.next)
+            } else if (lastState.type === 'Teleport') {
+              this.collectTeleport(lastState.to)
+              return this.write('<!--teleport start--><!--teleport end-->', this.next)
             }
           }
           break
@@ -91,14 +135,25 @@ export class RenderContext {
           this.renderStates.pop()
           this.activeInstance = lastState.prevActive
           break
+        case 'ErrorBoundary':
+          this.renderStates.pop()
+          this.errorBoundary = lastState.prev
+          break
         case 'ComponentWithCache':
           this.renderStates.pop()
-          const { buffer, bufferIndex, componentBuffer, key } = lastState
+          const { buffer, bufferIndex, componentBuffer, teleportsBuffer, key, ttl, staleWhileRevalidate, tags } = lastState
           const result = {
             html: buffer[bufferIndex],
-            components: componentBuffer[bufferIndex]
+            components: componentBuffer[bufferIndex],
+            teleports: teleportsBuffer[bufferIndex],
+            renderedAt: Date.now(),
+            ttl,
+            staleWhileRevalidate,
+            tags
           }
-          this.cache.set(key, result)
+          // the cache can drop the entry once it can't be served anymore
+          const maxAge = isDef(ttl) ? ttl + (staleWhileRevalidate || 0) : undefined
+          this.cache.set(key, result, maxAge)
           if (bufferIndex === 0) {
             // this is a top-level cached component,
             // exit caching mode.
@@ -109,13 +164,83 @@ export class RenderContext {
             buffer[bufferIndex - 1] += result.html
             const prev = componentBuffer[bufferIndex - 1]
             result.components.forEach(c => prev.add(c))
+            mergeTeleports(teleportsBuffer[bufferIndex - 1], result.teleports)
+            this.inheritCacheOptions(tags, ttl)
           }
           buffer.length = bufferIndex
           componentBuffer.length = bufferIndex
+          teleportsBuffer.length = bufferIndex
           break
       }
     }
   }
+
+  // a context rendering a subtree on its own
+  fork (options: Object): RenderContext {
+    return new RenderContext(extend({
+      userContext: this.userContext,
+      renderNode: this.renderNode,
+      isUnaryTag: this.isUnaryTag,
+      modules: this.modules,
+      directives: this.directives,
+      cache: this.cache,
+      revalidating: this.revalidating,
+      serverPrefetchTimeout: this.serverPrefetchTimeout,
+      outOfOrder: this.outOfOrder,
+      boundary: this.boundary,
+      errorBoundary: this.errorBoundary
+    }, options))
+  }
+
+  // the entry of a component being cached contains the html of the cached
+  // components it renders, so it carries their tags and doesn't stay fresh
+  // for longer than they do
+  inheritCacheOptions (tags: ?Array<string>, ttl: ?number) {
+    if (!this.write.caching) {
+      return
+    }
+    const states = this.renderStates
+    for (let i = states.length - 1; i >= 0; i--) {
+      const state = states[i]
+      if (state.type === 'ComponentWithCache') {
+        if (isDef(tags)) {
+          const parentTags = state.tags || (state.tags = [])
+          tags.forEach(tag => {
+            if (parentTags.indexOf(tag) < 0) parentTags.push(tag)
+          })
+        }
+        if (isDef(ttl)) {
+          state.ttl = isDef(state.ttl) ? Math.min(state.ttl, ttl) : ttl
+        }
+        return
+      }
+    }
+  }
+
+  collectTeleport (to: string) {
+    const write = this.write
+    const content = write.teleportBuffer.pop()
+    const teleport = { [to]: `<!--teleport start anchor-->${content}<!--teleport anchor-->` }
+    const userContext = this.userContext
+    // dropped without a context to expose it
+    if (isDef(userContext)) {
+      mergeTeleports(userContext.teleports || (userContext.teleports = {}), teleport)
+    }
+    // replayed when the component being cached is served from the cache
+    if (write.caching) {
+      const buffer = write.cacheTeleports
+      mergeTeleports(buffer[buffer.length - 1], teleport)
+    }
+  }
+}
+
+export function mergeTeleports (target: Object, teleports: ?Object) {
+  if (teleports) {
+    const source = teleports
+    Object.keys(source).forEach(to => {
+      target[to] = (target[to] || '') + source[to]
+    })
+  }
 }
 
 function normalizeAsync (cache, method) {
@@ -125,6 +250,14 @@ function normalizeAsync (cache, method) {
   } else if (fn.length > 1) {
     return (key, cb) => fn.call(cache, key, cb)
   } else {
-    return (key, cb) => cb(fn.call(cache, key))
+    return (key, cb) => {
+      const res = fn.call(cache, key)
+      if (res && typeof res.then === 'function') {
+        // a cache that can't be reached is a miss
+        res.then(cb, () => cb())
+      } else {
+        cb(res)
+      }
+    }
   }
 }
@@ -21,6 +21,7 @@ export default class RenderStream extends stream.Readable {
   next: Function;
   end: Function;
   done: boolean;
+  waiting: boolean;
 
   constructor (render: Function) {
     super()
@@ -29,6 +30,7 @@ export default class RenderStream extends stream.Readable {
     this.expectedSize = 0
 
     this.write = createWriteFunction((text, next) => {
+      this.waiting = false
       const n = this.expectedSize
       this.buffer += text
       if (this.buffer.length >= n) {
@@ -39,7 +41,15 @@ export default class RenderStream extends stream.Readable {
       return false
     }, err => {
       this.emit('error', err)
+    }, length => {
+      // the text pushed out already can't be taken back
+      if (length > this.buffer.length) {
+        return false
+      }
+      this.buffer = this.buffer.slice(0, this.buffer.length - length)
+      return true
     })
+    this.write.flush = this.flush.bind(this)
 
     this.end = () => {
       this.emit('beforeEnd')
@@ -55,6 +65,17 @@ export default class RenderStream extends stream.Readable {
     this.push(bufferToPush)
   }
 
+  // push out the buffer while the render waits for content rendered out of
+  // order. The render resumes by writing again, not by reading.
+  flush () {
+    if (this.buffer) {
+      this.waiting = true
+      const buffer = this.buffer
+      this.buffer = ''
+      this.push(buffer)
+    }
+  }
+
   tryRender () {
     try {
       this.render(this.write, this.end)
@@ -84,6 +105,9 @@ export default class RenderStream extends stream.Readable {
       this.pushBySize(n)
       return
     }
+    if (isTrue(this.waiting)) {
+      return
+    }
     if (isUndef(this.next)) {
       // start the rendering chain.
       this.tryRender()
@@ -1,19 +1,26 @@
 /* @flow */
 
 import { escape } from 'web/server/util'
-import { SSR_ATTR } from 'shared/constants'
-import { RenderContext } from './render-context'
+import { SSR_ATTR, SSR_HYDRATE_ATTR } from 'shared/constants'
+import { RenderContext, mergeTeleports } from './render-context'
+import { OutOfOrderRender } from './out-of-order'
+import { createWriteFunction, defer } from './write'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
 import { ssrCompileToFunctions } from 'web/server/compiler'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
+import { captureError } from 'core/util/error'
 
-import { isDef, isUndef, isTrue } from 'shared/util'
+import type { RenderCacheEntry } from './create-renderer'
+import type { ErrorBoundary } from './render-context'
+
+import { isDef, isUndef, isTrue, isPlainObject, extend } from 'shared/util'
 
 import {
   createComponent,
   createComponentInstanceForVnode
 } from 'core/vdom/create-component'
+import { createTextVNode } from 'core/vdom/vnode'
 
 let warned = Object.create(null)
 const warnOnce = msg => {
@@ -50,9 +57,9 @@ const normalizeRender = vm => {
   }
 }
 
-function waitForServerPrefetch (vm, resolve, reject) {
+function waitForServerPrefetch (vm, resolve, reject, context) {
   let handlers = vm.$options.serverPrefetch
-  if (isDef(handlers)) {
+  if (isDef(handlers) && !isRenderedAgain(context.errorBoundary)) {
     if (!Array.isArray(handlers)) handlers = [handlers]
     try {
       const promises = []
@@ -62,15 +69,73 @@ function waitForServerPrefetch (vm, resolve, reject) {
           promises.push(result)
         }
       }
-      Promise.all(promises).then(resolve).catch(reject)
+      const race = [Promise.all(promises)]
+      const timeout = isDef(vm.$options.serverPrefetchTimeout)
+        ? vm.$options.serverPrefetchTimeout
+        : context.serverPrefetchTimeout
+      let timer, timeoutError
+      if (isDef(timeout)) {
+        timeoutError = new Error(`serverPrefetch timed out after ${timeout}ms`)
+        race.push(new Promise((_, fail) => {
+          timer = setTimeout(() => fail(timeoutError), timeout)
+        }))
+      }
+      // errors thrown while rendering reject the render
+      Promise.race(race).then(() => {
+        clearTimeout(timer)
+        resolve()
+      }, err => {
+        clearTimeout(timer)
+        handlePrefetchError(err, err === timeoutError, vm, resolve, reject, context)
+      }).catch(reject)
       return
     } catch (e) {
-      reject(e)
+      handlePrefetchError(e, false, vm, resolve, reject, context)
+      return
     }
   }
   resolve()
 }
 
+// a failed serverPrefetch is recorded in the ssrContext and passed to the
+// errorCaptured hooks of the ancestors. The component that handles it is
+// rendered again, so that it can render fallback content, the failing
+// component is rendered without its data if that is not possible.
+function handlePrefetchError (err, timedOut, vm, resolve, reject, context) {
+  const captured = captureError(err, vm, 'serverPrefetch hook')
+  const userContext = context.userContext
+  if (isDef(userContext)) {
+    const errors = userContext.prefetchErrors || (userContext.prefetchErrors = [])
+    errors.push({
+      component: vm.$options.name || vm.$options._componentTag || 'anonymous',
+      error: err,
+      timedOut,
+      captured: isDef(captured)
+    })
+  }
+  if (isUndef(captured)) {
+    reject(err)
+    return
+  }
+  let boundary = context.errorBoundary
+  while (isDef(boundary) && boundary.vm !== captured) {
+    boundary = boundary.parent
+  }
+  if (isUndef(boundary) || !boundary.retry()) {
+    resolve()
+  }
+}
+
+// an async setup() resolves before serverPrefetch hooks are called
+function waitForAsyncData (vm, resolve, reject, context) {
+  const setupPromise = vm._setupPromise
+  if (isDef(setupPromise)) {
+    setupPromise.then(() => waitForServerPrefetch(vm, resolve, reject, context), reject)
+  } else {
+    waitForServerPrefetch(vm, resolve, reject, context)
+  }
+}
+
 function renderNode (node, isRoot, context) {
   if (node.isString) {
     renderStringNode(node, context)
@@ -78,6 +143,10 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isDef(node.teleport)) {
+    renderTeleport(node, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -119,34 +188,48 @@ function renderComponent (node, isRoot, context) {
       renderComponentInner(node, isRoot, context)
       return
     }
-    const key = name + '::' + rawKey
+    // serverCacheKey may also return { key, ttl, staleWhileRevalidate, tags }
+    const options = isPlainObject(rawKey) ? rawKey : {}
+    const key = name + '::' + (isPlainObject(rawKey) ? rawKey.key : rawKey)
+    const onCacheResult = res => {
+      const freshness = getFreshness(res)
+      if (freshness === 'expired') {
+        renderComponentWithCache(node, isRoot, key, options, context)
+        return
+      }
+      if (isDef(registerComponent)) {
+        registerComponent(userContext)
+      }
+      res.components.forEach(register => register(userContext))
+      const teleports = res.teleports
+      if (isDef(teleports)) {
+        if (isDef(userContext)) {
+          mergeTeleports(userContext.teleports || (userContext.teleports = {}), teleports)
+        } else {
+          Object.keys(teleports).forEach(warnDroppedTeleport)
+        }
+        if (write.caching) {
+          // a parent being cached contains the teleports of its cached children
+          mergeTeleports(write.cacheTeleports[write.cacheTeleports.length - 1], teleports)
+        }
+      }
+      context.inheritCacheOptions(res.tags, getRemainingTtl(res))
+      if (freshness === 'stale') {
+        revalidateComponent(node, isRoot, key, options, context)
+      }
+      write(res.html, next)
+    }
     const { has, get } = context
     if (isDef(has)) {
       has(key, hit => {
         if (hit === true && isDef(get)) {
-          get(key, res => {
-            if (isDef(registerComponent)) {
-              registerComponent(userContext)
-            }
-            res.components.forEach(register => register(userContext))
-            write(res.html, next)
-          })
+          get(key, onCacheResult)
         } else {
-          renderComponentWithCache(node, isRoot, key, context)
+          renderComponentWithCache(node, isRoot, key, options, context)
         }
       })
     } else if (isDef(get)) {
-      get(key, res => {
-        if (isDef(res)) {
-          if (isDef(registerComponent)) {
-            registerComponent(userContext)
-          }
-          res.components.forEach(register => register(userContext))
-          write(res.html, next)
-        } else {
-          renderComponentWithCache(node, isRoot, key, context)
-        }
-      })
+      get(key, onCacheResult)
     }
   } else {
     if (isDef(getKey) && isUndef(cache)) {
@@ -167,19 +250,84 @@ function renderComponent (node, isRoot, context) {
   }
 }
 
-function renderComponentWithCache (node, isRoot, key, context) {
+// an entry is fresh for its ttl, then served while it's revalidated for
+// its staleWhileRevalidate period
+function getFreshness (res: ?RenderCacheEntry): 'fresh' | 'stale' | 'expired' {
+  if (isUndef(res)) {
+    return 'expired'
+  }
+  const ttl = res.ttl
+  if (ttl == null) {
+    return 'fresh'
+  }
+  const age = Date.now() - res.renderedAt
+  if (age < ttl) {
+    return 'fresh'
+  }
+  return age < ttl + (res.staleWhileRevalidate || 0) ? 'stale' : 'expired'
+}
+
+function getRemainingTtl (res: RenderCacheEntry): ?number {
+  const ttl = res.ttl
+  if (ttl != null) {
+    return Math.max(ttl - (Date.now() - res.renderedAt), 0)
+  }
+}
+
+// render a stale component again in its own context to refresh its cache
+// entry, once the current render has moved on. The stale html is rendered
+// meanwhile.
+function revalidateComponent (node, isRoot, key, options, context) {
+  const revalidating = context.revalidating
+  if (revalidating.has(key)) {
+    return
+  }
+  revalidating.add(key)
+  const done = err => {
+    revalidating.delete(key)
+    if (err) {
+      warnOnce(`[vue-server-renderer] Failed to revalidate the cached component ${key}: ${err}`)
+    }
+  }
+  // the render of the request may be done by then, its context isn't
+  // written to anymore
+  const revalidateContext = context.fork({
+    userContext: {},
+    activeInstance: context.activeInstance,
+    write: createWriteFunction(() => false, done),
+    done,
+    outOfOrder: undefined,
+    boundary: undefined,
+    errorBoundary: undefined
+  })
+  defer(() => {
+    try {
+      renderComponentWithCache(node, isRoot, key, options, revalidateContext)
+    } catch (e) {
+      done(e)
+    }
+  })
+}
+
+function renderComponentWithCache (node, isRoot, key, options, context) {
   const write = context.write
   write.caching = true
   const buffer = write.cacheBuffer
   const bufferIndex = buffer.push('') - 1
   const componentBuffer = write.componentBuffer
   componentBuffer.push(new Set())
+  const teleportsBuffer = write.cacheTeleports
+  teleportsBuffer.push({})
   context.renderStates.push({
     type: 'ComponentWithCache',
     key,
     buffer,
     bufferIndex,
-    componentBuffer
+    componentBuffer,
+    teleportsBuffer,
+    ttl: options.ttl,
+    staleWhileRevalidate: options.staleWhileRevalidate,
+    tags: isDef(options.tags) ? [].concat(options.tags) : undefined
   })
   renderComponentInner(node, isRoot, context)
 }
@@ -195,18 +343,119 @@ function renderComponentInner (node, isRoot, context) {
   normalizeRender(child)
 
   const resolve = () => {
+    if (isDef(child.$options.errorCaptured)) {
+      context.renderStates.push({
+        type: 'Component',
+        prevActive
+      })
+      renderErrorBoundary(child, node, isRoot, context)
+      return
+    }
     const childNode = child._render()
     childNode.parent = node
     context.renderStates.push({
       type: 'Component',
       prevActive
     })
-    renderNode(childNode, isRoot, context)
+    // cached components are rendered in order
+    if (child._isSuspense && isDef(context.outOfOrder) && !context.write.caching) {
+      renderSuspense(child, childNode, isRoot, context)
+    } else {
+      renderNode(childNode, isRoot, context)
+    }
   }
 
   const reject = context.done
 
-  waitForServerPrefetch(child, resolve, reject)
+  waitForAsyncData(child, resolve, reject, context)
+}
+
+// components with errorCaptured hooks are rendered in place. When one
+// handles the failed serverPrefetch of a descendant, the output since its
+// start is dropped and it is rendered again once, unless some of it has been
+// flushed already. Its descendants don't prefetch again then.
+function renderErrorBoundary (vm, node, isRoot, context) {
+  const write = context.write
+  const outOfOrder = context.outOfOrder
+  const userContext: Object = context.userContext || {}
+  const start = write.written
+  const teleports = extend({}, userContext.teleports)
+  const nextBoundaryId = isDef(outOfOrder) ? outOfOrder.nextId : 0
+  const boundary: ErrorBoundary = {
+    vm,
+    parent: context.errorBoundary,
+    retried: false,
+    retry: () => {
+      if (
+        boundary.retried ||
+        // the output is being cached or teleported, or a suspense boundary
+        // is being rendered on its own
+        write.caching ||
+        write.teleportBuffer.length ||
+        (isDef(outOfOrder) && outOfOrder.nextId !== nextBoundaryId) ||
+        !write.rewind(start)
+      ) {
+        return false
+      }
+      boundary.retried = true
+      context.renderStates.length = depth
+      if (isDef(userContext.teleports)) {
+        userContext.teleports = extend({}, teleports)
+      }
+      render()
+      return true
+    }
+  }
+  context.renderStates.push({
+    type: 'ErrorBoundary',
+    prev: context.errorBoundary
+  })
+  const depth = context.renderStates.length
+  const render = () => {
+    context.activeInstance = vm
+    context.errorBoundary = boundary
+    const childNode = vm._render()
+    childNode.parent = node
+    renderNode(childNode, isRoot, context)
+  }
+  render()
+}
+
+// the descendants of an error boundary rendered again don't prefetch again
+function isRenderedAgain (boundary: ?ErrorBoundary): boolean {
+  while (isDef(boundary)) {
+    if (boundary.retried) {
+      return true
+    }
+    boundary = boundary.parent
+  }
+  return false
+}
+
+function createRawNode (html: string): VNode {
+  const node = createTextVNode(html)
+  node.raw = true
+  return node
+}
+
+// in out-of-order mode the default content of a <suspense> is rendered on
+// its own. If it waits for async data, the fallback is rendered between
+// pending comments in its place, and the content streamed later replaces them.
+function renderSuspense (vm, childNode, isRoot, context) {
+  // the content is the disabled teleport the suspense renders first
+  const content = childNode.children[0]
+  const outOfOrder: OutOfOrderRender = (context.outOfOrder: any)
+  const boundary = outOfOrder.renderBoundary(context, vm, content.children)
+  if (boundary.inlined) {
+    content.children = [createRawNode((boundary.html: any))]
+  } else {
+    content.children = [].concat(
+      createRawNode(`<!--suspense pending:${boundary.id}-->`),
+      vm.$slots.fallback || [],
+      createRawNode(`<!--/suspense pending:${boundary.id}-->`)
+    )
+  }
+  renderNode(childNode, isRoot, context)
 }
 
 function renderAsyncComponent (node, isRoot, context) {
@@ -291,6 +540,20 @@ function renderStringNode (el, context) {
   }
 }
 
+// name of the hydrate strategy of the components an element is the root of,
+// the client defers their hydration when the element carries it
+function getHydrateStrategy (el: VNode): ?string {
+  let parent = el.parent
+  while (isDef(parent) && isDef(parent.componentOptions)) {
+    const strategy = parent.componentOptions.Ctor.options.hydrate
+    if (isDef(strategy)) {
+      if (typeof strategy === 'string') return strategy
+      return typeof strategy === 'function' ? 'custom' : 'interaction'
+    }
+    parent = parent.parent
+  }
+}
+
 function renderElement (el, isRoot, context) {
   const { write, next } = context
 
@@ -300,6 +563,13 @@ function renderElement (el, isRoot, context) {
     el.data.attrs[SSR_ATTR] = 'true'
   }
 
+  const hydrateStrategy = getHydrateStrategy(el)
+  if (isDef(hydrateStrategy)) {
+    if (!el.data) el.data = {}
+    if (!el.data.attrs) el.data.attrs = {}
+    el.data.attrs[SSR_HYDRATE_ATTR] = hydrateStrategy
+  }
+
   if (el.fnOptions) {
     registerComponentForCache(el.fnOptions, write)
   }
@@ -323,6 +593,60 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// fragments are wrapped in anchor comments so that the client can find
+// the boundaries of their root nodes during hydration
+function renderFragment (node, context) {
+  const children: Array<VNode> = node.children
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--]-->'
+  })
+  context.write('<!--[-->', context.next)
+}
+
+// the content of an enabled teleport is collected into ssrContext.teleports
+// by target, so that the template renderer can inject it. Only the anchors
+// are rendered in place.
+function renderTeleport (node, context) {
+  const children: Array<VNode> = node.children
+  const { to, disabled } = node.teleport
+  if (disabled || typeof to !== 'string') {
+    context.renderStates.push({
+      type: 'Element',
+      children,
+      rendered: 0,
+      total: children.length,
+      endTag: '<!--teleport end-->'
+    })
+    context.write('<!--teleport start-->', context.next)
+    return
+  }
+  // rendering it in place wouldn't match the client, which looks for it in
+  // the target
+  if (isUndef(context.userContext)) {
+    warnDroppedTeleport(to)
+  }
+  context.write.teleportBuffer.push('')
+  context.renderStates.push({
+    type: 'Teleport',
+    to,
+    children,
+    rendered: 0,
+    total: children.length
+  })
+  context.next()
+}
+
+export function warnDroppedTeleport (to: string) {
+  warnOnce(
+    `[vue-server-renderer] The content teleported to "${to}" is dropped, ` +
+    `pass a context to the render to get it in context.teleports.`
+  )
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
@@ -410,28 +734,46 @@ export function createRenderFunction (
   modules: Array<(node: VNode) => ?string>,
   directives: Object,
   isUnaryTag: Function,
-  cache: any
+  cache: any,
+  serverPrefetchTimeout?: number
 ) {
+  // shared by the renders of a renderer, so that a stale entry is only
+  // revalidated once at a time
+  const revalidating = new Set()
   return function render (
     component: Component,
     write: (text: string, next: Function) => void,
     userContext: ?Object,
-    done: Function
+    done: Function,
+    outOfOrder?: boolean
   ) {
     warned = Object.create(null)
+    let outOfOrderRender
+    if (isTrue(outOfOrder)) {
+      // the render is done once the deferred content has been written
+      outOfOrderRender = new OutOfOrderRender(write, done, userContext && userContext.nonce)
+      done = outOfOrderRender.end
+    }
     const context = new RenderContext({
       activeInstance: component,
       userContext,
       write, done, renderNode,
       isUnaryTag, modules, directives,
-      cache
+      cache,
+      revalidating,
+      serverPrefetchTimeout,
+      outOfOrder: outOfOrderRender
     })
     installSSRHelpers(component)
     normalizeRender(component)
 
     const resolve = () => {
-      renderNode(component._render(), true, context)
+      if (isDef(component.$options.errorCaptured)) {
+        renderErrorBoundary(component, undefined, true, context)
+      } else {
+        renderNode(component._render(), true, context)
+      }
     }
-    waitForServerPrefetch(component, resolve, done)
+    waitForAsyncData(component, resolve, context.done, context)
   }
 }
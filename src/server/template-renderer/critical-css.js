@@ -0,0 +1,442 @@
+/* @flow */
+
+const url = require('url')
+
+import { parseHTML } from 'compiler/parser/html-parser'
+import { isUnaryTag, canBeLeftOpenTag } from 'web/compiler/util'
+
+export type CSSRule = {
+  type: 'style';
+  // null when a selector can't be parsed, the rule is then always kept
+  selectors: Array<?Selector>;
+  text: string;
+} | {
+  // @media, @supports... containing style rules
+  type: 'group';
+  prelude: string;
+  rules: Array<CSSRule>;
+} | {
+  type: 'at';
+  name: string;
+  prelude: string;
+  text: string;
+};
+
+type Compound = {
+  tag: ?string;
+  ids: Array<string>;
+  classes: Array<string>;
+  attrs: Array<{ name: string, op: ?string, value: string, ignoreCase: boolean }>;
+};
+
+// the compounds of a selector with the combinators before them
+type Selector = Array<{ combinator: string, compound: Compound }>;
+
+type Element = {
+  tag: string;
+  attrs: { [name: string]: string };
+  classes: Array<string>;
+  parent: ?Element;
+  children: Array<Element>;
+};
+
+type Document = {
+  elements: Array<Element>;
+  byTag: { [tag: string]: Array<Element> };
+  byId: { [id: string]: Array<Element> };
+  byClass: { [name: string]: Array<Element> };
+};
+
+// at-rules whose content is made of style rules
+const groupingRules = ['media', 'supports', 'document', 'layer', 'container']
+
+/**
+ * Parse a stylesheet into the rules matched against the rendered markup.
+ * It only needs to be as precise as telling which rules may apply, anything
+ * it doesn't understand is kept.
+ */
+export function parseCSS (css: string): Array<CSSRule> {
+  css = css.replace(/\/\*[\s\S]*?\*\//g, '')
+  const rules = []
+  let index = 0
+  while (index < css.length) {
+    const end = indexOfOutsideStrings(css, index, '{;}')
+    if (end < 0) break
+    const prelude = css.slice(index, end).trim()
+    if (css[end] !== '{') {
+      // a statement at-rule, e.g. @import or @charset
+      if (prelude[0] === '@') {
+        rules.push({ type: 'at', name: getAtRuleName(prelude), prelude, text: prelude + ';' })
+      }
+      index = end + 1
+      continue
+    }
+    const close = findBlockEnd(css, end)
+    const body = css.slice(end + 1, close)
+    if (prelude[0] === '@') {
+      const name = getAtRuleName(prelude)
+      if (groupingRules.indexOf(name) > -1) {
+        rules.push({ type: 'group', prelude, rules: parseCSS(body) })
+      } else {
+        rules.push({ type: 'at', name, prelude, text: `${prelude}{${body}}` })
+      }
+    } else if (prelude) {
+      rules.push({
+        type: 'style',
+        selectors: splitOutsideParens(prelude).map(parseSelector),
+        text: `${prelude}{${body}}`
+      })
+    }
+    index = close + 1
+  }
+  return rules
+}
+
+/**
+ * Build the elements of rendered markup, as children of <html> and <body>
+ * so that rules scoped with them still match the content of the app.
+ */
+export function parseDocument (html: string): Document {
+  const doc = { elements: [], byTag: {}, byId: {}, byClass: {} }
+  const index = (map, key, el) => {
+    (map[key] || (map[key] = [])).push(el)
+  }
+  const createElement = (tag, attrs, parent) => {
+    const el = {
+      tag,
+      attrs,
+      classes: attrs.class ? attrs.class.trim().split(/\s+/) : [],
+      parent,
+      children: []
+    }
+    if (parent) parent.children.push(el)
+    doc.elements.push(el)
+    index(doc.byTag, tag, el)
+    if (attrs.id) index(doc.byId, attrs.id, el)
+    el.classes.forEach(name => index(doc.byClass, name, el))
+    return el
+  }
+
+  const root = createElement('html', {}, null)
+  const stack = [createElement('body', {}, root)]
+  parseHTML(html, {
+    expectHTML: true,
+    isUnaryTag,
+    canBeLeftOpenTag,
+    start (tag, attrList, unary) {
+      const attrs = {}
+      attrList.forEach(({ name, value }) => {
+        attrs[name.toLowerCase()] = value
+      })
+      const el = createElement(tag.toLowerCase(), attrs, stack[stack.length - 1])
+      if (!unary) stack.push(el)
+    },
+    end () {
+      if (stack.length > 1) stack.pop()
+    }
+  })
+  return doc
+}
+
+/**
+ * The rules of a stylesheet applying to a document, with the fonts and
+ * animations they use. Relative urls are resolved against the location of
+ * the stylesheet, since the rules are inlined into the page.
+ */
+export function getCriticalCSS (rules: Array<CSSRule>, doc: Document, base: string): string {
+  const used = filterRules(rules, doc)
+  return filterAtRules(used, getStyleText(used))
+    .map(getText)
+    .join('')
+    .replace(/url\(\s*(['"]?)([^'")]+)\1\s*\)/g, (match, quote, href) => {
+      return isAbsoluteURL(href)
+        ? match
+        : `url(${quote}${url.resolve(base, href)}${quote})`
+    })
+}
+
+function filterRules (rules: Array<CSSRule>, doc: Document): Array<CSSRule> {
+  const res = []
+  rules.forEach(rule => {
+    if (rule.type === 'style') {
+      if (rule.selectors.some(selector => !selector || matchesDocument(selector, doc))) {
+        res.push(rule)
+      }
+    } else if (rule.type === 'group') {
+      const children = filterRules(rule.rules, doc)
+      if (children.length) {
+        res.push({ type: 'group', prelude: rule.prelude, rules: children })
+      }
+    } else {
+      res.push(rule)
+    }
+  })
+  return res
+}
+
+// fonts and animations are only kept when a used rule refers to them. The
+// imports are left to the deferred stylesheets.
+function filterAtRules (rules: Array<CSSRule>, usedText: string): Array<CSSRule> {
+  const res = []
+  rules.forEach(rule => {
+    if (rule.type === 'group') {
+      res.push({ type: 'group', prelude: rule.prelude, rules: filterAtRules(rule.rules, usedText) })
+    } else if (rule.type === 'at') {
+      const name = rule.name.replace(/^-\w+-/, '')
+      if (name === 'import' || name === 'charset') {
+        return
+      }
+      if (name === 'keyframes') {
+        const animation = rule.prelude.replace(/^@[\w-]+\s*/, '').replace(/['"]/g, '')
+        if (!containsWord(usedText, animation)) return
+      } else if (name === 'font-face') {
+        const match = /font-family\s*:\s*(['"]?)([^;'"}]+)\1/i.exec(rule.text)
+        if (match && !containsWord(usedText, match[2].trim())) return
+      }
+      res.push(rule)
+    } else {
+      res.push(rule)
+    }
+  })
+  return res
+}
+
+function getText (rule: CSSRule): string {
+  if (rule.type === 'group') {
+    return `${rule.prelude}{${rule.rules.map(getText).join('')}}`
+  }
+  return rule.text
+}
+
+// the text of the style rules, which may refer to fonts and animations
+function getStyleText (rules: Array<CSSRule>): string {
+  return rules.map(rule => {
+    if (rule.type === 'group') return getStyleText(rule.rules)
+    return rule.type === 'style' ? rule.text : ''
+  }).join('')
+}
+
+function containsWord (text: string, word: string): boolean {
+  const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')
+  return new RegExp(`(^|[^\\w-])${escaped}([^\\w-]|$)`).test(
+    // the declarations only, not the selectors
+    text.replace(/[^{}]*\{/g, '{')
+  )
+}
+
+function isAbsoluteURL (href: string): boolean {
+  return /^([a-z][a-z\d+.-]*:|\/|#)/i.test(href)
+}
+
+function getAtRuleName (prelude: string): string {
+  const match = /^@([\w-]+)/.exec(prelude)
+  return match ? match[1].toLowerCase() : ''
+}
+
+function indexOfOutsideStrings (text: string, start: number, chars: string): number {
+  let quote = ''
+  for (let i = start; i < text.length; i++) {
+    const c = text[i]
+    if (quote) {
+      if (c === '\\') i++
+      else if (c === quote) quote = ''
+    } else if (c === '"' || c === "'") {
+      quote = c
+    } else if (chars.indexOf(c) > -1) {
+      return i
+    }
+  }
+  return -1
+}
+
+// the index of the brace closing the block opened at the given index
+function findBlockEnd (text: string, open: number): number {
+  let depth = 0
+  let i = open
+  while (i > -1) {
+    if (text[i] === '{') {
+      depth++
+    } else if (--depth === 0) {
+      return i
+    }
+    i = indexOfOutsideStrings(text, i + 1, '{}')
+  }
+  return text.length
+}
+
+function splitOutsideParens (text: string): Array<string> {
+  const res = []
+  let depth = 0
+  let last = 0
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (c === '(' || c === '[') depth++
+    else if (c === ')' || c === ']') depth--
+    else if (c === ',' && depth === 0) {
+      res.push(text.slice(last, i).trim())
+      last = i + 1
+    }
+  }
+  res.push(text.slice(last).trim())
+  return res
+}
+
+const identRE = /^(?:\\[0-9a-fA-F]{1,6}\s?|\\[^\n]|[\w-]|[\u0080-\uFFFF])+/
+const attrRE = /^\s*([^\s~|^$*!=]+)\s*(?:([~|^$*]?=)\s*(?:"([^"]*)"|'([^']*)'|([^\s"']+)))?\s*([is])?\s*$/i
+
+function unescapeIdent (ident: string): string {
+  return ident.replace(/\\([0-9a-fA-F]{1,6})\s?|\\(.)/g, (_, hex, char) => {
+    if (!hex) return char
+    const code = parseInt(hex, 16)
+    return code > 0 && code <= 0x10FFFF ? String.fromCodePoint(code) : '\uFFFD'
+  })
+}
+
+/**
+ * Parse a selector, ignoring its pseudo-classes and pseudo-elements: they
+ * either depend on the state of the page or only narrow down the elements
+ * matched, so a rule using them is kept as long as the rest matches.
+ * Returns null for a selector that isn't understood.
+ */
+function parseSelector (selector: string): ?Selector {
+  const res = []
+  let combinator = ''
+  let compound = createCompound()
+  // whether the current compound has any simple selector, even ignored ones
+  let empty = true
+  let i = 0
+  const readIdent = () => {
+    const match = identRE.exec(selector.slice(i))
+    if (!match) return null
+    i += match[0].length
+    return unescapeIdent(match[0])
+  }
+  while (i < selector.length) {
+    const c = selector[i]
+    if (/[\s>+~]/.test(c)) {
+      const match = (/^\s*([>+~]?)\s*/.exec(selector.slice(i)): any)
+      i += match[0].length
+      if (empty) {
+        // a relative selector or two combinators in a row
+        return null
+      }
+      res.push({ combinator, compound })
+      combinator = match[1] || ' '
+      compound = createCompound()
+      empty = true
+      continue
+    }
+    empty = false
+    if (c === '*') {
+      i++
+    } else if (c === '#' || c === '.') {
+      i++
+      const ident = readIdent()
+      if (!ident) return null
+      if (c === '#') compound.ids.push(ident)
+      else compound.classes.push(ident)
+    } else if (c === '[') {
+      const end = indexOfOutsideStrings(selector, i, ']')
+      const match = end > -1 && attrRE.exec(selector.slice(i + 1, end))
+      if (!match) return null
+      compound.attrs.push({
+        name: unescapeIdent(match[1]).toLowerCase().replace(/^\*?\|/, ''),
+        op: match[2],
+        value: match[3] || match[4] || match[5] || '',
+        ignoreCase: !!match[6] && match[6].toLowerCase() === 'i'
+      })
+      i = end + 1
+    } else if (c === ':') {
+      i += selector[i + 1] === ':' ? 2 : 1
+      if (!readIdent()) return null
+      if (selector[i] === '(') {
+        let depth = 0
+        do {
+          if (selector[i] === '(') depth++
+          else if (selector[i] === ')') depth--
+          i++
+        } while (depth > 0 && i < selector.length)
+      }
+    } else {
+      const ident = readIdent()
+      if (!ident) return null
+      compound.tag = ident.toLowerCase()
+    }
+  }
+  if (empty) {
+    return null
+  }
+  res.push({ combinator, compound })
+  return res
+}
+
+function createCompound (): Compound {
+  return { tag: null, ids: [], classes: [], attrs: [] }
+}
+
+function matchesDocument (selector: Selector, doc: Document): boolean {
+  const last = selector.length - 1
+  const { compound } = selector[last]
+  // only look at the elements which may match the rightmost compound
+  const candidates = compound.ids.length
+    ? doc.byId[compound.ids[0]]
+    : compound.classes.length
+      ? doc.byClass[compound.classes[0]]
+      : compound.tag
+        ? doc.byTag[compound.tag]
+        : doc.elements
+  return !!candidates && candidates.some(el => matchesSelector(el, selector, last))
+}
+
+function matchesSelector (el: Element, selector: Selector, index: number): boolean {
+  const { combinator, compound } = selector[index]
+  if (!matchesCompound(el, compound)) {
+    return false
+  }
+  if (index === 0) {
+    return true
+  }
+  const parent = el.parent
+  if (combinator === '>') {
+    return !!parent && matchesSelector(parent, selector, index - 1)
+  }
+  if (combinator === '+' || combinator === '~') {
+    const siblings = parent ? parent.children : []
+    const position = siblings.indexOf(el)
+    if (combinator === '+') {
+      return position > 0 && matchesSelector(siblings[position - 1], selector, index - 1)
+    }
+    for (let i = 0; i < position; i++) {
+      if (matchesSelector(siblings[i], selector, index - 1)) return true
+    }
+    return false
+  }
+  for (let ancestor = parent; ancestor; ancestor = ancestor.parent) {
+    if (matchesSelector(ancestor, selector, index - 1)) return true
+  }
+  return false
+}
+
+function matchesCompound (el: Element, compound: Compound): boolean {
+  return (!compound.tag || compound.tag === el.tag) &&
+    compound.ids.every(id => el.attrs.id === id) &&
+    compound.classes.every(name => el.classes.indexOf(name) > -1) &&
+    compound.attrs.every(({ name, op, value, ignoreCase }) => {
+      let actual = el.attrs[name]
+      if (actual == null) return false
+      if (!op) return true
+      if (ignoreCase) {
+        actual = actual.toLowerCase()
+        value = value.toLowerCase()
+      }
+      switch (op) {
+        case '=': return actual === value
+        case '~=': return actual.split(/\s+/).indexOf(value) > -1
+        case '|=': return actual === value || actual.indexOf(value + '-') === 0
+        case '^=': return !!value && actual.indexOf(value) === 0
+        case '$=': return !!value && actual.slice(-value.length) === value
+        case '*=': return !!value && actual.indexOf(value) > -1
+      }
+      return true
+    })
+}
@@ -1,14 +1,19 @@
 /* @flow */
 
+const fs = require('fs')
 const path = require('path')
+const crypto = require('crypto')
 const serialize = require('serialize-javascript')
 
 import { isJS, isCSS } from '../util'
 import TemplateStream from './template-stream'
 import { parseTemplate } from './parse-template'
 import { createMapper } from './create-async-file-mapper'
+import { parseCSS, parseDocument, getCriticalCSS } from './critical-css'
+import { SWAP_RUNTIME, SWAP_SCRIPT } from '../out-of-order'
 import type { ParsedTemplate } from './parse-template'
 import type { AsyncFileMapper } from './create-async-file-mapper'
+import type { CSSRule } from './critical-css'
 
 type TemplateRendererOptions = {
   template?: string | (content: string, context: any) => string;
@@ -17,6 +22,29 @@ type TemplateRendererOptions = {
   shouldPreload?: (file: string, type: string) => boolean;
   shouldPrefetch?: (file: string, type: string) => boolean;
   serializer?: Function;
+  criticalCSS?: CriticalCSSOptions;
+  cspHashes?: boolean;
+  state?: { [contextKey: string]: string | StatePayloadOptions };
+  stateBudget?: number;
+};
+
+// how renderState renders a context property. The json format is a
+// <script type="application/json"> block, only parsed once the client reads
+// the window property.
+export type StatePayloadOptions = {
+  windowKey: string;
+  format?: 'script' | 'json';
+};
+
+// the critical CSS is computed from the rendered content, so only
+// renderToString inlines it. Streams send the styles before the content is
+// rendered and keep the regular stylesheet links.
+export type CriticalCSSOptions = {
+  // the output directory of the client build, where the CSS files of the
+  // client manifest are read from
+  outputDir?: string;
+  // or a function returning the content of one of these files
+  readFile?: (file: string) => string;
 };
 
 export type ClientManifest = {
@@ -39,6 +67,30 @@ type Resource = {
   asType: string;
 };
 
+// the sources to allow in a Content-Security-Policy header, e.g. 'sha256-...'
+export type CSPHashes = {
+  script: Array<string>;
+  style: Array<string>;
+};
+
+// swaps the deferred stylesheets in once loaded. Print stylesheets don't
+// block rendering, and an inline script can be allowed by a strict CSP
+// where an onload attribute can't.
+const LOAD_DEFERRED_STYLES =
+  '[].forEach.call(document.querySelectorAll("link[data-vue-ssr-deferred]"),function(l){' +
+    'if(l.sheet)l.media="all";else l.onload=function(){l.media="all"}' +
+  '})'
+
+// a file to preload or prefetch, as a <link> tag or a Link header
+export type ResourceHint = {
+  file: string;
+  href: string;
+  rel: 'preload' | 'prefetch';
+  as: string;
+  type?: string;
+  crossorigin?: boolean;
+};
+
 export default class TemplateRenderer {
   options: TemplateRendererOptions;
   inject: boolean;
@@ -49,6 +101,9 @@ export default class TemplateRenderer {
   prefetchFiles: Array<Resource>;
   mapFiles: AsyncFileMapper;
   serialize: Function;
+  statePayloads: { [contextKey: string]: StatePayloadOptions };
+  readCSSFile: ?(file: string) => string;
+  cssRules: Map<string, Array<CSSRule>>;
 
   constructor (options: TemplateRendererOptions) {
     this.options = options
@@ -68,6 +123,17 @@ export default class TemplateRenderer {
       return serialize(state, { isJSON: true })
     })
 
+    // the context properties rendered by renderState, each into its own
+    // window property
+    const state = options.state || { state: '__INITIAL_STATE__' }
+    this.statePayloads = {}
+    Object.keys(state).forEach(contextKey => {
+      const payload = state[contextKey]
+      this.statePayloads[contextKey] = typeof payload === 'string'
+        ? { windowKey: payload }
+        : payload
+    })
+
     // extra functionality with client manifest
     if (options.clientManifest) {
       const clientManifest = this.clientManifest = options.clientManifest
@@ -81,15 +147,29 @@ export default class TemplateRenderer {
       // initial async chunk mapping
       this.mapFiles = createMapper(clientManifest)
     }
+
+    // inline the CSS used by the rendered markup, the rest is deferred
+    if (options.criticalCSS) {
+      const { outputDir, readFile } = options.criticalCSS
+      if (!readFile && !outputDir) {
+        throw new Error('The criticalCSS option requires an outputDir or a readFile function.')
+      }
+      this.readCSSFile = readFile || (file => {
+        return fs.readFileSync(path.resolve((outputDir: any), file), 'utf-8')
+      })
+      // the files of a build don't change, they are only parsed once
+      this.cssRules = new Map()
+    }
   }
 
   bindRenderFns (context: Object) {
     const renderer: any = this
-    ;['ResourceHints', 'State', 'Scripts', 'Styles'].forEach(type => {
+    ;['ResourceHints', 'State', 'Scripts', 'Styles', 'Teleports', 'PrefetchErrors'].forEach(type => {
       context[`render${type}`] = renderer[`render${type}`].bind(renderer, context)
     })
     // also expose getPreloadFiles, useful for HTTP/2 push
     context.getPreloadFiles = renderer.getPreloadFiles.bind(renderer, context)
+    context.getResourceHints = renderer.getResourceHints.bind(renderer, context)
   }
 
   // render synchronously given rendered app content and render context
@@ -100,6 +180,8 @@ export default class TemplateRenderer {
     }
     context = context || {}
 
+    this.collectCriticalCSS(content, context)
+
     if (typeof template === 'function') {
       return template(content, context)
     }
@@ -112,6 +194,8 @@ export default class TemplateRenderer {
         this.renderStyles(context) +
         template.neck(context) +
         content +
+        this.renderTeleports(context) +
+        this.renderPrefetchErrors(context) +
         this.renderState(context) +
         this.renderScripts(context) +
         template.tail(context)
@@ -127,24 +211,110 @@ export default class TemplateRenderer {
   }
 
   renderStyles (context: Object): string {
+    const cssFiles = this.getStyleFiles(context)
+    const critical = context._criticalCSS
+    const nonceAttr = getNonceAttr(context)
+    let links
+    if (critical != null) {
+      // the stylesheets are loaded without blocking the first paint, which
+      // only needs the inlined rules
+      links = (critical ? this.renderInlineTag(context, 'style', critical, ' data-vue-ssr-critical') : '') +
+        cssFiles.map(({ file }) => {
+          const href = `${this.publicPath}${file}`
+          return `<link rel="stylesheet" href="${href}" media="print" data-vue-ssr-deferred${nonceAttr}>` +
+            `<noscript><link rel="stylesheet" href="${href}"${nonceAttr}></noscript>`
+        }).join('') +
+        (cssFiles.length ? this.renderInlineTag(context, 'script', LOAD_DEFERRED_STYLES) : '')
+    } else {
+      // render links for css files
+      links = cssFiles.map(({ file }) => `<link rel="stylesheet" href="${this.publicPath}${file}"${nonceAttr}>`).join('')
+    }
+    return links + this.renderInlineStyles(context)
+  }
+
+  // context.styles is a getter exposed by vue-style-loader which contains
+  // the inline component styles collected during SSR
+  renderInlineStyles (context: Object): string {
+    const styles = context.styles
+    if (!styles) {
+      return ''
+    }
+    if (this.options.cspHashes) {
+      const styleRE = /<style[^>]*>([\s\S]*?)<\/style>/g
+      let match
+      while ((match = styleRE.exec(styles))) {
+        addHash(context, 'style', match[1])
+      }
+    }
+    return context.nonce
+      ? styles.replace(/<style(?=[\s>])/g, `<style${getNonceAttr(context)}`)
+      : styles
+  }
+
+  // an inline <script> or <style>, which a strict CSP allows by its nonce or
+  // by its hash
+  renderInlineTag (context: Object, tag: string, content: string, attrs?: string = ''): string {
+    if (this.options.cspHashes) {
+      addHash(context, tag === 'style' ? 'style' : 'script', content)
+    }
+    return `<${tag}${attrs}${getNonceAttr(context)}>${content}</${tag}>`
+  }
+
+  getStyleFiles (context: Object): Array<Resource> {
     const initial = this.preloadFiles || []
     const async = this.getUsedAsyncFiles(context) || []
-    const cssFiles = initial.concat(async).filter(({ file }) => isCSS(file))
-    return (
-      // render links for css files
-      (cssFiles.length
-        ? cssFiles.map(({ file }) => `<link rel="stylesheet" href="${this.publicPath}${file}">`).join('')
-        : '') +
-      // context.styles is a getter exposed by vue-style-loader which contains
-      // the inline component styles collected during SSR
-      (context.styles || '')
-    )
+    return initial.concat(async).filter(({ file }) => isCSS(file))
   }
 
-  renderResourceHints (context: Object): string {
+  // streams start sending the head before the content is rendered, so this
+  // is only done once renderToString has the content, before the styles
+  // are rendered with or without a template
+  collectCriticalCSS (content: string, context: Object) {
+    if (this.readCSSFile) {
+      context._criticalCSS = this.getCriticalCSS(content, context)
+    }
+  }
+
+  // the scripts swapping in the content of an out-of-order stream are the
+  // same for every render, so their hashes are known before it starts
+  addSwapScriptHashes (context: Object) {
+    if (this.options.cspHashes) {
+      addHash(context, 'script', SWAP_RUNTIME)
+      addHash(context, 'script', SWAP_SCRIPT)
+    }
+  }
+
+  // the rules of the stylesheets matching the rendered content
+  getCriticalCSS (content: string, context: Object): string {
+    const cssFiles = this.getStyleFiles(context)
+    if (!cssFiles.length) {
+      return ''
+    }
+    const doc = parseDocument(content)
+    return cssFiles.map(({ file, fileWithoutQuery }) => {
+      let rules = this.cssRules.get(fileWithoutQuery)
+      if (!rules) {
+        rules = parseCSS((this.readCSSFile: any)(fileWithoutQuery))
+        this.cssRules.set(fileWithoutQuery, rules)
+      }
+      return getCriticalCSS(rules, doc, `${this.publicPath}${file}`)
+    }).join('')
+  }
+
+  // the hints as <link> tags, or as the value of a Link header with the
+  // header format, e.g. for a 103 Early Hints response
+  renderResourceHints (context: Object, options?: Object): string {
+    const { format = 'html' } = options || {}
+    if (format === 'header') {
+      return this.getResourceHints(context).map(renderLinkHeader).join(', ')
+    }
     return this.renderPreloadLinks(context) + this.renderPrefetchLinks(context)
   }
 
+  getResourceHints (context: Object): Array<ResourceHint> {
+    return this.getPreloadHints(context).concat(this.getPrefetchHints(context))
+  }
+
   getPreloadFiles (context: Object): Array<Resource> {
     const usedAsyncFiles = this.getUsedAsyncFiles(context)
     if (this.preloadFiles || usedAsyncFiles) {
@@ -154,70 +324,148 @@ export default class TemplateRenderer {
     }
   }
 
-  renderPreloadLinks (context: Object): string {
-    const files = this.getPreloadFiles(context)
+  getPreloadHints (context: Object): Array<ResourceHint> {
     const shouldPreload = this.options.shouldPreload
-    if (files.length) {
-      return files.map(({ file, extension, fileWithoutQuery, asType }) => {
-        let extra = ''
-        // by default, we only preload scripts or css
-        if (!shouldPreload && asType !== 'script' && asType !== 'style') {
-          return ''
-        }
-        // user wants to explicitly control what to preload
-        if (shouldPreload && !shouldPreload(fileWithoutQuery, asType)) {
-          return ''
-        }
-        if (asType === 'font') {
-          extra = ` type="font/${extension}" crossorigin`
-        }
-        return `<link rel="preload" href="${
-          this.publicPath}${file
-        }"${
-          asType !== '' ? ` as="${asType}"` : ''
-        }${
-          extra
-        }>`
-      }).join('')
-    } else {
-      return ''
-    }
+    const hints = []
+    this.getPreloadFiles(context).forEach(({ file, extension, fileWithoutQuery, asType }) => {
+      // by default, we only preload scripts or css
+      if (!shouldPreload && asType !== 'script' && asType !== 'style') {
+        return
+      }
+      // user wants to explicitly control what to preload
+      if (shouldPreload && !shouldPreload(fileWithoutQuery, asType)) {
+        return
+      }
+      // the deferred stylesheets are fetched with a low priority
+      if (asType === 'style' && context._criticalCSS != null) {
+        return
+      }
+      const hint: ResourceHint = {
+        file,
+        href: `${this.publicPath}${file}`,
+        rel: 'preload',
+        as: asType
+      }
+      if (asType === 'font') {
+        hint.type = `font/${extension}`
+        hint.crossorigin = true
+      }
+      hints.push(hint)
+    })
+    return hints
   }
 
-  renderPrefetchLinks (context: Object): string {
+  getPrefetchHints (context: Object): Array<ResourceHint> {
     const shouldPrefetch = this.options.shouldPrefetch
-    if (this.prefetchFiles) {
-      const usedAsyncFiles = this.getUsedAsyncFiles(context)
-      const alreadyRendered = file => {
-        return usedAsyncFiles && usedAsyncFiles.some(f => f.file === file)
-      }
-      return this.prefetchFiles.map(({ file, fileWithoutQuery, asType }) => {
-        if (shouldPrefetch && !shouldPrefetch(fileWithoutQuery, asType)) {
-          return ''
-        }
-        if (alreadyRendered(file)) {
-          return ''
-        }
-        return `<link rel="prefetch" href="${this.publicPath}${file}">`
-      }).join('')
-    } else {
-      return ''
+    if (!this.prefetchFiles) {
+      return []
+    }
+    const usedAsyncFiles = this.getUsedAsyncFiles(context)
+    const alreadyRendered = file => {
+      return usedAsyncFiles && usedAsyncFiles.some(f => f.file === file)
     }
+    return this.prefetchFiles.filter(({ file, fileWithoutQuery, asType }) => {
+      if (shouldPrefetch && !shouldPrefetch(fileWithoutQuery, asType)) {
+        return false
+      }
+      return !alreadyRendered(file)
+    }).map(({ file, asType }) => ({
+      file,
+      href: `${this.publicPath}${file}`,
+      rel: 'prefetch',
+      as: asType
+    }))
+  }
+
+  renderPreloadLinks (context: Object): string {
+    const nonceAttr = getNonceAttr(context)
+    return this.getPreloadHints(context).map(hint => renderLinkTag(hint, nonceAttr)).join('')
+  }
+
+  renderPrefetchLinks (context: Object): string {
+    const nonceAttr = getNonceAttr(context)
+    return this.getPrefetchHints(context).map(hint => renderLinkTag(hint, nonceAttr)).join('')
   }
 
+  // all the state payloads, or a single one given its options
   renderState (context: Object, options?: Object): string {
+    if (!options) {
+      return Object.keys(this.statePayloads).map(contextKey => {
+        return this.renderStatePayload(context, contextKey, this.statePayloads[contextKey])
+      }).join('')
+    }
     const {
       contextKey = 'state',
-      windowKey = '__INITIAL_STATE__'
-    } = options || {}
+      windowKey = '__INITIAL_STATE__',
+      format
+    } = options
+    return this.renderStatePayload(context, contextKey, { windowKey, format })
+  }
+
+  renderStatePayload (
+    context: Object,
+    contextKey: string,
+    { windowKey, format = 'script' }: StatePayloadOptions
+  ): string {
+    if (!context[contextKey]) {
+      return ''
+    }
     const state = this.serialize(context[contextKey])
+    const budget = this.options.stateBudget
+    if (budget != null) {
+      const size = Buffer.byteLength(state)
+      if (size > budget) {
+        console.warn(
+          `[vue-server-renderer] The state in context.${contextKey} is ${size} bytes, ` +
+          `over the stateBudget of ${budget} bytes.`
+        )
+      }
+    }
+    if (format === 'json') {
+      const id = JSON.stringify(`vue-ssr-state-${windowKey}`)
+      const key = JSON.stringify(windowKey)
+      return `<script type="application/json" id=${id}${getNonceAttr(context)}>${state}</script>` +
+        this.renderInlineTag(context, 'script',
+          `(function(w,d,k){` +
+            `function v(x){Object.defineProperty(w,k,{value:x,writable:true,configurable:true,enumerable:true})}` +
+            `Object.defineProperty(w,k,{configurable:true,get:function(){` +
+              `var s=d.getElementById(${id}),x=JSON.parse(s.textContent);` +
+              `s.parentNode.removeChild(s);v(x);return x` +
+            `},set:v})` +
+          `}(window,document,${key}))`
+        )
+    }
     const autoRemove = process.env.NODE_ENV === 'production'
       ? ';(function(){var s;(s=document.currentScript||document.scripts[document.scripts.length-1]).parentNode.removeChild(s);}());'
       : ''
-    const nonceAttr = context.nonce ? ` nonce="${context.nonce}"` : ''
-    return context[contextKey]
-      ? `<script${nonceAttr}>window.${windowKey}=${state}${autoRemove}</script>`
-      : ''
+    return this.renderInlineTag(context, 'script', `window.${windowKey}=${state}${autoRemove}`)
+  }
+
+  // the failed serverPrefetch hooks of the render, so that the client can
+  // fetch the data of these components itself
+  renderPrefetchErrors (context: Object, options?: Object): string {
+    const {
+      windowKey = '__VUE_SSR_PREFETCH_ERRORS__'
+    } = options || {}
+    const errors = context.prefetchErrors
+    if (!errors || !errors.length) {
+      return ''
+    }
+    const report = errors.map(({ component, error, timedOut, captured }) => {
+      const res: Object = { component, timedOut, captured }
+      // the messages of server errors are not exposed in production
+      if (process.env.NODE_ENV !== 'production') {
+        res.message = String(error && error.message)
+      }
+      return res
+    })
+    return this.renderInlineTag(context, 'script', `window.${windowKey}=${this.serialize(report)}`)
+  }
+
+  // content of <teleport>s rendered into the given target, collected
+  // during SSR. Content teleported to body is injected after the app.
+  renderTeleports (context: Object, to?: string = 'body'): string {
+    return (context.teleports && context.teleports[to]) || ''
   }
 
   renderScripts (context: Object): string {
@@ -225,8 +473,9 @@ export default class TemplateRenderer {
       const initial = this.preloadFiles.filter(({ file }) => isJS(file))
       const async = (this.getUsedAsyncFiles(context) || []).filter(({ file }) => isJS(file))
       const needed = [initial[0]].concat(async, initial.slice(1))
+      const nonceAttr = getNonceAttr(context)
       return needed.map(({ file }) => {
-        return `<script src="${this.publicPath}${file}" defer></script>`
+        return `<script src="${this.publicPath}${file}" defer${nonceAttr}></script>`
       }).join('')
     } else {
       return ''
@@ -250,6 +499,48 @@ export default class TemplateRenderer {
   }
 }
 
+// prefetched files are fetched with a low priority whatever their type,
+// so the destination is only given for preloads
+function renderLinkTag (
+  { href, rel, as, type, crossorigin }: ResourceHint,
+  nonceAttr: string
+): string {
+  return `<link rel="${rel}" href="${href}"${
+    rel === 'preload' && as ? ` as="${as}"` : ''
+  }${
+    type ? ` type="${type}"` : ''
+  }${
+    crossorigin ? ' crossorigin' : ''
+  }${
+    nonceAttr
+  }>`
+}
+
+function renderLinkHeader ({ href, rel, as, type, crossorigin }: ResourceHint): string {
+  return `<${href}>; rel=${rel}${
+    rel === 'preload' && as ? `; as=${as}` : ''
+  }${
+    type ? `; type="${type}"` : ''
+  }${
+    crossorigin ? '; crossorigin' : ''
+  }`
+}
+
+function getNonceAttr (context: ?Object): string {
+  return context && context.nonce ? ` nonce="${context.nonce}"` : ''
+}
+
+// collected in context.cspHashes, for the response header. The list is
+// complete once renderToString is done, streams send the head before the
+// inline tags are rendered.
+function addHash (context: Object, type: 'script' | 'style', content: string) {
+  const hashes: CSPHashes = context.cspHashes || (context.cspHashes = { script: [], style: [] })
+  const hash = `'sha256-${crypto.createHash('sha256').update(content).digest('base64')}'`
+  if (hashes[type].indexOf(hash) < 0) {
+    hashes[type].push(hash)
+  }
+}
+
 function normalizeFile (file: string): Resource {
   const withoutQuery = file.replace(/\?.*/, '')
   const extension = path.extname(withoutQuery).slice(1)
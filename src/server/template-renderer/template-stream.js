@@ -63,6 +63,18 @@ export default class TemplateStream extends Transform {
     this.emit('beforeEnd')
 
     if (this.inject) {
+      // content teleported to body
+      const teleports = this.renderer.renderTeleports(this.context)
+      if (teleports) {
+        this.push(teleports)
+      }
+
+      // failed serverPrefetch hooks
+      const prefetchErrors = this.renderer.renderPrefetchErrors(this.context)
+      if (prefetchErrors) {
+        this.push(prefetchErrors)
+      }
+
       // inline initial store state
       const state = this.renderer.renderState(this.context)
       if (state) {
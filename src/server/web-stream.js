@@ -0,0 +1,107 @@
+/* @flow */
+
+/**
+ * Iterate the chunks of a readable stream. A chunk is only read when the
+ * consumer asks for the next one, so the rendering doesn't get ahead of it
+ * by more than the buffer of the stream, as when the stream is piped.
+ */
+export function createAsyncIterable (stream: stream$Readable): Object {
+  let error = null
+  let ended = false
+  let closed = false
+  let wake = null
+
+  const resume = () => {
+    if (wake) {
+      const fn = wake
+      wake = null
+      fn()
+    }
+  }
+  stream.setEncoding('utf8')
+  stream.on('readable', resume)
+  stream.on('end', () => {
+    ended = true
+    resume()
+  })
+  stream.on('error', err => {
+    error = err
+    resume()
+  })
+
+  const next = () => {
+    if (closed) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    // reading may render synchronously and fail
+    const chunk = stream.read()
+    if (error) {
+      return Promise.reject(error)
+    }
+    if (chunk !== null) {
+      return Promise.resolve({ value: chunk, done: false })
+    }
+    if (ended) {
+      return Promise.resolve({ value: undefined, done: true })
+    }
+    return new Promise(resolve => {
+      wake = resolve
+    }).then(next)
+  }
+
+  const iterator = {
+    next,
+    return (): Promise<Object> {
+      // stop rendering when the consumer breaks out of the iteration
+      closed = true
+      stream.removeListener('readable', resume)
+      ;(stream: any).destroy()
+      return Promise.resolve({ value: undefined, done: true })
+    }
+  }
+  ;(iterator: any)[(Symbol: any).asyncIterator] = () => iterator
+  return iterator
+}
+
+function getWebStreamsAPI (): { ReadableStream: any, TextEncoder: any } {
+  const api = {
+    ReadableStream: typeof ReadableStream !== 'undefined' ? ReadableStream : null,
+    TextEncoder: typeof TextEncoder !== 'undefined' ? TextEncoder : null
+  }
+  if (!api.ReadableStream) {
+    try {
+      api.ReadableStream = (require: any)('stream/web').ReadableStream
+    } catch (e) {
+      throw new Error(`renderToWebStream requires WHATWG streams (Node.js >= 16.5).`)
+    }
+  }
+  if (!api.TextEncoder) {
+    api.TextEncoder = (require: any)('util').TextEncoder
+  }
+  return api
+}
+
+/**
+ * Expose the chunks of an async iterable as a WHATWG ReadableStream of UTF-8
+ * encoded bytes, which can be used as the body of a fetch Response. The next
+ * chunk is pulled only when the stream queue has room for it.
+ */
+export function createWebStream (iterable: Object): Object {
+  const { ReadableStream, TextEncoder } = getWebStreamsAPI()
+  const encoder = new TextEncoder()
+  const iterator = iterable[(Symbol: any).asyncIterator]()
+  return new ReadableStream({
+    pull (controller) {
+      return iterator.next().then(({ value, done }) => {
+        if (done) {
+          controller.close()
+        } else {
+          controller.enqueue(encoder.encode(value))
+        }
+      })
+    },
+    cancel () {
+      return iterator.return()
+    }
+  })
+}
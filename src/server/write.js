@@ -1,9 +1,11 @@
 /* @flow */
 
+import { isUndef } from 'shared/util'
+
 const MAX_STACK_DEPTH = 800
 const noop = _ => _
 
-const defer = typeof process !== 'undefined' && process.nextTick
+export const defer: (fn: Function) => any = typeof process !== 'undefined' && process.nextTick
   ? process.nextTick
   : typeof Promise !== 'undefined'
     ? fn => Promise.resolve().then(fn)
@@ -21,13 +23,21 @@ if (defer === noop) {
 
 export function createWriteFunction (
   write: (text: string, next: Function) => boolean,
-  onError: Function
+  onError: Function,
+  truncate?: (length: number) => boolean
 ): Function {
   let stackDepth = 0
   const cachedWrite = (text, next) => {
+    const teleportBuffer = cachedWrite.teleportBuffer
+    if (text && teleportBuffer.length) {
+      // the content of a <teleport> is collected instead of written in place
+      teleportBuffer[teleportBuffer.length - 1] += text
+      text = ''
+    }
     if (text && cachedWrite.caching) {
       cachedWrite.cacheBuffer[cachedWrite.cacheBuffer.length - 1] += text
     }
+    cachedWrite.written += text.length
     const waitForNext = write(text, next)
     if (waitForNext !== true) {
       if (stackDepth >= MAX_STACK_DEPTH) {
@@ -46,5 +56,18 @@ export function createWriteFunction (
   cachedWrite.caching = false
   cachedWrite.cacheBuffer = []
   cachedWrite.componentBuffer = []
+  // the teleported content of the components being cached, by target
+  cachedWrite.cacheTeleports = []
+  cachedWrite.teleportBuffer = []
+  // the length of the text written so far. The output can be rewound to an
+  // earlier length as long as the text after it hasn't been flushed
+  cachedWrite.written = 0
+  cachedWrite.rewind = (length: number): boolean => {
+    if (isUndef(truncate) || !truncate(cachedWrite.written - length)) {
+      return false
+    }
+    cachedWrite.written = length
+    return true
+  }
   return cachedWrite
 }
@@ -1,5 +1,8 @@
 export const SSR_ATTR = 'data-server-rendered'
 
+// root element of a server-rendered component hydrated lazily
+export const SSR_HYDRATE_ATTR = 'data-server-hydrate'
+
 export const ASSET_TYPES = [
   'component',
   'directive',
@@ -18,5 +21,7 @@ export const LIFECYCLE_HOOKS = [
   'activated',
   'deactivated',
   'errorCaptured',
-  'serverPrefetch'
+  'serverPrefetch',
+  'renderTracked',
+  'renderTriggered'
 ]
@@ -1,6 +1,6 @@
 import LRU from 'lru-cache'
 import { compileWithWebpack } from './compile-with-webpack'
-import { createBundleRenderer } from '../../packages/vue-server-renderer'
+import { createBundleRenderer, createRenderCache } from '../../packages/vue-server-renderer'
 import VueSSRServerPlugin from '../../packages/vue-server-renderer/server-plugin'
 
 export function createRenderer (file, options, cb) {
@@ -11,6 +11,12 @@ export function createRenderer (file, options, cb) {
   const asBundle = !!(options && options.asBundle)
   if (options) delete options.asBundle
 
+  compileBundle(file, asBundle, bundle => {
+    cb(createBundleRenderer(bundle, options))
+  })
+}
+
+function compileBundle (file, asBundle, cb) {
   compileWithWebpack(file, {
     target: 'node',
     devtool: asBundle ? '#source-map' : false,
@@ -24,11 +30,9 @@ export function createRenderer (file, options, cb) {
       ? [new VueSSRServerPlugin()]
       : []
   }, fs => {
-    const bundle = asBundle
+    cb(asBundle
       ? JSON.parse(fs.readFileSync('/vue-ssr-server-bundle.json', 'utf-8'))
-      : fs.readFileSync('/bundle.js', 'utf-8')
-    const renderer = createBundleRenderer(bundle, options)
-    cb(renderer)
+      : fs.readFileSync('/bundle.js', 'utf-8'))
   })
 }
 
@@ -316,6 +320,115 @@ function createAssertions (runInNewContext) {
     })
   })
 
+  it('updateBundle', done => {
+    createRenderer('app.js', { runInNewContext }, renderer => {
+      compileBundle('split.js', true, bundle => {
+        const updated = jasmine.createSpy('bundleUpdated')
+        renderer.on('bundleUpdated', updated)
+        // already started, finished with the previous bundle
+        const before = renderer.renderToString({ url: '/before' })
+        renderer.updateBundle(bundle, {
+          publicPath: '/',
+          all: ['new.js'],
+          initial: ['new.js'],
+          async: [],
+          modules: {}
+        })
+        expect(updated).toHaveBeenCalledTimes(1)
+        expect(renderer.getEarlyResources().map(({ href }) => href)).toEqual(['/new.js'])
+
+        // an invalid bundle is not swapped in
+        expect(() => renderer.updateBundle({ entry: 1, files: {}, maps: {}})).toThrowError(/Invalid server-rendering bundle format/)
+        expect(updated).toHaveBeenCalledTimes(1)
+
+        before.then(res => {
+          expect(res).toBe('<div data-server-rendered="true">/before</div>')
+          return renderer.renderToString({ url: '/test' })
+        }).then(res => {
+          expect(res).toBe('<div data-server-rendered="true">/test<div>async test.woff2 test.png</div></div>')
+          done()
+        }).catch(done.fail)
+      })
+    })
+  })
+
+  it('updateBundle with cache', done => {
+    const entries = {}
+    const cache = {
+      get: key => entries[key],
+      set: (key, val) => {
+        entries[key] = val
+      }
+    }
+    createRenderer('cache.js', { runInNewContext, cache }, renderer => {
+      compileBundle('cache.js', false, code => {
+        // the same cached component in a new build
+        const updated = code.replace(/\/test/g, '/updated')
+        renderer.renderToString().then(res => {
+          expect(res).toBe('<div data-server-rendered="true">/test</div>')
+          renderer.updateBundle(updated)
+          return renderer.renderToString()
+        }).then(res => {
+          expect(res).toBe('<div data-server-rendered="true">/updated</div>')
+          // the entries of the new bundle are cached as well
+          return renderer.renderToString()
+        }).then(res => {
+          expect(res).toBe('<div data-server-rendered="true">/updated</div>')
+          expect(Object.keys(entries)).toEqual(['app::1', 'bundle1::app::1'])
+          done()
+        }).catch(done.fail)
+      })
+    })
+  })
+
+  it('updateBundle with a cache purging the entries of the previous bundle', done => {
+    const cache = createRenderCache()
+    createRenderer('cache.js', { runInNewContext, cache }, renderer => {
+      compileBundle('cache.js', false, code => {
+        renderer.renderToString().then(() => {
+          expect(cache.has('app::1')).toBe(true)
+          renderer.updateBundle(code.replace(/\/test/g, '/updated'))
+          expect(cache.has('app::1')).toBe(false)
+          return renderer.renderToString()
+        }).then(res => {
+          expect(res).toBe('<div data-server-rendered="true">/updated</div>')
+          expect(cache.size()).toBe(1)
+          expect(cache.has('bundle1::app::1')).toBe(true)
+          done()
+        }).catch(done.fail)
+      })
+    })
+  })
+
+  it('updateBundle with critical CSS', done => {
+    let css = 'div { color: red }'
+    createRenderer('app.js', {
+      runInNewContext,
+      template: '<html><head></head><body><!--vue-ssr-outlet--></body></html>',
+      clientManifest: {
+        publicPath: '/',
+        all: ['main.js', 'main.css'],
+        initial: ['main.js', 'main.css'],
+        async: [],
+        modules: {}
+      },
+      criticalCSS: { readFile: () => css }
+    }, renderer => {
+      compileBundle('app.js', false, code => {
+        renderer.renderToString({ url: '/test' }).then(res => {
+          expect(res).toContain('<style data-vue-ssr-critical>div{ color: red }</style>')
+          // the stylesheets of the new build are read again
+          css = 'div { color: blue }'
+          renderer.updateBundle(code)
+          return renderer.renderToString({ url: '/test' })
+        }).then(res => {
+          expect(res).toContain('<style data-vue-ssr-critical>div{ color: blue }</style>')
+          done()
+        }).catch(done.fail)
+      })
+    })
+  })
+
   it('renderToString return Promise', done => {
     createRenderer('app.js', { runInNewContext }, renderer => {
       const context = { url: '/test' }
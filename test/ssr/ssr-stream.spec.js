@@ -1,6 +1,18 @@
 import Vue from '../../dist/vue.runtime.common.js'
 import { createRenderer } from '../../packages/vue-server-renderer'
-const { renderToStream } = createRenderer()
+const { renderToStream, renderToAsyncIterable, renderToWebStream } = createRenderer()
+const outOfOrderRenderer = createRenderer({ outOfOrder: true })
+
+function readAll (iterable) {
+  const iterator = iterable[Symbol.asyncIterator]()
+  const chunks = []
+  const step = () => iterator.next().then(({ value, done }) => {
+    if (done) return chunks
+    chunks.push(value)
+    return step()
+  })
+  return step()
+}
 
 describe('SSR: renderToStream', () => {
   it('should render to a stream', done => {
@@ -124,4 +136,293 @@ describe('SSR: renderToStream', () => {
       done()
     })
   })
+
+  it('should render to an async iterable', done => {
+    readAll(renderToAsyncIterable(new Vue({
+      template: '<div><span>{{ msg }}</span><test></test></div>',
+      data: { msg: 'hi' },
+      components: {
+        test: resolve => setTimeout(() => resolve({ template: '<p>async</p>' }))
+      }
+    }))).then(chunks => {
+      chunks.forEach(chunk => expect(typeof chunk).toBe('string'))
+      expect(chunks.join('')).toBe(
+        '<div data-server-rendered="true"><span>hi</span><p>async</p></div>'
+      )
+    }).then(done)
+  })
+
+  it('should render as the async iterable is consumed', done => {
+    const padding = (new Array(1000)).join('x')
+    let created = 0
+    const iterator = renderToAsyncIterable(new Vue({
+      template: '<div><test v-for="i in 100" :key="i"></test></div>',
+      components: {
+        test: {
+          created () { created++ },
+          template: `<p>${padding}</p>`
+        }
+      }
+    }))[Symbol.asyncIterator]()
+    iterator.next().then(({ value, done }) => {
+      expect(done).toBe(false)
+      expect(value).toContain('<div data-server-rendered="true"><p>')
+      expect(created).toBeLessThan(100)
+      return iterator.return()
+    }).then(({ done }) => {
+      expect(done).toBe(true)
+      return iterator.next()
+    }).then(({ done }) => {
+      expect(done).toBe(true)
+    }).then(done)
+  })
+
+  it('should stream the content of a component with errorCaptured hooks', done => {
+    const padding = (new Array(1000)).join('x')
+    let created = 0
+    const iterator = renderToAsyncIterable(new Vue({
+      template: '<div><test v-for="i in 100" :key="i"></test></div>',
+      errorCaptured () {
+        return false
+      },
+      components: {
+        test: {
+          created () { created++ },
+          template: `<p>${padding}</p>`
+        }
+      }
+    }))[Symbol.asyncIterator]()
+    iterator.next().then(({ value, done }) => {
+      expect(done).toBe(false)
+      expect(value).toContain('<div data-server-rendered="true"><p>')
+      expect(created).toBeLessThan(100)
+      return iterator.return()
+    }).then(done)
+  })
+
+  it('should reject the async iterable on error', done => {
+    Vue.config.silent = true
+    readAll(renderToAsyncIterable(new Vue({
+      render () {
+        throw new Error('oops')
+      }
+    }))).catch(err => {
+      expect(err.message).toBe('oops')
+      Vue.config.silent = false
+      done()
+    })
+  })
+
+  it('should render to a web stream', done => {
+    const reader = renderToWebStream(new Vue({
+      template: '<div>{{ msg }}</div>',
+      data: { msg: 'héllo' }
+    })).getReader()
+    const decoder = new TextDecoder()
+    let res = ''
+    const read = () => reader.read().then(({ value, done }) => {
+      if (done) return
+      expect(value instanceof Uint8Array).toBe(true)
+      res += decoder.decode(value, { stream: true })
+      return read()
+    })
+    read().then(() => {
+      expect(res).toBe('<div data-server-rendered="true">héllo</div>')
+    }).then(done)
+  })
+
+  it('should error the web stream on error', done => {
+    Vue.config.silent = true
+    const reader = renderToWebStream(new Vue({
+      render () {
+        throw new Error('oops')
+      }
+    })).getReader()
+    reader.read().catch(err => {
+      expect(err.message).toBe('oops')
+      Vue.config.silent = false
+      done()
+    })
+  })
+
+  describe('out of order', () => {
+    const delay = ms => new Promise(resolve => setTimeout(resolve, ms))
+    const createSlow = (ms, onResolve) => ({
+      data: () => ({ msg: '' }),
+      template: '<span>{{ msg }}</span>',
+      serverPrefetch () {
+        return delay(ms).then(() => {
+          if (onResolve) onResolve()
+          this.msg = `${ms}ms`
+        })
+      }
+    })
+
+    function renderOutOfOrder (options, cb) {
+      const stream = outOfOrderRenderer.renderToStream(new Vue(options))
+      const chunks = []
+      stream.on('data', chunk => {
+        chunks.push(chunk.toString())
+      })
+      stream.on('end', () => {
+        cb(chunks.join(''), chunks)
+      })
+      return chunks
+    }
+
+    it('should stream the fallback of pending suspense content first', done => {
+      let streamed
+      const chunks = renderOutOfOrder({
+        template:
+          '<div><p>before</p>' +
+            '<suspense><slow></slow><template #fallback>loading</template></suspense>' +
+          '<p>after</p></div>',
+        components: {
+          slow: createSlow(10, () => {
+            streamed = chunks.join('')
+          })
+        }
+      }, res => {
+        expect(streamed).toBe(
+          '<div data-server-rendered="true"><p>before</p>' +
+            '<!--[--><!--teleport start-->' +
+              '<!--suspense pending:0-->loading<!--/suspense pending:0-->' +
+            '<!--teleport end--><!----><!--]-->' +
+          '<p>after</p></div>'
+        )
+        const deferred = res.slice(streamed.length)
+        expect(deferred).toMatch(/^<script>window\.__VUE_SSR_SWAP__=function\(id\)\{.*\}<\/script>/)
+        expect(deferred).toContain(
+          '<template id="vue-ssr-0"><span>10ms</span></template>' +
+          '<script>__VUE_SSR_SWAP__()</script>'
+        )
+        done()
+      })
+    })
+
+    it('should render suspense content that does not wait in place', done => {
+      renderOutOfOrder({
+        template:
+          '<div><suspense><span>fast</span><template #fallback>loading</template></suspense></div>'
+      }, res => {
+        expect(res).toBe(
+          '<div data-server-rendered="true">' +
+            '<!--[--><!--teleport start--><span>fast</span><!--teleport end--><!----><!--]-->' +
+          '</div>'
+        )
+        done()
+      })
+    })
+
+    it('should stream content in the order it resolves', done => {
+      renderOutOfOrder({
+        template:
+          '<div>' +
+            '<suspense><a-slow></a-slow><template #fallback>a</template></suspense>' +
+            '<suspense><b-slow></b-slow><template #fallback>b</template></suspense>' +
+          '</div>',
+        components: {
+          aSlow: createSlow(20),
+          bSlow: createSlow(5)
+        }
+      }, res => {
+        const a = res.indexOf('<template id="vue-ssr-0"><span>20ms</span></template>')
+        const b = res.indexOf('<template id="vue-ssr-1"><span>5ms</span></template>')
+        expect(b).toBeGreaterThan(-1)
+        expect(a).toBeGreaterThan(b)
+        // the swap function is defined once
+        expect(res.split('window.__VUE_SSR_SWAP__=').length).toBe(2)
+        done()
+      })
+    })
+
+    it('should stream nested content after its parent', done => {
+      renderOutOfOrder({
+        template:
+          '<div><suspense>' +
+            '<suspense><inner></inner><template #fallback>inner</template></suspense>' +
+            '<outer></outer>' +
+            '<template #fallback>outer</template>' +
+          '</suspense></div>',
+        components: {
+          inner: createSlow(5),
+          outer: createSlow(20)
+        }
+      }, res => {
+        expect(res).toContain(
+          '<template id="vue-ssr-0">' +
+            '<!--[--><!--teleport start-->' +
+              '<!--suspense pending:1-->inner<!--/suspense pending:1-->' +
+            '<!--teleport end--><!----><!--]-->' +
+            '<span>20ms</span>' +
+          '</template><script>__VUE_SSR_SWAP__()</script>' +
+          '<template id="vue-ssr-1"><span>5ms</span></template>' +
+          '<script>__VUE_SSR_SWAP__()</script>'
+        )
+        done()
+      })
+    })
+
+    it('should give the nonce of the context to the swap scripts', done => {
+      const stream = outOfOrderRenderer.renderToStream(new Vue({
+        template:
+          '<div><suspense><slow></slow><template #fallback>loading</template></suspense></div>',
+        components: {
+          slow: createSlow(5)
+        }
+      }), { nonce: 'abc' })
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('end', () => {
+        expect(res).toContain('<script nonce="abc">window.__VUE_SSR_SWAP__=')
+        expect(res).toContain('<script nonce="abc">__VUE_SSR_SWAP__()</script>')
+        done()
+      })
+    })
+
+    it('should know the hashes of the swap scripts before streaming', done => {
+      const hash = content => `'sha256-${
+        require('crypto').createHash('sha256').update(content).digest('base64')
+      }'`
+      const context = {}
+      const stream = createRenderer({ outOfOrder: true, cspHashes: true }).renderToStream(new Vue({
+        template:
+          '<div><suspense><slow></slow><template #fallback>loading</template></suspense></div>',
+        components: {
+          slow: createSlow(5)
+        }
+      }), context)
+      const hashes = context.cspHashes.script.slice()
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('end', () => {
+        const scripts = res.match(/<script>.*?<\/script>/g).map(tag => tag.slice(8, -9))
+        expect(scripts.length).toBe(2)
+        expect(scripts.map(hash)).toEqual(hashes)
+        done()
+      })
+    })
+
+    it('should render in order to a string', done => {
+      outOfOrderRenderer.renderToString(new Vue({
+        template:
+          '<div><suspense><slow></slow><template #fallback>loading</template></suspense></div>',
+        components: {
+          slow: createSlow(5)
+        }
+      }), (err, res) => {
+        expect(err).toBe(null)
+        expect(res).toBe(
+          '<div data-server-rendered="true">' +
+            '<!--[--><!--teleport start--><span>5ms</span><!--teleport end--><!----><!--]-->' +
+          '</div>'
+        )
+        done()
+      })
+    })
+  })
 })
@@ -1,6 +1,6 @@
 import Vue from '../../dist/vue.runtime.common.js'
 import VM from 'vm'
-import { createRenderer } from '../../packages/vue-server-renderer'
+import { createRenderer, createRenderCache } from '../../packages/vue-server-renderer'
 const { renderToString } = createRenderer()
 
 describe('SSR: renderToString', () => {
@@ -94,6 +94,130 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('component with multiple root nodes', done => {
+    renderVmWithOptions({
+      template: '<div><test :msg="msg"></test><span>after</span></div>',
+      data: { msg: 'hi' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<p>{{ msg }}</p><p v-for="i in 2">{{ i }}</p>'
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[--><p>hi</p><p>1</p><p>2</p><!--]--><span>after</span>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('teleport', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: `
+        <div>
+          <teleport to="#modals"><p>{{ msg }}</p></teleport>
+          <teleport to="#modals"><span>second</span></teleport>
+          <teleport to="#modals" disabled><i>in place</i></teleport>
+        </div>
+      `,
+      data: { msg: 'hi' }
+    }), context, (err, result) => {
+      expect(err).toBeNull()
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--teleport start--><!--teleport end--> ' +
+          '<!--teleport start--><!--teleport end--> ' +
+          '<!--teleport start--><i>in place</i><!--teleport end-->' +
+        '</div>'
+      )
+      expect(context.teleports['#modals']).toBe(
+        '<!--teleport start anchor--><p>hi</p><!--teleport anchor-->' +
+        '<!--teleport start anchor--><span>second</span><!--teleport anchor-->'
+      )
+      done()
+    })
+  })
+
+  it('teleport without a context', done => {
+    const template = '<div><teleport to="#modals"><p>hi</p></teleport></div>'
+    // not rendered in place, where the client wouldn't expect it
+    const expected = '<div data-server-rendered="true"><!--teleport start--><!--teleport end--></div>'
+    renderToString(new Vue({ template })).then(result => {
+      expect(result).toBe(expected)
+      expect('The content teleported to "#modals" is dropped').toHaveBeenTipped()
+      console.warn.calls.reset()
+      renderToString(new Vue({ template }), (err, result) => {
+        expect(err).toBeNull()
+        expect(result).toBe(expected)
+        expect('The content teleported to "#modals" is dropped').toHaveBeenTipped()
+        done()
+      })
+    }).catch(done.fail)
+  })
+
+  it('suspense', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <suspense>
+            <foo></foo>
+            <bar></bar>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        foo: () => Promise.resolve({ template: '<span>foo</span>' }),
+        bar: {
+          template: '<span>{{ msg }}</span>',
+          setup () {
+            return new Promise(resolve => setTimeout(() => resolve({ msg: 'bar' })))
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<!--[--><!--teleport start--><span>foo</span> <span>bar</span><!--teleport end--><!----><!--]-->' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
+  it('lazy hydration markers', done => {
+    renderVmWithOptions({
+      template: '<div><visible></visible><click class="a"></click><custom></custom></div>',
+      components: {
+        visible: {
+          hydrate: 'visible',
+          template: '<p>visible</p>'
+        },
+        click: {
+          hydrate: { on: 'click' },
+          template: '<p>click</p>'
+        },
+        custom: {
+          hydrate: () => {},
+          template: '<p>custom</p>'
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true">' +
+          '<p data-server-hydrate="visible">visible</p>' +
+          '<p data-server-hydrate="interaction" class="a">click</p>' +
+          '<p data-server-hydrate="custom">custom</p>' +
+        '</div>'
+      )
+      done()
+    })
+  })
+
   it('dynamic style', done => {
     renderVmWithOptions({
       template: '<div style="background-color:black" :style="{ fontSize: fontSize + \'px\', color: color }"></div>',
@@ -1170,9 +1294,9 @@ describe('SSR: renderToString', () => {
 
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `just text`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('Component template requires a root element, rather than just text')
       done()
     })
   })
@@ -1577,6 +1701,305 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  describe('serverPrefetch errors', () => {
+    const never = () => new Promise(() => {})
+    const boundary = {
+      data: () => ({ error: null }),
+      errorCaptured (err, vm, info) {
+        this.error = `${vm.$options.name} ${info}: ${err.message}`
+        return false
+      },
+      render (h) {
+        return this.error ? h('p', this.error) : h('div', this.$slots.default)
+      }
+    }
+
+    it('should render the component handling a timed out prefetch again', done => {
+      const context = {}
+      renderToString(new Vue({
+        template: '<section><boundary><b>before</b><slow></slow></boundary><b>after</b></section>',
+        components: {
+          boundary,
+          slow: {
+            name: 'slow',
+            serverPrefetchTimeout: 10,
+            serverPrefetch: never,
+            template: '<span>slow</span>'
+          }
+        }
+      }), context, (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe(
+          '<section data-server-rendered="true">' +
+            '<p>slow serverPrefetch hook: serverPrefetch timed out after 10ms</p><b>after</b>' +
+          '</section>'
+        )
+        const [failure] = context.prefetchErrors
+        expect(failure.component).toBe('slow')
+        expect(failure.error.message).toBe('serverPrefetch timed out after 10ms')
+        expect(failure.timedOut).toBe(true)
+        expect(failure.captured).toBe(true)
+        done()
+      })
+    })
+
+    it('should use the timeout of the renderer', done => {
+      const context = {}
+      createRenderer({ serverPrefetchTimeout: 10 }).renderToString(new Vue({
+        template: '<div><slow></slow></div>',
+        components: {
+          slow: {
+            name: 'slow',
+            serverPrefetch: never,
+            template: '<span>slow</span>'
+          }
+        }
+      }), context, (err, res) => {
+        expect(err.message).toBe('serverPrefetch timed out after 10ms')
+        expect(res).toBeUndefined()
+        expect(context.prefetchErrors[0].captured).toBe(false)
+        done()
+      })
+    })
+
+    it('should not prefetch again when the boundary is rendered again', done => {
+      let prefetches = 0
+      const context = {}
+      renderToString(new Vue({
+        template: '<div><failing></failing></div>',
+        errorCaptured () {
+          return false
+        },
+        components: {
+          failing: {
+            name: 'failing',
+            data: () => ({ msg: 'no data' }),
+            serverPrefetch () {
+              prefetches++
+              return Promise.reject(new Error('oops'))
+            },
+            template: '<span>{{ msg }}</span>'
+          }
+        }
+      }), context, (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe('<div data-server-rendered="true"><span>no data</span></div>')
+        expect(prefetches).toBe(1)
+        expect(context.prefetchErrors.length).toBe(1)
+        done()
+      })
+    })
+  })
+
+  describe('render cache', () => {
+    const item = {
+      name: 'item',
+      props: ['id'],
+      serverCacheKey: props => ({
+        key: props.id,
+        ttl: 1000,
+        staleWhileRevalidate: 5000,
+        tags: [`item:${props.id}`]
+      }),
+      render (h) {
+        return h('li', `item ${this.id}`)
+      }
+    }
+
+    function renderWithCache (cache, options, cb) {
+      createRenderer({ cache }).renderToString(new Vue(options), (err, res) => {
+        expect(err).toBeNull()
+        cb(res)
+      })
+    }
+
+    function createEntry (html, age, tags) {
+      return {
+        html,
+        components: new Set(),
+        renderedAt: Date.now() - age,
+        ttl: 1000,
+        staleWhileRevalidate: 5000,
+        tags
+      }
+    }
+
+    it('should store entries with their render time, ttl and tags', done => {
+      const cache = createRenderCache()
+      spyOn(cache, 'set').and.callThrough()
+      renderWithCache(cache, {
+        template: '<ul><item :id="1"></item></ul>',
+        components: { item }
+      }, res => {
+        expect(res).toBe('<ul data-server-rendered="true"><li>item 1</li></ul>')
+        const [key, entry, maxAge] = cache.set.calls.argsFor(0)
+        expect(key).toBe('item::1')
+        expect(entry.html).toBe('<li>item 1</li>')
+        expect(entry.renderedAt).toBeLessThanOrEqual(Date.now())
+        expect(entry.ttl).toBe(1000)
+        expect(entry.staleWhileRevalidate).toBe(5000)
+        expect(entry.tags).toEqual(['item:1'])
+        expect(maxAge).toBe(6000)
+        expect(cache.get('item::1')).toBe(entry)
+        done()
+      })
+    })
+
+    it('should replay the teleports of cached components', done => {
+      const cache = createRenderCache()
+      const modal = {
+        name: 'modal',
+        props: ['id'],
+        serverCacheKey: props => props.id,
+        template: '<div>modal {{ id }}<teleport to="#modals"><p>content {{ id }}</p></teleport></div>'
+      }
+      const render = cb => {
+        const context = {}
+        createRenderer({ cache }).renderToString(new Vue({
+          template: '<section><modal :id="1"></modal></section>',
+          components: { modal }
+        }), context, (err, res) => {
+          expect(err).toBeNull()
+          expect(res).toBe(
+            '<section data-server-rendered="true">' +
+              '<div>modal 1<!--teleport start--><!--teleport end--></div>' +
+            '</section>'
+          )
+          expect(context.teleports).toEqual({
+            '#modals': '<!--teleport start anchor--><p>content 1</p><!--teleport anchor-->'
+          })
+          cb()
+        })
+      }
+      render(() => {
+        expect(cache.get('modal::1').teleports).toEqual({
+          '#modals': '<!--teleport start anchor--><p>content 1</p><!--teleport anchor-->'
+        })
+        spyOn(cache, 'set').and.callThrough()
+        // served from the cache
+        render(() => {
+          expect(cache.set).not.toHaveBeenCalled()
+          done()
+        })
+      })
+    })
+
+    it('should serve stale entries while rendering them again', done => {
+      const cache = createRenderCache()
+      cache.set('item::1', createEntry('<li>stale</li>', 2000, ['item:1']))
+      spyOn(cache, 'set').and.callThrough()
+      renderWithCache(cache, {
+        template: '<ul><item :id="1"></item></ul>',
+        components: { item }
+      }, res => {
+        expect(res).toBe('<ul data-server-rendered="true"><li>stale</li></ul>')
+        setTimeout(() => {
+          expect(cache.set.calls.count()).toBe(1)
+          expect(cache.get('item::1').html).toBe('<li>item 1</li>')
+          done()
+        })
+      })
+    })
+
+    it('should render stale entries again without the context of the request', done => {
+      const cache = createRenderCache()
+      cache.set('item::1', createEntry('<li>stale</li>', 2000, ['item:1']))
+      const context = {}
+      createRenderer({ cache }).renderToString(new Vue({
+        template: '<ul><item :id="1"></item></ul>',
+        components: {
+          item: {
+            name: 'item',
+            props: ['id'],
+            serverCacheKey: props => ({ key: props.id, ttl: 1000 }),
+            serverPrefetch () {
+              this.$ssrContext.prefetched = true
+            },
+            render (h) {
+              return h('li', `item ${this.id}`)
+            }
+          }
+        }
+      }), context, (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toBe('<ul data-server-rendered="true"><li>stale</li></ul>')
+        setTimeout(() => {
+          expect(cache.get('item::1').html).toBe('<li>item 1</li>')
+          expect(context.prefetched).toBeUndefined()
+          done()
+        })
+      })
+    })
+
+    it('should render expired entries again', done => {
+      const cache = createRenderCache()
+      cache.set('item::1', createEntry('<li>expired</li>', 10000, ['item:1']))
+      renderWithCache(cache, {
+        template: '<ul><item :id="1"></item></ul>',
+        components: { item }
+      }, res => {
+        expect(res).toBe('<ul data-server-rendered="true"><li>item 1</li></ul>')
+        done()
+      })
+    })
+
+    it('should support caches returning promises', done => {
+      const entry = createEntry('<li>cached</li>', 0)
+      renderWithCache({
+        get: key => Promise.resolve(key === 'item::1' ? entry : undefined),
+        set: () => {}
+      }, {
+        template: '<ul><item :id="1"></item><item :id="2"></item></ul>',
+        components: { item }
+      }, res => {
+        expect(res).toBe('<ul data-server-rendered="true"><li>cached</li><li>item 2</li></ul>')
+        done()
+      })
+    })
+
+    it('should carry the tags and ttl of nested entries', done => {
+      const cache = createRenderCache()
+      spyOn(cache, 'set').and.callThrough()
+      renderWithCache(cache, {
+        template: '<div><list></list></div>',
+        components: {
+          list: {
+            name: 'list',
+            serverCacheKey: () => ({ key: 'all', ttl: 60000, tags: ['list'] }),
+            render (h) {
+              return h('ul', [1, 2].map(id => h(item, { props: { id }})))
+            }
+          }
+        }
+      }, () => {
+        const entry = cache.get('list::all')
+        expect(entry.html).toBe('<ul><li>item 1</li><li>item 2</li></ul>')
+        expect(entry.tags).toEqual(['list', 'item:1', 'item:2'])
+        expect(entry.ttl).toBe(1000)
+        // purging an item drops the list rendering it
+        cache.purge('item:2')
+        expect(cache.get('item::2')).toBeUndefined()
+        expect(cache.get('list::all')).toBeUndefined()
+        expect(cache.get('item::1')).toBeDefined()
+        done()
+      })
+    })
+
+    it('should drop the least recently used and the expired entries', () => {
+      const cache = createRenderCache({ max: 2 })
+      cache.set('a', createEntry('a', 0))
+      cache.set('b', createEntry('b', 0))
+      cache.get('a')
+      cache.set('c', createEntry('c', 0))
+      expect(cache.has('a')).toBe(true)
+      expect(cache.has('b')).toBe(false)
+      expect(cache.has('c')).toBe(true)
+      cache.set('c', createEntry('c', 0), 0)
+      expect(cache.has('c')).toBe(false)
+      expect(cache.size()).toBe(1)
+    })
+  })
+
   it('handling max stack size limit', done => {
     const vueInstance = new Vue({
       template: `<div class="root">
@@ -134,6 +134,292 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('renderToString with teleports', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><!--vue-ssr-outlet--><div id="modals">{{{ renderTeleports('#modals') }}}</div></body></html>`
+    })
+
+    renderer.renderToString(new Vue({
+      template: `
+        <div><teleport to="body"><p>toast</p></teleport><teleport to="#modals"><p>modal</p></teleport></div>
+      `
+    }), {}, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<html><head></head><body>` +
+        `<div data-server-rendered="true">` +
+          `<!--teleport start--><!--teleport end--><!--teleport start--><!--teleport end-->` +
+        `</div>` +
+        // content teleported to body is injected after the app
+        `<!--teleport start anchor--><p>toast</p><!--teleport anchor-->` +
+        `<div id="modals"><!--teleport start anchor--><p>modal</p><!--teleport anchor--></div>` +
+        `</body></html>`
+      )
+      done()
+    })
+  })
+
+  it('renderToString with failed serverPrefetch hooks', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate,
+      serverPrefetchTimeout: 10
+    })
+
+    const context = {}
+    renderer.renderToString(new Vue({
+      template: '<div><p v-if="failed">fallback</p><slow v-else></slow></div>',
+      data: { failed: false },
+      errorCaptured () {
+        this.failed = true
+        return false
+      },
+      components: {
+        slow: {
+          name: 'slow',
+          template: '<span>slow</span>',
+          serverPrefetch () {
+            return new Promise(() => {})
+          }
+        }
+      }
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(context.prefetchErrors.length).toBe(1)
+      expect(res).toContain(
+        `<html><head></head><body>` +
+        `<div data-server-rendered="true"><p>fallback</p></div>` +
+        `<script>window.__VUE_SSR_PREFETCH_ERRORS__=` +
+          `[{"component":"slow","timedOut":true,"captured":true,` +
+          `"message":"serverPrefetch timed out after 10ms"}]</script>` +
+        `</body></html>`
+      )
+      done()
+    })
+  })
+
+  describe('critical CSS', () => {
+    const clientManifest = {
+      publicPath: '/static/',
+      all: ['main.js', 'css/main.css?v=1'],
+      initial: ['main.js', 'css/main.css?v=1'],
+      async: [],
+      modules: {}
+    }
+    const css =
+      `@charset "utf-8";` +
+      `@import url(reset.css);` +
+      `/* comment */` +
+      `html, body > .app { margin: 0 }` +
+      `.title, .unused { color: red; animation: spin 1s }` +
+      `.missing { color: blue }` +
+      `ul > li + li:hover::after { content: "}" }` +
+      `a[href^="/foo"] { background: url(../img/a.png) }` +
+      `a[href$=".pdf"] { background: url("/abs.png") }` +
+      `@media (min-width: 600px) { .title { font-family: Used } .missing { color: red } }` +
+      `@font-face { font-family: "Used"; src: url(fonts/used.woff2) }` +
+      `@font-face { font-family: Unused; src: url(fonts/unused.woff2) }` +
+      `@keyframes spin { to { opacity: 0 } }` +
+      `@keyframes fade { to { opacity: 0 } }`
+    const app = () => new Vue({
+      template:
+        `<div class="app"><h1 class="title">hi</h1>` +
+        `<ul><li>a</li><li>b</li></ul><a href="/foo/bar">foo</a></div>`
+    })
+
+    it('renderToString', done => {
+      const read = []
+      const renderer = createRenderer({
+        template: defaultTemplate,
+        clientManifest,
+        criticalCSS: {
+          readFile: file => {
+            read.push(file)
+            return css
+          }
+        }
+      })
+
+      renderer.renderToString(app(), (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toContain(
+          `<html><head>` +
+          `<link rel="preload" href="/static/main.js" as="script">` +
+          `<style data-vue-ssr-critical>` +
+            `html, body > .app{ margin: 0 }` +
+            `.title, .unused{ color: red; animation: spin 1s }` +
+            `ul > li + li:hover::after{ content: "}" }` +
+            `a[href^="/foo"]{ background: url(/static/img/a.png) }` +
+            `@media (min-width: 600px){.title{ font-family: Used }}` +
+            `@font-face{ font-family: "Used"; src: url(/static/css/fonts/used.woff2) }` +
+            `@keyframes spin{ to { opacity: 0 } }` +
+          `</style>` +
+          `<link rel="stylesheet" href="/static/css/main.css?v=1" media="print" data-vue-ssr-deferred>` +
+          `<noscript><link rel="stylesheet" href="/static/css/main.css?v=1"></noscript>` +
+          `<script>[].forEach.call(document.querySelectorAll("link[data-vue-ssr-deferred]"),function(l){` +
+            `if(l.sheet)l.media="all";else l.onload=function(){l.media="all"}` +
+          `})</script>` +
+          `</head><body>`
+        )
+        // the stylesheet is only parsed once
+        renderer.renderToString(app(), err => {
+          expect(err).toBeNull()
+          expect(read).toEqual(['css/main.css'])
+          done()
+        })
+      })
+    })
+
+    it('renderToStream', done => {
+      const renderer = createRenderer({
+        template: defaultTemplate,
+        clientManifest,
+        criticalCSS: { readFile: () => css }
+      })
+
+      const stream = renderer.renderToStream(app())
+      let res = ''
+      stream.on('data', chunk => {
+        res += chunk
+      })
+      stream.on('end', () => {
+        // the head is sent before the content is rendered
+        expect(res).toContain(
+          `<link rel="preload" href="/static/css/main.css?v=1" as="style">` +
+          `<link rel="stylesheet" href="/static/css/main.css?v=1">`
+        )
+        expect(res).not.toContain('<style')
+        expect('The criticalCSS option is ignored by renderToStream').toHaveBeenTipped()
+        done()
+      })
+    })
+
+    it('renderToString without template', done => {
+      const renderer = createRenderer({
+        clientManifest,
+        criticalCSS: { readFile: () => css }
+      })
+      const context = {}
+
+      renderer.renderToString(app(), context, (err, res) => {
+        expect(err).toBeNull()
+        expect(res).toContain('<div data-server-rendered="true" class="app">')
+        const styles = context.renderStyles()
+        expect(styles).toContain('<style data-vue-ssr-critical>html, body > .app{ margin: 0 }')
+        expect(styles).toContain('<link rel="stylesheet" href="/static/css/main.css?v=1" media="print" data-vue-ssr-deferred>')
+        done()
+      })
+    })
+
+    it('requires a way to read the stylesheets', () => {
+      expect(() => {
+        createRenderer({ template: defaultTemplate, criticalCSS: {}})
+      }).toThrowError('The criticalCSS option requires an outputDir or a readFile function.')
+    })
+  })
+
+  it('renderToString with cspHashes', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate,
+      cspHashes: true
+    })
+    const hash = content => `'sha256-${
+      require('crypto').createHash('sha256').update(content).digest('base64')
+    }'`
+
+    const context = {
+      styles: '<style data-vue-ssr-id="a">h1 { color: red }</style><style>p { margin: 0 }</style>',
+      state: { a: 1 },
+      nonce: 'abc'
+    }
+    renderer.renderToString(new Vue({
+      template: '<div>hi</div>'
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<html><head>` +
+        `<style nonce="abc" data-vue-ssr-id="a">h1 { color: red }</style><style nonce="abc">p { margin: 0 }</style>` +
+        `</head><body>` +
+        `<div data-server-rendered="true">hi</div>` +
+        `<script nonce="abc">window.__INITIAL_STATE__={"a":1}</script>` +
+        `</body></html>`
+      )
+      expect(context.cspHashes).toEqual({
+        script: [hash('window.__INITIAL_STATE__={"a":1}')],
+        style: [hash('h1 { color: red }'), hash('p { margin: 0 }')]
+      })
+      done()
+    })
+  })
+
+  it('renderToString with multiple state payloads', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate,
+      state: {
+        state: '__INITIAL_STATE__',
+        user: { windowKey: '__USER__', format: 'json' },
+        missing: '__MISSING__'
+      }
+    })
+
+    const context = {
+      state: { a: 1 },
+      user: { name: '</script>' }
+    }
+    renderer.renderToString(new Vue({
+      template: '<div>hi</div>'
+    }), context, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<div data-server-rendered="true">hi</div>` +
+        `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+        `<script type="application/json" id="vue-ssr-state-__USER__">` +
+          `{"name":"\\u003C\\u002Fscript\\u003E"}` +
+        `</script>`
+      )
+      expect(res).not.toContain('__MISSING__')
+      // a single payload can still be rendered by its options
+      expect(context.renderState({ contextKey: 'user', windowKey: '__FOO__' })).toBe(
+        `<script>window.__FOO__={"name":"\\u003C\\u002Fscript\\u003E"}</script>`
+      )
+
+      // the json payload is parsed when the window property is first read
+      const script = /<script>(\(function\(w,d,k\)[^<]*)<\/script>/.exec(res)[1]
+      const block = /<script type="application\/json" id="vue-ssr-state-__USER__">([^<]*)<\/script>/.exec(res)
+      const el = {
+        textContent: block[1],
+        parentNode: { removeChild: jasmine.createSpy('removeChild') }
+      }
+      const window = {}
+      const document = { getElementById: id => id === 'vue-ssr-state-__USER__' ? el : null }
+      new Function('window', 'document', script)(window, document) // eslint-disable-line no-new-func
+      expect(el.parentNode.removeChild).not.toHaveBeenCalled()
+      expect(window.__USER__).toEqual({ name: '</script>' })
+      expect(window.__USER__).toBe(window.__USER__)
+      expect(el.parentNode.removeChild).toHaveBeenCalledTimes(1)
+      done()
+    })
+  })
+
+  it('renderToString with stateBudget', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate,
+      state: { state: '__INITIAL_STATE__', small: '__SMALL__' },
+      stateBudget: 20
+    })
+
+    renderer.renderToString(new Vue({
+      template: '<div>hi</div>'
+    }), { state: { text: 'over twenty bytes' }, small: { a: 1 }}, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(`<script>window.__INITIAL_STATE__={"text":"over twenty bytes"}</script>`)
+      expect(
+        'The state in context.state is 28 bytes, over the stateBudget of 20 bytes.'
+      ).toHaveBeenTipped()
+      expect(console.warn.calls.count()).toBe(1)
+      done()
+    })
+  })
+
   it('renderToString w/ template function', done => {
     const renderer = createRenderer({
       template: (content, context) => `<html><head>${context.head}</head>${content}</html>`
@@ -303,6 +589,40 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('renderToAsyncIterable', done => {
+    const renderer = createRenderer({
+      template: defaultTemplate
+    })
+
+    const context = {
+      head: '<meta name="viewport" content="width=device-width">',
+      styles: '<style>h1 { color: red }</style>',
+      state: { a: 0 },
+      rendered: context => {
+        context.state.a = 1
+      }
+    }
+
+    const iterator = renderer.renderToAsyncIterable(new Vue({
+      template: '<div>hi</div>'
+    }), context)[Symbol.asyncIterator]()
+
+    let res = ''
+    const read = () => iterator.next().then(({ value, done }) => {
+      if (done) return
+      res += value
+      return read()
+    })
+    read().then(() => {
+      expect(res).toContain(
+        `<html><head>${context.head}${context.styles}</head><body>` +
+        `<div data-server-rendered="true">hi</div>` +
+        `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+        `</body></html>`
+      )
+    }).then(done)
+  })
+
   it('bundleRenderer + renderToString', done => {
     createBundleRenderer('app.js', {
       asBundle: true,
@@ -328,6 +648,37 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('bundleRenderer + renderToWebStream', done => {
+    createBundleRenderer('app.js', {
+      asBundle: true,
+      template: defaultTemplate
+    }, renderer => {
+      const context = {
+        head: '<meta name="viewport" content="width=device-width">',
+        styles: '<style>h1 { color: red }</style>',
+        state: { a: 1 },
+        url: '/test'
+      }
+      const reader = renderer.renderToWebStream(context).getReader()
+      const decoder = new TextDecoder()
+      let res = ''
+      const read = () => reader.read().then(({ value, done }) => {
+        if (done) return
+        res += decoder.decode(value, { stream: true })
+        return read()
+      })
+      read().then(() => {
+        expect(res).toContain(
+          `<html><head>${context.head}${context.styles}</head><body>` +
+          `<div data-server-rendered="true">/test</div>` +
+          `<script>window.__INITIAL_STATE__={"a":1}</script>` +
+          `</body></html>`
+        )
+        expect(context.msg).toBe('hello')
+      }).then(done)
+    })
+  })
+
   it('bundleRenderer + renderToStream', done => {
     createBundleRenderer('app.js', {
       asBundle: true,
@@ -492,6 +843,70 @@ describe('SSR: template option', () => {
       })
     })
 
+    it('bundleRenderer + getEarlyResources + clientManifest', done => {
+      createRendererWithManifest('split.js', {
+        runInNewContext,
+        shouldPreload: (file, type) => type !== 'image'
+      }, renderer => {
+        // before rendering, only the initial chunks are known to be used
+        expect(renderer.getEarlyResources().map(({ href, rel }) => `${rel} ${href}`)).toEqual([
+          'preload /manifest.js',
+          'preload /main.js',
+          'prefetch /0.js',
+          'prefetch /1.js',
+          'prefetch /test.css'
+        ])
+        const context = {}
+        renderer.renderToString(context, err => {
+          expect(err).toBeNull()
+          expect(renderer.getEarlyResources(context)).toEqual(context.getResourceHints())
+          expect(context.getResourceHints()).toEqual([
+            { file: 'manifest.js', href: '/manifest.js', rel: 'preload', as: 'script' },
+            { file: 'main.js', href: '/main.js', rel: 'preload', as: 'script' },
+            { file: '0.js', href: '/0.js', rel: 'preload', as: 'script' },
+            { file: 'test.css', href: '/test.css', rel: 'preload', as: 'style' },
+            { file: 'test.woff2', href: '/test.woff2', rel: 'preload', as: 'font', type: 'font/woff2', crossorigin: true },
+            { file: '1.js', href: '/1.js', rel: 'prefetch', as: 'script' }
+          ])
+          expect(context.renderResourceHints({ format: 'header' })).toBe(
+            '</manifest.js>; rel=preload; as=script, ' +
+            '</main.js>; rel=preload; as=script, ' +
+            '</0.js>; rel=preload; as=script, ' +
+            '</test.css>; rel=preload; as=style, ' +
+            '</test.woff2>; rel=preload; as=font; type="font/woff2"; crossorigin, ' +
+            '</1.js>; rel=prefetch'
+          )
+          done()
+        })
+      })
+    })
+
+    it('bundleRenderer + renderToString + clientManifest + nonce', done => {
+      createRendererWithManifest('split.js', { runInNewContext }, renderer => {
+        const context = { state: { a: 1 }, nonce: 'abc' }
+        renderer.renderToString(context, (err, res) => {
+          expect(err).toBeNull()
+          expect(res).toContain(
+            `<html><head>` +
+            `<link rel="preload" href="/manifest.js" as="script" nonce="abc">` +
+            `<link rel="preload" href="/main.js" as="script" nonce="abc">` +
+            `<link rel="preload" href="/0.js" as="script" nonce="abc">` +
+            `<link rel="preload" href="/test.css" as="style" nonce="abc">` +
+            `<link rel="prefetch" href="/1.js" nonce="abc">` +
+            `<link rel="stylesheet" href="/test.css" nonce="abc">` +
+            `</head><body>` +
+            `<div data-server-rendered="true"><div>async test.woff2 test.png</div></div>` +
+            `<script nonce="abc">window.__INITIAL_STATE__={"a":1}</script>` +
+            `<script src="/manifest.js" defer nonce="abc"></script>` +
+            `<script src="/0.js" defer nonce="abc"></script>` +
+            `<script src="/main.js" defer nonce="abc"></script>` +
+            `</body></html>`
+          )
+          done()
+        })
+      })
+    })
+
     it('whitespace insensitive interpolation', done => {
       const interpolateTemplate = `<html><head><title>{{title}}</title></head><body><!--vue-ssr-outlet-->{{{snippet}}}</body></html>`
       const renderer = createRenderer({
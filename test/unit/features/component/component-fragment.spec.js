@@ -0,0 +1,170 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  it('should render multiple root nodes', () => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          template: '<span>a</span><p>b</p>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><span>a</span><p>b</p><!--]-->')
+    // $el of a fragment instance is the start anchor
+    const child = vm.$children[0]
+    expect(child.$el.nodeType).toBe(8)
+    expect(child.$el.data).toBe('[')
+  })
+
+  it('should render a fragment returned from a render function', () => {
+    const vm = new Vue({
+      render: h => h('div', [h('test')]),
+      components: {
+        test: {
+          render: h => [h('span', 'a'), [h('i'), h('b')]]
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><span>a</span><i></i><b></b><!--]-->')
+  })
+
+  it('should update children of a fragment', done => {
+    const vm = new Vue({
+      template: '<div><test :list="list"></test><span>after</span></div>',
+      data: { list: ['a', 'b'] },
+      components: {
+        test: {
+          props: ['list'],
+          template: '<p v-for="i in list" :key="i">{{ i }}</p><i>end</i>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe(
+      '<!--[--><p>a</p><p>b</p><i>end</i><!--]--><span>after</span>'
+    )
+    vm.list.push('c')
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<!--[--><p>a</p><p>b</p><p>c</p><i>end</i><!--]--><span>after</span>'
+      )
+      vm.list.reverse()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe(
+        '<!--[--><p>c</p><p>b</p><p>a</p><i>end</i><!--]--><span>after</span>'
+      )
+      vm.list = []
+    }).then(() => {
+      // a single remaining root node is rendered without anchors
+      expect(vm.$el.innerHTML).toBe('<i>end</i><span>after</span>')
+    }).then(done)
+  })
+
+  it('should switch between fragment and element roots', done => {
+    const vm = new Vue({
+      template: '<div><test :multi="multi"></test><span>after</span></div>',
+      data: { multi: true },
+      components: {
+        test: {
+          props: ['multi'],
+          render (h) {
+            return this.multi ? [h('p', '1'), h('p', '2')] : h('div', 'single')
+          }
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(vm.$el.innerHTML).toBe('<!--[--><p>1</p><p>2</p><!--]--><span>after</span>')
+    vm.multi = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<div>single</div><span>after</span>')
+      expect(child.$el.tagName).toBe('DIV')
+      vm.multi = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><p>1</p><p>2</p><!--]--><span>after</span>')
+      expect(child.$el.data).toBe('[')
+    }).then(done)
+  })
+
+  it('should move keyed fragment components', done => {
+    const vm = new Vue({
+      template: '<div><test v-for="i in list" :key="i" :id="i"></test></div>',
+      data: { list: ['a', 'b', 'c'] },
+      components: {
+        test: {
+          props: ['id'],
+          template: '<i>{{ id }}</i><b>{{ id }}</b>'
+        }
+      }
+    }).$mount()
+    const text = () => vm.$el.textContent
+    expect(text()).toBe('aabbcc')
+    vm.list = ['c', 'a', 'b']
+    waitForUpdate(() => {
+      expect(text()).toBe('ccaabb')
+      vm.list = ['b', 'c', 'a']
+    }).then(() => {
+      expect(text()).toBe('bbccaa')
+      vm.list = ['a', 'c']
+    }).then(() => {
+      expect(text()).toBe('aacc')
+      expect(vm.$el.innerHTML).toBe(
+        '<!--[--><i>a</i><b>a</b><!--]--><!--[--><i>c</i><b>c</b><!--]-->'
+      )
+    }).then(done)
+  })
+
+  it('should remove a fragment component', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: '<div><test v-if="ok"></test><span>after</span></div>',
+      data: { ok: true },
+      components: {
+        test: {
+          template: '<p>1</p><p>2</p>',
+          destroyed
+        }
+      }
+    }).$mount()
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!----><span>after</span>')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should work with keep-alive', done => {
+    const vm = new Vue({
+      template: '<div><keep-alive><component :is="view"></component></keep-alive></div>',
+      data: { view: 'one' },
+      components: {
+        one: { template: '<p>1</p><p>2</p>' },
+        two: { template: '<div>two</div>' }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--[--><p>1</p><p>2</p><!--]-->')
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<div>two</div>')
+      vm.view = 'one'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><p>1</p><p>2</p><!--]-->')
+    }).then(done)
+  })
+
+  it('should mount a fragment root instance', done => {
+    const el = document.createElement('div')
+    const container = document.createElement('section')
+    container.appendChild(el)
+    const vm = new Vue({
+      template: '<p>{{ a }}</p><p>{{ b }}</p>',
+      data: { a: 1, b: 2 }
+    }).$mount(el)
+    expect(container.innerHTML).toBe('<!--[--><p>1</p><p>2</p><!--]-->')
+    vm.a = 3
+    waitForUpdate(() => {
+      expect(container.innerHTML).toBe('<!--[--><p>3</p><p>2</p><!--]-->')
+      vm.$destroy()
+    }).then(done)
+  })
+})
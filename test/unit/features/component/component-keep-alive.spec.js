@@ -1,6 +1,7 @@
 import Vue from 'vue'
 import injectStyles from '../transition/inject-styles'
 import { isIE9 } from 'core/util/env'
+import { extend } from 'shared/util'
 import { nextFrame } from 'web/runtime/transition-util'
 
 describe('Component keep-alive', () => {
@@ -572,6 +573,218 @@ describe('Component keep-alive', () => {
     }).then(done)
   })
 
+  describe('cache management', () => {
+    let destroyed, vm
+
+    function createVM (attrs, data) {
+      destroyed = jasmine.createSpy('destroyed')
+      vm = new Vue({
+        template: `
+          <div>
+            <keep-alive ref="ka" ${attrs}>
+              <item :key="n" :name="n"></item>
+            </keep-alive>
+          </div>
+        `,
+        data: extend({ n: 'a' }, data),
+        components: {
+          item: {
+            props: ['name'],
+            template: '<div>{{ name }}</div>',
+            destroyed () { destroyed(this.name) }
+          }
+        }
+      }).$mount()
+    }
+
+    function visit (names) {
+      return names.reduce(
+        (wait, name) => wait.then(() => { vm.n = name }),
+        waitForUpdate(() => {})
+      )
+    }
+
+    it('lru cache strategy', done => {
+      createVM('max="3"')
+      visit(['b', 'a', 'c', 'b', 'd']).then(() => {
+        // a is the least recently used entry
+        expect(destroyed.calls.allArgs()).toEqual([['a']])
+        expect(vm.$refs.ka.keys()).toEqual(['c', 'b', 'd'])
+      }).then(done)
+    })
+
+    it('lfu cache strategy', done => {
+      createVM('max="3" cache="lfu"')
+      visit(['b', 'a', 'c', 'b', 'd']).then(() => {
+        // c is the least frequently used entry
+        expect(destroyed.calls.allArgs()).toEqual([['c']])
+        expect(vm.$refs.ka.keys()).toEqual(['a', 'b', 'd'])
+      }).then(done)
+    })
+
+    it('custom cache strategy', done => {
+      const strategy = {
+        access: jasmine.createSpy('access'),
+        remove: jasmine.createSpy('remove'),
+        // evict the most recently used entry
+        pick: jasmine.createSpy('pick').and.callFake(keys => keys[keys.length - 1])
+      }
+      createVM('max="2" :cache="strategy"', { strategy })
+      visit(['b', 'c']).then(() => {
+        expect(strategy.access.calls.allArgs()).toEqual([['a'], ['b'], ['c']])
+        expect(strategy.pick).toHaveBeenCalledWith(['a', 'b'])
+        expect(strategy.remove).toHaveBeenCalledWith('b')
+        expect(destroyed.calls.allArgs()).toEqual([['b']])
+        expect(vm.$refs.ka.keys()).toEqual(['a', 'c'])
+      }).then(done)
+    })
+
+    it('should warn invalid cache strategy', () => {
+      createVM('cache="fifo"')
+      expect('Invalid keep-alive cache strategy: "fifo"').toHaveBeenWarned()
+    })
+
+    it('ttl', done => {
+      jasmine.clock().install()
+      jasmine.clock().mockDate()
+      createVM('ttl="1000"')
+      visit(['b']).then(() => {
+        jasmine.clock().tick(600)
+        vm.n = 'c'
+      }).then(() => {
+        jasmine.clock().tick(500)
+        // a was left 1100ms ago, b only 500ms ago
+        expect(destroyed.calls.allArgs()).toEqual([['a']])
+        expect(vm.$refs.ka.keys()).toEqual(['b', 'c'])
+        jasmine.clock().tick(500)
+        // the rendered entry never expires
+        expect(destroyed.calls.allArgs()).toEqual([['a'], ['b']])
+        expect(vm.$refs.ka.keys()).toEqual(['c'])
+        jasmine.clock().uninstall()
+      }).then(done)
+    })
+
+    it('evict(), clear() and keys()', done => {
+      createVM('')
+      visit(['b', 'c']).then(() => {
+        const ka = vm.$refs.ka
+        expect(ka.keys()).toEqual(['a', 'b', 'c'])
+        ka.evict('a')
+        expect(destroyed.calls.allArgs()).toEqual([['a']])
+        expect(ka.keys()).toEqual(['b', 'c'])
+        // the rendered entry is destroyed once it gets switched away
+        ka.clear()
+        expect(destroyed.calls.allArgs()).toEqual([['a'], ['b']])
+        expect(ka.keys()).toEqual([])
+        vm.n = 'a'
+      }).then(() => {
+        expect(destroyed.calls.allArgs()).toEqual([['a'], ['b'], ['c']])
+        expect(vm.$el.textContent).toBe('a')
+        expect(vm.$refs.ka.keys()).toEqual(['a'])
+      }).then(done)
+    })
+
+    it('evict() of the rendered entry', done => {
+      createVM('')
+      visit(['b']).then(() => {
+        const ka = vm.$refs.ka
+        ka.evict('b')
+        expect('The keep-alive entry "b" is being rendered').toHaveBeenWarned()
+        expect(destroyed).not.toHaveBeenCalled()
+        expect(ka.keys()).toEqual(['a'])
+        // rendering the evicted entry again doesn't cache it again
+        vm.$forceUpdate()
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('b')
+        expect(vm.$refs.ka.keys()).toEqual(['a'])
+        vm.n = 'a'
+      }).then(() => {
+        expect(destroyed.calls.allArgs()).toEqual([['b']])
+        expect(vm.$refs.ka.keys()).toEqual(['a'])
+        vm.n = 'b'
+      }).then(() => {
+        // rendered again with a new instance
+        expect(vm.$el.textContent).toBe('b')
+        expect(destroyed.calls.allArgs()).toEqual([['b']])
+      }).then(done)
+    })
+  })
+
+  it('cacheKey', done => {
+    const created = jasmine.createSpy('created')
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive ref="ka" :cache-key="vnode => 'user-' + vnode.componentOptions.propsData.id">
+            <user :id="id"></user>
+          </keep-alive>
+        </div>
+      `,
+      data: { id: 1 },
+      components: {
+        user: {
+          props: ['id'],
+          template: '<div>{{ id }}</div>',
+          created () { created(this.id) }
+        }
+      }
+    }).$mount()
+    const first = vm.$children[0]
+    vm.id = 2
+    waitForUpdate(() => {
+      // a new instance for a different identity
+      expect(created.calls.allArgs()).toEqual([[1], [2]])
+      expect(vm.$el.textContent).toBe('2')
+      expect(vm.$refs.ka.keys()).toEqual(['user-1', 'user-2'])
+      vm.id = 1
+    }).then(() => {
+      expect(created.calls.count()).toBe(2)
+      expect(vm.$children[0]).toBe(first)
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('activated/deactivated payloads', done => {
+    const activated = jasmine.createSpy('activated')
+    const deactivated = jasmine.createSpy('deactivated')
+    const childActivated = jasmine.createSpy('child activated')
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive>
+            <component :is="view"></component>
+          </keep-alive>
+        </div>
+      `,
+      data: { view: 'one' },
+      components: {
+        one: {
+          template: '<child></child>',
+          activated,
+          deactivated,
+          components: {
+            child: {
+              template: '<div>one</div>',
+              activated: childActivated
+            }
+          }
+        },
+        two: { template: '<div>two</div>' }
+      }
+    }).$mount()
+    const key = `${vm.$children[0].constructor.cid}::one`
+    expect(activated).toHaveBeenCalledWith({ key, fromCache: false })
+    expect(childActivated).toHaveBeenCalledWith({ key, fromCache: false })
+    vm.view = 'two'
+    waitForUpdate(() => {
+      expect(deactivated).toHaveBeenCalledWith({ key })
+      vm.view = 'one'
+    }).then(() => {
+      expect(activated.calls.mostRecent().args).toEqual([{ key, fromCache: true }])
+      expect(childActivated.calls.mostRecent().args).toEqual([{ key, fromCache: true }])
+    }).then(done)
+  })
+
   it('should warn unknown component inside', () => {
     new Vue({
       template: `<keep-alive><foo/></keep-alive>`
@@ -0,0 +1,139 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  it('should show fallback until async components resolve', done => {
+    let resolveFoo
+    const events = []
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @pending="log('pending')" @fallback="log('fallback')" @resolve="log('resolve')">
+            <foo></foo>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      methods: {
+        log: e => events.push(e)
+      },
+      components: {
+        foo: resolve => { resolveFoo = resolve }
+      }
+    }).$mount()
+    expect(events).toEqual(['pending'])
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      expect(events).toEqual(['pending', 'fallback'])
+      resolveFoo({ template: '<span>foo</span>' })
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('foo')
+      expect(vm.$el.querySelector('span').textContent).toBe('foo')
+      expect(events).toEqual(['pending', 'fallback', 'resolve'])
+    }).then(done)
+  })
+
+  it('should wait for nested async components', done => {
+    let resolveFoo, resolveBar
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <foo></foo>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        foo: resolve => { resolveFoo = resolve }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      resolveFoo({
+        template: '<div>foo <bar></bar></div>',
+        components: {
+          bar: resolve => { resolveBar = resolve }
+        }
+      })
+    }).thenWaitFor(1).then(() => {
+      // still waiting for the nested async component
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      resolveBar({ template: '<span>bar</span>' })
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('foo bar')
+    }).then(done)
+  })
+
+  it('should wait for async setup()', done => {
+    let resolveSetup
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <foo></foo>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        foo: {
+          template: '<span>{{ msg }}</span>',
+          setup () {
+            return new Promise(resolve => { resolveSetup = resolve })
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      resolveSetup({ msg: 'hello' })
+    }).thenWaitFor(1).then(() => {
+      expect(vm.$el.textContent.trim()).toBe('hello')
+    }).then(done)
+  })
+
+  it('should resolve immediately without async dependencies', done => {
+    const events = []
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @pending="events.push('pending')" @resolve="events.push('resolve')">
+            <span>sync</span>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      data: { events }
+    }).$mount()
+    expect(vm.$el.textContent.trim()).toBe('sync')
+    expect(events).toEqual(['resolve'])
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('sync')
+    }).then(done)
+  })
+
+  it('should resolve when an async component fails', done => {
+    let rejectFoo
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <foo></foo>
+            <span>after</span>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        foo: (resolve, reject) => { rejectFoo = reject }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent.trim()).toBe('loading')
+      rejectFoo('oops')
+    }).thenWaitFor(1).then(() => {
+      expect('Failed to resolve async component').toHaveBeenWarned()
+      expect(vm.$el.textContent.trim()).toBe('after')
+    }).then(done)
+  })
+})
@@ -0,0 +1,159 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    document.body.appendChild(target)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+  })
+
+  it('should render children into the target', () => {
+    const vm = new Vue({
+      template: `
+        <div><teleport to="#teleport-target"><p>{{ msg }}</p><span>b</span></teleport></div>
+      `,
+      data: { msg: 'a' }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--teleport start--><!--teleport end-->')
+    expect(target.innerHTML).toBe('<p>a</p><span>b</span>')
+  })
+
+  it('should accept an element as target', () => {
+    const vm = new Vue({
+      template: `<div><teleport :to="target"><p>a</p></teleport></div>`,
+      data: { target }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--teleport start--><!--teleport end-->')
+    expect(target.innerHTML).toBe('<p>a</p>')
+  })
+
+  it('should update teleported children', done => {
+    const vm = new Vue({
+      template: `
+        <div><teleport to="#teleport-target"><p v-for="i in list" :key="i">{{ i }}</p></teleport></div>
+      `,
+      data: { list: ['a', 'b'] }
+    }).$mount()
+    const other = document.createElement('i')
+    target.appendChild(other)
+    expect(target.innerHTML).toBe('<p>a</p><p>b</p><i></i>')
+    vm.list.push('c')
+    waitForUpdate(() => {
+      // new children are inserted before content added to the target later
+      expect(target.innerHTML).toBe('<p>a</p><p>b</p><p>c</p><i></i>')
+      vm.list.reverse()
+    }).then(() => {
+      expect(target.innerHTML).toBe('<p>c</p><p>b</p><p>a</p><i></i>')
+    }).then(done)
+  })
+
+  it('should render in place when disabled', done => {
+    const vm = new Vue({
+      template: `
+        <div><teleport to="#teleport-target" :disabled="disabled"><p>a</p></teleport><span></span></div>
+      `,
+      data: { disabled: true }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--teleport start--><p>a</p><!--teleport end--><span></span>')
+    expect(target.innerHTML).toBe('')
+    vm.disabled = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--teleport start--><!--teleport end--><span></span>')
+      expect(target.innerHTML).toBe('<p>a</p>')
+      vm.disabled = true
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<!--teleport start--><p>a</p><!--teleport end--><span></span>')
+      expect(target.innerHTML).toBe('')
+    }).then(done)
+  })
+
+  it('should move children when the target changes', done => {
+    const other = document.createElement('div')
+    const vm = new Vue({
+      template: `<div><teleport :to="to"><p>a</p></teleport></div>`,
+      data: { to: '#teleport-target' }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>a</p>')
+    vm.to = other
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<p>a</p>')
+    }).then(done)
+  })
+
+  it('should remove teleported children', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <div><teleport v-if="ok" to="#teleport-target"><test></test></teleport></div>
+      `,
+      data: { ok: true },
+      components: {
+        test: {
+          template: '<p>test</p>',
+          destroyed
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>test</p>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should keep teleports into the same target in order', () => {
+    new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><p>1</p></teleport>
+          <teleport to="#teleport-target"><p>2</p></teleport>
+        </div>
+      `
+    }).$mount()
+    expect(target.innerHTML).toBe('<p>1</p><p>2</p>')
+  })
+
+  it('should stay in the component tree', done => {
+    const onEvt = jasmine.createSpy('evt')
+    const vm = new Vue({
+      template: `
+        <div><teleport to="#teleport-target"><child :msg="msg" @evt="onEvt"></child></teleport></div>
+      `,
+      data: { msg: 'foo' },
+      provide: { injected: 'bar' },
+      methods: { onEvt },
+      components: {
+        child: {
+          props: ['msg'],
+          inject: ['injected'],
+          template: `<p>{{ msg }} {{ injected }}</p>`
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(child.$parent).toBe(vm)
+    expect(target.innerHTML).toBe('<p>foo bar</p>')
+    child.$emit('evt', 1)
+    expect(onEvt).toHaveBeenCalledWith(1)
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>baz bar</p>')
+    }).then(done)
+  })
+
+  it('should warn invalid target', () => {
+    const vm = new Vue({
+      template: `<div><teleport to="#not-found"><p>a</p></teleport></div>`
+    }).$mount()
+    expect('Invalid teleport target: #not-found').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!--teleport start--><p>a</p><!--teleport end-->')
+  })
+})
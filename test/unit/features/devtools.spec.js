@@ -0,0 +1,200 @@
+import Vue from 'vue'
+
+describe('Devtools hook protocol', () => {
+  let events
+
+  beforeEach(() => {
+    events = []
+    Vue.devtools.setHook({
+      emit: (event, payload) => {
+        // payloads must survive a round trip through a WebSocket
+        events.push([event, payload && JSON.parse(JSON.stringify(payload))])
+      }
+    })
+  })
+
+  afterEach(() => {
+    Vue.devtools.setHook(null)
+  })
+
+  function eventsOf (type) {
+    return events.filter(e => e[0] === type).map(e => e[1])
+  }
+
+  it('should send the protocol version when connected', () => {
+    expect(Vue.devtools.version).toBe(1)
+    expect(events).toEqual([['protocol:init', { version: 1 }]])
+  })
+
+  it('should emit component added, updated and removed', done => {
+    const vm = new Vue({
+      template: '<div><child v-if="ok" :msg="msg"></child></div>',
+      data: { ok: true, msg: 'a' },
+      components: {
+        child: {
+          props: ['msg'],
+          template: '<span>{{ msg }}</span>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(eventsOf('component:added')).toEqual([
+      { uid: child._uid, name: '<Child>', parentUid: vm._uid, rootUid: vm._uid },
+      { uid: vm._uid, name: '<Root>', parentUid: null, rootUid: vm._uid }
+    ])
+    vm.msg = 'b'
+    waitForUpdate(() => {
+      expect(eventsOf('component:updated')).toEqual([
+        { uid: child._uid, name: '<Child>' },
+        { uid: vm._uid, name: '<Root>' }
+      ])
+      vm.ok = false
+    }).then(() => {
+      expect(eventsOf('component:removed')).toEqual([
+        { uid: child._uid, name: '<Child>' }
+      ])
+    }).then(done)
+  })
+
+  it('should emit component events', () => {
+    const vm = new Vue({ render: h => h('div') }).$mount()
+    vm.$emit('select', { id: 1 }, () => {})
+    expect(eventsOf('component:emit')).toEqual([{
+      uid: vm._uid,
+      name: '<Root>',
+      event: 'select',
+      args: [{ id: 1 }, { _type: 'function', name: 'anonymous' }]
+    }])
+  })
+
+  it('should emit state mutations', () => {
+    const vm = new Vue({
+      template: '<div>{{ count }}</div>',
+      data: { count: 0, list: [] }
+    }).$mount()
+    vm.count++
+    vm.list.push(1)
+    expect(eventsOf('state:mutation')).toEqual([
+      { type: 'set', key: 'count', newValue: 1, oldValue: 0, components: [vm._uid] },
+      {
+        type: 'array mutation',
+        key: 'push',
+        newValue: { _type: 'undefined' },
+        oldValue: { _type: 'undefined' },
+        components: []
+      }
+    ])
+  })
+
+  it('should serialize the values of mutations a few levels deep without tracking them', () => {
+    const source = Vue.observable({ a: { b: { c: { d: 1 } } } })
+    const vm = new Vue({
+      data: { copy: null },
+      computed: {
+        copied () {
+          this.copy = source
+          return true
+        }
+      }
+    })
+    expect(vm.copied).toBe(true)
+    expect(vm._computedWatchers.copied.deps.length).toBe(0)
+    expect(eventsOf('state:mutation')[0].newValue).toEqual({
+      a: { b: { c: { _type: 'truncated' } } }
+    })
+  })
+
+  it('should inspect the state of an instance', () => {
+    const vm = new Vue({
+      template: '<div><child msg="hello"></child></div>',
+      provide: { theme: 'dark' },
+      components: {
+        child: {
+          props: ['msg'],
+          inject: ['theme'],
+          data: () => ({ items: new Set([1]), nested: { date: new Date(0) } }),
+          computed: {
+            upper () { return this.msg.toUpperCase() }
+          },
+          setup () {
+            return { count: Vue.ref(1) }
+          },
+          template: '<span>{{ upper }}</span>'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    const state = JSON.parse(JSON.stringify(Vue.devtools.inspect(child._uid)))
+    expect(state).toEqual({
+      uid: child._uid,
+      name: '<Child>',
+      parentUid: vm._uid,
+      props: { msg: 'hello' },
+      data: {
+        items: { _type: 'set', values: [1] },
+        nested: { date: { _type: 'date', value: '1970-01-01T00:00:00.000Z' } }
+      },
+      computed: { upper: 'HELLO' },
+      injected: { theme: 'dark' },
+      setupState: { count: { _type: 'ref', value: 1 } }
+    })
+    expect(Vue.devtools.inspect(-1)).toBe(null)
+  })
+
+  it('should return the component tree', () => {
+    const vm = new Vue({
+      template: '<div><child></child></div>',
+      components: {
+        child: { template: '<span></span>' }
+      }
+    }).$mount()
+    // other specs leave instances mounted in the document
+    const tree = Vue.devtools.getComponentTree().filter(node => node.uid === vm._uid)
+    expect(tree).toEqual([{
+      uid: vm._uid,
+      name: '<Root>',
+      children: [{ uid: vm.$children[0]._uid, name: '<Child>', children: [] }]
+    }])
+  })
+
+  it('should return the tree of instances mounted before the hook was connected', () => {
+    Vue.devtools.setHook(null)
+    const el = document.createElement('div')
+    document.body.appendChild(el)
+    const vm = new Vue({
+      template: '<div><child></child></div>',
+      components: {
+        child: { template: '<span></span>' }
+      }
+    }).$mount(el)
+    Vue.devtools.setHook({ emit () {} })
+    // other specs leave instances mounted in the document
+    const tree = Vue.devtools.getComponentTree().filter(node => node.uid === vm._uid)
+    expect(tree).toEqual([{
+      uid: vm._uid,
+      name: '<Root>',
+      children: [{ uid: vm.$children[0]._uid, name: '<Child>', children: [] }]
+    }])
+    expect(Vue.devtools.inspect(vm.$children[0]._uid).name).toBe('<Child>')
+    vm.$destroy()
+    document.body.removeChild(vm.$el)
+  })
+
+  it('should serialize circular values', () => {
+    const vm = new Vue({ render: h => h('div') }).$mount()
+    const value = { vm }
+    value.self = value
+    vm.$emit('circular', value)
+    expect(eventsOf('component:emit')[0].args).toEqual([{
+      vm: { _type: 'component', uid: vm._uid, name: '<Root>' },
+      self: { _type: 'circular' }
+    }])
+  })
+
+  it('should not emit when config.devtools is off', () => {
+    Vue.config.devtools = false
+    new Vue({ render: h => h('div') }).$mount().$emit('foo')
+    Vue.config.devtools = true
+    expect(events.length).toBe(1)
+  })
+})
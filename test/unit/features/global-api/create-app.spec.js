@@ -0,0 +1,150 @@
+import Vue from 'vue'
+
+describe('Global API: createApp', () => {
+  it('should register assets per app', () => {
+    const app1 = Vue.createApp({ template: '<div><foo></foo><p v-color></p></div>' })
+    const app2 = Vue.createApp({ template: '<div><foo></foo></div>' })
+    app1
+      .component('foo', { template: '<span>one</span>' })
+      .directive('color', el => { el.style.color = 'red' })
+    app2.component('foo', { template: '<span>two</span>' })
+    const vm1 = app1.mount()
+    const vm2 = app2.mount()
+    expect(vm1.$el.innerHTML).toBe('<span>one</span><p style="color: red;"></p>')
+    expect(vm2.$el.innerHTML).toBe('<span>two</span>')
+    expect(Vue.options.components.foo).toBeUndefined()
+    expect(Vue.options.directives.color).toBeUndefined()
+  })
+
+  it('should resolve app assets in nested components', () => {
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      components: {
+        child: { template: '<my-item></my-item>' }
+      }
+    })
+    app.component('MyItem', { template: '<i>item</i>' })
+    expect(app.component('MyItem').options.name).toBe('MyItem')
+    expect(app.mount().$el.innerHTML).toBe('<i>item</i>')
+  })
+
+  it('should prefer locally registered assets', () => {
+    const app = Vue.createApp({
+      template: '<div><foo></foo></div>',
+      components: {
+        foo: { template: '<span>local</span>' }
+      }
+    })
+    app.component('foo', { template: '<span>app</span>' })
+    expect(app.mount().$el.innerHTML).toBe('<span>local</span>')
+  })
+
+  it('should install plugins with the app', () => {
+    const plugin = {
+      install: jasmine.createSpy('install').and.callFake((app, options) => {
+        app.component('foo', { template: `<span>${options.msg}</span>` })
+      })
+    }
+    const app = Vue.createApp({ template: '<div><foo></foo></div>' })
+    app.use(plugin, { msg: 'plugin' })
+    // should not double apply
+    app.use(plugin, { msg: 'again' })
+    expect(plugin.install.calls.count()).toBe(1)
+    expect(plugin.install).toHaveBeenCalledWith(app, { msg: 'plugin' })
+    expect(app.mount().$el.innerHTML).toBe('<span>plugin</span>')
+  })
+
+  it('should apply app mixins to all components of the app', () => {
+    const created = jasmine.createSpy('created')
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      components: {
+        child: { template: '<span>{{ greet() }}</span>' }
+      }
+    })
+    app.mixin({
+      created,
+      methods: {
+        greet: () => 'hi'
+      }
+    })
+    const vm = app.mount()
+    expect(created.calls.count()).toBe(2)
+    expect(vm.$el.innerHTML).toBe('<span>hi</span>')
+    // other instances are not affected
+    new Vue({ template: '<div></div>' }).$mount()
+    expect(created.calls.count()).toBe(2)
+  })
+
+  it('should provide values to all components of the app', () => {
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      provide: { b: 'local' },
+      components: {
+        child: {
+          inject: ['a', 'b'],
+          template: '<span>{{ a }} {{ b }}</span>'
+        }
+      }
+    })
+    app.provide('a', 'app').provide('b', 'app')
+    expect(app.mount().$el.innerHTML).toBe('<span>app local</span>')
+  })
+
+  it('should warn when overwriting a provided value', () => {
+    const app = Vue.createApp()
+    app.provide('a', 1).provide('a', 2)
+    expect('App already provides property with key "a"').toHaveBeenWarned()
+  })
+
+  it('should expose global properties on instances', () => {
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      components: {
+        child: { template: '<span>{{ $msg }}</span>' }
+      }
+    })
+    app.config.globalProperties.$msg = 'global'
+    expect(app.mount().$el.innerHTML).toBe('<span>global</span>')
+  })
+
+  it('should use the app error and warn handlers', () => {
+    const errorHandler = jasmine.createSpy('errorHandler')
+    const warnHandler = jasmine.createSpy('warnHandler')
+    const err = new Error('oops')
+    const app = Vue.createApp({
+      template: '<div><child></child></div>',
+      components: {
+        child: {
+          template: '<span></span>',
+          created () { throw err }
+        }
+      }
+    })
+    app.config.errorHandler = errorHandler
+    app.config.warnHandler = warnHandler
+    const vm = app.mount()
+    expect(errorHandler).toHaveBeenCalledWith(err, vm.$children[0], 'created hook')
+    Vue.util.warn('custom', vm)
+    expect(warnHandler).toHaveBeenCalledWith('custom', vm, jasmine.any(String))
+  })
+
+  it('should mount and unmount the root instance', () => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const el = document.createElement('div')
+    document.body.appendChild(el)
+    const app = Vue.createApp({
+      template: '<div id="app">{{ msg }}</div>',
+      data: () => ({ msg: 'hello' }),
+      destroyed
+    })
+    const vm = app.mount(el)
+    expect(vm.$el.textContent).toBe('hello')
+    expect(document.getElementById('app')).toBe(vm.$el)
+    expect(app.mount()).toBe(vm)
+    expect('App has already been mounted').toHaveBeenWarned()
+    app.unmount()
+    expect(destroyed).toHaveBeenCalled()
+    document.body.removeChild(vm.$el)
+  })
+})
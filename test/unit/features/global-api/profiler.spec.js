@@ -0,0 +1,96 @@
+import Vue from 'vue'
+
+describe('Global API: profiler', () => {
+  afterEach(() => {
+    Vue.profiler.stop()
+  })
+
+  it('should record durations per component instance', () => {
+    Vue.profiler.start()
+    const vm = new Vue({
+      template: '<div><child></child><child></child></div>',
+      components: {
+        child: { template: '<span>child</span>' }
+      }
+    }).$mount()
+    const profiles = Vue.profiler.stop()
+    expect(profiles.map(p => p.name)).toEqual(['<Root>', '<Child>', '<Child>'])
+    expect(profiles[0].uid).toBe(vm._uid)
+    expect(profiles[1].uid).toBe(vm.$children[0]._uid)
+    profiles.forEach(profile => {
+      expect(profile.init).toBeGreaterThanOrEqual(0)
+      expect(profile.render).toBeGreaterThanOrEqual(0)
+      expect(profile.patch).toBeGreaterThanOrEqual(0)
+      expect(profile.renders).toBe(1)
+    })
+    // the root template is compiled by $mount
+    expect(profiles[0].compile).toBeGreaterThan(0)
+    expect(Vue.profiler.isRecording()).toBe(false)
+  })
+
+  it('should record the reason of updates', done => {
+    const vm = new Vue({
+      template: '<div>{{ msg }} <child :list="list"></child></div>',
+      data: { msg: 'a', list: [1] },
+      components: {
+        child: {
+          props: ['list'],
+          template: '<span>{{ list.length }}</span>'
+        }
+      }
+    }).$mount()
+    Vue.profiler.start()
+    vm.msg = 'b'
+    vm.list.push(2)
+    vm.$children[0].$forceUpdate()
+    waitForUpdate(() => {
+      const [root, child] = Vue.profiler.stop()
+      expect(root.name).toBe('<Root>')
+      expect(root.updates).toEqual([
+        { type: 'set', key: 'msg' },
+        { type: 'array mutation', key: 'push' }
+      ])
+      expect(root.renders).toBe(1)
+      expect(child.updates).toEqual([
+        { type: 'array mutation', key: 'push' },
+        null
+      ])
+      expect(child.renders).toBe(1)
+    }).then(done)
+  })
+
+  it('should not record when stopped', () => {
+    Vue.profiler.start()
+    Vue.profiler.stop()
+    new Vue({ render: h => h('div') }).$mount()
+    expect(Vue.profiler.summary()).toEqual([])
+  })
+
+  it('should export a Chrome trace', () => {
+    Vue.profiler.start()
+    new Vue({
+      template: '<div><child></child></div>',
+      components: {
+        child: { template: '<span>child</span>' }
+      }
+    }).$mount()
+    Vue.profiler.stop()
+    const { traceEvents, displayTimeUnit } = JSON.parse(Vue.profiler.exportTrace())
+    expect(displayTimeUnit).toBe('ms')
+    expect(traceEvents[0].ph).toBe('M')
+    expect(traceEvents[0].name).toBe('process_name')
+    const names = traceEvents.filter(e => e.ph === 'X').map(e => e.name)
+    expect(names).toContain('<Root> init')
+    expect(names).toContain('<Root> compile')
+    expect(names).toContain('<Root> render')
+    expect(names).toContain('<Root> patch')
+    expect(names).toContain('<Child> patch')
+    traceEvents.forEach(e => {
+      if (e.ph === 'X') {
+        expect(typeof e.ts).toBe('number')
+        expect(e.dur).toBeGreaterThanOrEqual(0)
+        expect(e.args.component).toBeTruthy()
+      }
+    })
+  })
+})
@@ -0,0 +1,215 @@
+import Vue from 'vue'
+
+describe('Global API: reactivity', () => {
+  it('reactive', done => {
+    const state = Vue.reactive({ count: 0 })
+    expect(Vue.isReactive(state)).toBe(true)
+    expect(Vue.isReactive({})).toBe(false)
+    const vm = new Vue({
+      render: h => h('div', state.count)
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0')
+    state.count++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('reactive: warn non-object', () => {
+    expect(Vue.reactive(1)).toBe(1)
+    expect('value cannot be made reactive: 1').toHaveBeenWarned()
+  })
+
+  it('ref', done => {
+    const count = Vue.ref(0)
+    expect(Vue.isRef(count)).toBe(true)
+    expect(Vue.ref(count)).toBe(count)
+    expect(Vue.unref(count)).toBe(0)
+    expect(Vue.unref(1)).toBe(1)
+    // object values are deeply reactive
+    const obj = Vue.ref({ a: 1 })
+    expect(Vue.isReactive(obj.value)).toBe(true)
+    const vm = new Vue({
+      render: h => h('div', `${count.value}-${obj.value.a}`)
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0-1')
+    count.value++
+    obj.value.a++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1-2')
+    }).then(done)
+  })
+
+  it('computed', () => {
+    const spy = jasmine.createSpy('getter')
+    const count = Vue.ref(1)
+    const double = Vue.computed(() => {
+      spy()
+      return count.value * 2
+    })
+    expect(Vue.isRef(double)).toBe(true)
+    expect(spy).not.toHaveBeenCalled()
+    expect(double.value).toBe(2)
+    expect(double.value).toBe(2)
+    expect(spy.calls.count()).toBe(1)
+    count.value = 2
+    expect(double.value).toBe(4)
+    expect(spy.calls.count()).toBe(2)
+
+    double.value = 1
+    expect('Write operation failed: computed value is readonly').toHaveBeenWarned()
+  })
+
+  it('computed with setter', () => {
+    const count = Vue.ref(1)
+    const plusOne = Vue.computed({
+      get: () => count.value + 1,
+      set: val => { count.value = val - 1 }
+    })
+    plusOne.value = 10
+    expect(count.value).toBe(9)
+    expect(plusOne.value).toBe(10)
+  })
+
+  it('watch ref / getter / reactive / array', done => {
+    const spy = jasmine.createSpy('watch')
+    const count = Vue.ref(0)
+    const state = Vue.reactive({ nested: { a: 1 }})
+    Vue.watch(count, spy)
+    Vue.watch(() => state.nested.a, spy)
+    Vue.watch(state, spy)
+    Vue.watch([count, () => state.nested.a], spy)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, 0, jasmine.any(Function))
+      expect(spy).toHaveBeenCalledWith([1, 1], [0, 1], jasmine.any(Function))
+      expect(spy.calls.count()).toBe(2)
+      spy.calls.reset()
+      state.nested.a = 2
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1, jasmine.any(Function))
+      // reactive sources are watched deeply
+      expect(spy).toHaveBeenCalledWith(state, state, jasmine.any(Function))
+      expect(spy).toHaveBeenCalledWith([1, 2], [1, 1], jasmine.any(Function))
+      expect(spy.calls.count()).toBe(3)
+    }).then(done)
+  })
+
+  it('watch: immediate, cleanup and stop', done => {
+    const spy = jasmine.createSpy('watch')
+    const cleanup = jasmine.createSpy('cleanup')
+    const count = Vue.ref(0)
+    const stop = Vue.watch(count, (value, oldValue, onCleanup) => {
+      spy(value, oldValue)
+      onCleanup(cleanup)
+    }, { immediate: true })
+    expect(spy).toHaveBeenCalledWith(0, undefined)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, 0)
+      expect(cleanup.calls.count()).toBe(1)
+      stop()
+      expect(cleanup.calls.count()).toBe(2)
+      count.value++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('watch: invalid source', () => {
+    Vue.watch(1, () => {})
+    expect('Invalid watch source: 1').toHaveBeenWarned()
+  })
+
+  it('watchEffect', done => {
+    const spy = jasmine.createSpy('effect')
+    const cleanup = jasmine.createSpy('cleanup')
+    const state = Vue.reactive({ a: 1 })
+    const stop = Vue.watchEffect(onCleanup => {
+      spy(state.a)
+      onCleanup(cleanup)
+    })
+    expect(spy).toHaveBeenCalledWith(1)
+    state.a++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2)
+      expect(cleanup.calls.count()).toBe(1)
+      stop()
+      expect(cleanup.calls.count()).toBe(2)
+      state.a++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+    }).then(done)
+  })
+
+  it('watch errors', done => {
+    const err = new Error('effect error')
+    const handler = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+    const count = Vue.ref(0)
+    Vue.watch(count, () => { throw err })
+    count.value++
+    waitForUpdate(() => {
+      expect(handler).toHaveBeenCalledWith(err, null, jasmine.any(String))
+      Vue.config.errorHandler = undefined
+    }).then(done)
+  })
+
+  it('effectScope', done => {
+    const spy = jasmine.createSpy('watch')
+    const dispose = jasmine.createSpy('dispose')
+    const count = Vue.ref(0)
+    const scope = Vue.effectScope()
+    let double
+    scope.run(() => {
+      expect(Vue.getCurrentScope()).toBe(scope)
+      double = Vue.computed(() => count.value * 2)
+      Vue.watch(count, spy)
+      Vue.watchEffect(() => spy(double.value))
+      Vue.onScopeDispose(dispose)
+    })
+    expect(Vue.getCurrentScope()).toBeUndefined()
+    expect(scope.effects.length).toBe(3)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(3)
+      scope.stop()
+      expect(scope.active).toBe(false)
+      expect(dispose).toHaveBeenCalled()
+      count.value++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+      scope.run(() => {})
+      expect('cannot run an inactive effect scope.').toHaveBeenWarned()
+    }).then(done)
+  })
+
+  it('effectScope: nested', () => {
+    const parent = Vue.effectScope()
+    let child, detached
+    parent.run(() => {
+      child = Vue.effectScope()
+      detached = Vue.effectScope(true)
+    })
+    expect(parent.scopes).toEqual([child])
+    parent.stop()
+    expect(child.active).toBe(false)
+    expect(detached.active).toBe(true)
+  })
+
+  it('onScopeDispose: warn without active scope', () => {
+    Vue.onScopeDispose(() => {})
+    expect('onScopeDispose() is called when there is no active effect scope').toHaveBeenWarned()
+  })
+
+  it('should work in proxy mode', done => {
+    Vue.config.reactivity = 'proxy'
+    const spy = jasmine.createSpy('watch')
+    const state = Vue.reactive({})
+    Vue.watch(() => state.a, spy)
+    state.a = 1
+    Vue.config.reactivity = 'accessor'
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, undefined, jasmine.any(Function))
+    }).then(done)
+  })
+})
@@ -120,6 +120,24 @@ describe('Instance methods data', () => {
       expect(spy).toHaveBeenCalledWith('ok')
     })
 
+    it('onTrack/onTrigger', () => {
+      const onTrack = jasmine.createSpy('onTrack')
+      const onTrigger = jasmine.createSpy('onTrigger')
+      vm.$watch('a.b', spy, { onTrack, onTrigger })
+      expect(onTrack.calls.allArgs()).toEqual([
+        [{ target: vm.$data, key: 'a', type: 'get' }],
+        [{ target: vm.a, key: 'b', type: 'get' }]
+      ])
+      vm.a.b = 2
+      expect(onTrigger).toHaveBeenCalledWith({
+        target: vm.a,
+        key: 'b',
+        type: 'set',
+        newValue: 2,
+        oldValue: 1
+      })
+    })
+
     it('warn expression', () => {
       vm.$watch('a + b', spy)
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
@@ -107,6 +107,36 @@ describe('Options computed', () => {
     }).then(done)
   })
 
+  it('watching Map/Set', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map(),
+        set: new Set([1])
+      },
+      computed: {
+        value () { return this.map.get('a') },
+        total () {
+          let total = 0
+          this.set.forEach(n => { total += n })
+          return total
+        }
+      }
+    })
+    expect(vm.value).toBeUndefined()
+    expect(vm.total).toBe(1)
+    const spy = jasmine.createSpy('watch computed')
+    vm.$watch('value', spy)
+    vm.map.set('a', 1)
+    vm.set.add(2)
+    expect(vm.total).toBe(3)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, undefined)
+      vm.map.delete('a')
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(undefined, 1)
+    }).then(done)
+  })
+
   it('caching', () => {
     const spy = jasmine.createSpy('cached computed')
     const vm = new Vue({
@@ -311,6 +311,70 @@ describe('Options lifecycle hooks', () => {
     })
   })
 
+  describe('renderTracked', () => {
+    it('should be called with the deps collected by render', () => {
+      const events = []
+      const vm = new Vue({
+        data: { a: 1, list: [1] },
+        template: '<div>{{ a }}{{ list.length }}</div>',
+        renderTracked (e) {
+          events.push(e)
+        }
+      }).$mount()
+      expect(events.map(e => e.key)).toEqual(['a', 'list'])
+      expect(events[0]).toEqual({ target: vm.$data, key: 'a', type: 'get' })
+    })
+  })
+
+  it('should only install the render debug hooks when they are used', () => {
+    const vm = new Vue({
+      data: { a: 1 },
+      template: '<div>{{ a }}</div>'
+    }).$mount()
+    expect(vm._watcher.onTrack).toBeUndefined()
+    expect(vm._watcher.onTrigger).toBeUndefined()
+
+    const spy = jasmine.createSpy('renderTracked')
+    const listened = new Vue({
+      data: { a: 1 },
+      template: '<div>{{ a }}</div>',
+      beforeCreate () {
+        this.$on('hook:renderTracked', spy)
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalled()
+    expect(listened._watcher.onTrigger).toBeDefined()
+  })
+
+  describe('renderTriggered', () => {
+    it('should be called with the operation that caused the update', done => {
+      const spy = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: { a: 1, obj: {}, list: [] },
+        template: '<div>{{ a }}{{ obj }}{{ list }}</div>',
+        renderTriggered: spy
+      }).$mount()
+      vm.a = 2
+      expect(spy).toHaveBeenCalledWith({
+        target: vm.$data,
+        key: 'a',
+        type: 'set',
+        newValue: 2,
+        oldValue: 1
+      })
+      vm.$set(vm.obj, 'b', 1)
+      expect(spy).toHaveBeenCalledWith({ target: vm.obj, key: 'b', type: 'add', newValue: 1 })
+      vm.$delete(vm.obj, 'b')
+      expect(spy).toHaveBeenCalledWith({ target: vm.obj, key: 'b', type: 'delete' })
+      vm.list.push(1)
+      expect(spy).toHaveBeenCalledWith({ target: vm.list, key: 'push', type: 'array mutation' })
+      waitForUpdate(() => {
+        // triggering the update does not track the hook's own reads
+        expect(spy.calls.count()).toBe(4)
+      }).then(done)
+    })
+  })
+
   it('should emit hook events', () => {
     const created = jasmine.createSpy()
     const mounted = jasmine.createSpy()
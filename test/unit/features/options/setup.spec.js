@@ -0,0 +1,219 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose bindings with refs unwrapped', done => {
+    const vm = new Vue({
+      template: `<div @click="inc">{{ count }}-{{ state.msg }}</div>`,
+      setup () {
+        const count = Vue.ref(0)
+        const state = Vue.reactive({ msg: 'hi' })
+        const inc = () => { count.value++ }
+        return { count, state, inc }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0-hi')
+    vm.inc()
+    vm.state.msg = 'bye'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1-bye')
+      // assigning through the instance writes to the ref
+      vm.count = 5
+      expect(vm._setupState.count.value).toBe(5)
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('5-bye')
+    }).then(done)
+  })
+
+  it('should receive props and context', () => {
+    let props, context, instance
+    const onEvt = jasmine.createSpy('evt')
+    const vm = new Vue({
+      template: `<child msg="foo" class="bar" id="child" @evt="onEvt"><span>slot</span></child>`,
+      methods: { onEvt },
+      components: {
+        child: {
+          props: ['msg'],
+          template: `<div><slot/></div>`,
+          setup (p, ctx) {
+            props = p
+            context = ctx
+            instance = Vue.getCurrentInstance()
+          }
+        }
+      }
+    }).$mount()
+    expect(instance).toBe(vm.$children[0])
+    expect(Vue.getCurrentInstance()).toBe(null)
+    expect(props.msg).toBe('foo')
+    expect(context.attrs).toEqual({ id: 'child' })
+    expect(typeof context.listeners.evt).toBe('function')
+    expect(context.slots.default()[0].tag).toBe('span')
+    context.emit('evt', 1)
+    expect(onEvt).toHaveBeenCalledWith(1)
+  })
+
+  it('should run before data and computed', () => {
+    const vm = new Vue({
+      setup () {
+        return { base: Vue.ref(1) }
+      },
+      data () {
+        return { fromSetup: this.base }
+      },
+      computed: {
+        double () {
+          return this.base * 2
+        }
+      }
+    })
+    expect(vm.fromSetup).toBe(1)
+    expect(vm.double).toBe(2)
+  })
+
+  it('should use a returned render function', done => {
+    const count = Vue.ref(0)
+    const vm = new Vue({
+      setup () {
+        return h => h('div', count.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0')
+    count.value++
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('should render after an async setup resolves', done => {
+    const vm = new Vue({
+      template: `<div>{{ msg }}</div>`,
+      setup () {
+        return Promise.resolve({ msg: 'async' })
+      }
+    }).$mount()
+    expect(vm.$el.nodeType).toBe(8)
+    expect(vm._setupPromise).toBeDefined()
+    vm._setupPromise.then(() => {
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('async')
+      }).then(done)
+    })
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const vm = new Vue({
+      template: `<div>{{ count }}</div>`,
+      mounted () {
+        calls.push('mounted option')
+      },
+      setup () {
+        const count = Vue.ref(0)
+        Vue.onBeforeMount(() => calls.push('beforeMount'))
+        Vue.onMounted(() => calls.push('mounted'))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate'))
+        Vue.onUpdated(() => calls.push('updated'))
+        Vue.onBeforeUnmount(() => calls.push('beforeUnmount'))
+        Vue.onUnmounted(() => calls.push('unmounted'))
+        return { count }
+      }
+    }).$mount()
+    expect(calls).toEqual(['beforeMount', 'mounted option', 'mounted'])
+    vm.count++
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeUnmount', 'unmounted'])
+    }).then(done)
+  })
+
+  it('should not share hooks between instances', () => {
+    const spy = jasmine.createSpy('mounted')
+    let i = 0
+    const Comp = Vue.extend({
+      render: h => h('div'),
+      setup () {
+        const id = i++
+        Vue.onMounted(() => spy(id))
+      }
+    })
+    new Comp().$mount()
+    new Comp().$mount()
+    expect(spy.calls.allArgs()).toEqual([[0], [1]])
+    expect(Comp.options.mounted).toBeUndefined()
+  })
+
+  it('should stop watchers created in setup on destroy', done => {
+    const spy = jasmine.createSpy('watch')
+    const count = Vue.ref(0)
+    const vm = new Vue({
+      setup () {
+        Vue.watch(count, spy)
+        const double = Vue.computed(() => count.value * 2)
+        return { double }
+      }
+    })
+    expect(vm.double).toBe(0)
+    count.value++
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      vm.$destroy()
+      count.value++
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('should merge setup from mixins', () => {
+    const vm = new Vue({
+      mixins: [{
+        setup () {
+          return { a: 1 }
+        }
+      }],
+      setup () {
+        return { b: 2 }
+      }
+    })
+    expect(vm.a).toBe(1)
+    expect(vm.b).toBe(2)
+  })
+
+  it('should handle errors', () => {
+    const err = new Error('setup error')
+    const spy = jasmine.createSpy('errorCaptured').and.returnValue(false)
+    new Vue({
+      template: `<child/>`,
+      errorCaptured: spy,
+      components: {
+        child: {
+          render: h => h('div'),
+          setup () {
+            throw err
+          }
+        }
+      }
+    }).$mount()
+    expect(spy).toHaveBeenCalledWith(err, jasmine.any(Object), 'setup')
+  })
+
+  it('warnings', () => {
+    new Vue({
+      props: ['foo'],
+      propsData: { foo: 1 },
+      setup () {
+        return { foo: 2, $bar: 3 }
+      }
+    })
+    expect('The setup binding property "foo" is already declared as a prop.').toHaveBeenWarned()
+    expect('Avoid using variables that start with _ or $ in setup(): "$bar"').toHaveBeenWarned()
+
+    new Vue({
+      setup: () => 1
+    })
+    expect('setup() should return an object or a render function. Received: number').toHaveBeenWarned()
+
+    Vue.onMounted(() => {})
+    expect('The "mounted" hook is registered when there is no active component instance').toHaveBeenWarned()
+  })
+})
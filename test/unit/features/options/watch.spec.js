@@ -106,6 +106,71 @@ describe('Options watch', () => {
     }).then(done)
   })
 
+  it('with option: flush', done => {
+    const calls = []
+    const vm = new Vue({
+      data: { a: 1 },
+      template: `<div>{{ a }}</div>`,
+      watch: {
+        a: [
+          {
+            handler () {
+              calls.push(`pre:${this.$el.textContent}`)
+            },
+            flush: 'pre'
+          },
+          {
+            handler () {
+              calls.push(`post:${this.$el.textContent}`)
+            },
+            flush: 'post'
+          },
+          {
+            handler () {
+              calls.push(`sync:${this.$el.textContent}`)
+            },
+            flush: 'sync'
+          }
+        ]
+      }
+    }).$mount()
+    vm.a = 2
+    expect(calls).toEqual(['sync:1'])
+    waitForUpdate(() => {
+      expect(calls).toEqual(['sync:1', 'pre:1', 'post:2'])
+    }).then(done)
+  })
+
+  it('with option: deep on Map/Set', done => {
+    const vm = new Vue({
+      data: {
+        map: new Map([['a', { b: 1 }]]),
+        set: new Set()
+      },
+      watch: {
+        map: {
+          handler: spy,
+          deep: true
+        },
+        set: {
+          handler: spy,
+          deep: true
+        }
+      }
+    })
+    vm.map.get('a').b = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith(vm.map, vm.map)
+      vm.set.add({ c: 1 })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(2)
+      vm.set.forEach(item => { item.c++ })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+    }).then(done)
+  })
+
   it('correctly merges multiple extends', done => {
     const spy2 = jasmine.createSpy('A')
     const spy3 = jasmine.createSpy('B')
@@ -87,9 +87,13 @@ describe('parser', () => {
     expect('text "after root {{ interpolation }}" outside root element will be ignored.').toHaveBeenWarned()
   })
 
-  it('warn multiple root elements', () => {
-    parse('<div></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('multiple root elements as fragment', () => {
+    const ast = parse('<div></div><p></p><span></span>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.map(c => c.tag)).toEqual(['div', 'p', 'span'])
+    expect(ast.children[1].parent).toBe(ast)
+    expect('Component template should contain exactly one root element').not.toHaveBeenWarned()
   })
 
   it('remove duplicate whitespace text nodes caused by comments', () => {
@@ -190,51 +194,35 @@ describe('parser', () => {
     expect(astMore.ifConditions[4].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if', () => {
-    parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('2 root elements with v-if as fragment', () => {
+    const ast = parse('<div v-if="1"></div><p v-if="2"></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children[0].if).toBe('1')
+    expect(ast.children[1].if).toBe('2')
   })
 
-  it('warn 3 root elements with v-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else-if on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 4 root elements with v-if, v-else-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
-  })
-
-  it('warn 2 root elements with v-if and v-else-if with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else-if="2" v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
-  })
-
-  it('warn <template> as root element', () => {
-    parse('<template></template>', baseOptions)
-    expect('Cannot use <template> as component root element').toHaveBeenWarned()
+  it('3 root elements with v-if and v-else on first 2 as fragment', () => {
+    const ast = parse('<div v-if="1"></div><p v-else></p><span></span>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].ifConditions[1].block.tag).toBe('p')
+    expect(ast.children[1].tag).toBe('span')
   })
 
-  it('warn <slot> as root element', () => {
-    parse('<slot></slot>', baseOptions)
-    expect('Cannot use <slot> as component root element').toHaveBeenWarned()
+  it('4 root elements with v-if, v-else-if and v-else on first 3 as fragment', () => {
+    const ast = parse('<span></span><div v-if="1"></div><p v-else-if="2"></p><i v-else></i>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].tag).toBe('span')
+    expect(ast.children[1].ifConditions.map(c => c.block.tag)).toEqual(['div', 'p', 'i'])
   })
 
-  it('warn v-for on root element', () => {
+  it('not warn v-for, <template> or <slot> as root element', () => {
     parse('<div v-for="item in items"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+    parse('<template><div></div></template>', baseOptions)
+    parse('<slot></slot>', baseOptions)
+    expect('Cannot use v-for on stateful component root element').not.toHaveBeenWarned()
+    expect('as component root element').not.toHaveBeenWarned()
   })
 
   it('warn <template> key', () => {
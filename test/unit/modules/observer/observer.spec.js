@@ -344,6 +344,119 @@ describe('Observer', () => {
     })
   })
 
+  it('observing Map mutation', () => {
+    const key = {}
+    const map = new Map([['a', { n: 1 }]])
+    const ob = observe(map)
+    expect(ob instanceof Observer).toBe(true)
+    expect(map instanceof Map).toBe(true)
+    // mock a watcher!
+    const watcher = {
+      deps: [],
+      addDep (dep) {
+        this.deps.push(dep)
+        dep.addSub(this)
+      },
+      update: jasmine.createSpy()
+    }
+    Dep.target = watcher
+    map.get('a').n
+    map.has(key)
+    Dep.target = null
+    // values are observed when read
+    expect(map.get('a').__ob__ instanceof Observer).toBe(true)
+    map.get('a').n = 2
+    expect(watcher.update.calls.count()).toBe(1)
+    map.set(key, 1)
+    expect(watcher.update.calls.count()).toBe(2)
+    // unrelated keys should not trigger
+    map.set('b', 1)
+    expect(watcher.update.calls.count()).toBe(2)
+    map.delete(key)
+    expect(watcher.update.calls.count()).toBe(3)
+
+    spyOn(ob.dep, 'notify').and.callThrough()
+    map.set('a', 1)
+    map.clear()
+    expect(ob.dep.notify.calls.count()).toBe(2)
+    expect(map.size).toBe(0)
+  })
+
+  it('observing Map subclasses', () => {
+    class MyMap extends Map {
+      getOr (key, fallback) {
+        return this.has(key) ? this.get(key) : fallback
+      }
+    }
+    const map = new MyMap()
+    const ob = observe(map)
+    expect(ob instanceof Observer).toBe(true)
+    expect(map instanceof MyMap).toBe(true)
+    const watcher = {
+      deps: [],
+      addDep (dep) {
+        this.deps.push(dep)
+        dep.addSub(this)
+      },
+      update: jasmine.createSpy()
+    }
+    Dep.target = watcher
+    expect(map.getOr('a', 0)).toBe(0)
+    Dep.target = null
+    map.set('a', 1)
+    expect(watcher.update.calls.count()).toBe(1)
+    expect(map.getOr('a', 0)).toBe(1)
+    // plain maps keep their own methods
+    const plain = new Map()
+    observe(plain)
+    expect(plain.getOr).toBeUndefined()
+  })
+
+  it('observing Set mutation', () => {
+    const set = new Set([1])
+    const ob = observe(set)
+    spyOn(ob.dep, 'notify')
+    set.add(2)
+    // adding an existing value should not trigger
+    set.add(2)
+    set.delete(1)
+    // deleting a missing value should not trigger
+    set.delete(1)
+    set.clear()
+    expect(ob.dep.notify.calls.count()).toBe(3)
+    expect(set.size).toBe(0)
+  })
+
+  it('observing WeakMap/WeakSet mutation', () => {
+    const key = {}
+    const weakMap = new WeakMap()
+    const weakSet = new WeakSet()
+    observe(weakMap)
+    observe(weakSet)
+    const watcher = {
+      deps: [],
+      addDep (dep) {
+        this.deps.push(dep)
+        dep.addSub(this)
+      },
+      update: jasmine.createSpy()
+    }
+    Dep.target = watcher
+    weakMap.get(key)
+    weakSet.has(key)
+    // primitive keys are allowed for reads
+    weakMap.get('a')
+    Dep.target = null
+    expect(watcher.deps.length).toBe(2)
+    weakMap.set(key, 1)
+    expect(watcher.update.calls.count()).toBe(1)
+    weakSet.add(key)
+    expect(watcher.update.calls.count()).toBe(2)
+    weakMap.delete(key)
+    weakSet.delete(key)
+    expect(watcher.update.calls.count()).toBe(4)
+  })
+
   it('warn set/delete on non valid values', () => {
     try {
       setProp(null, 'foo', 1)
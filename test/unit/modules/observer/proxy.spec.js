@@ -0,0 +1,264 @@
+import Vue from 'vue'
+import {
+  Observer,
+  observe,
+  toRaw,
+  set as setProp,
+  del as delProp
+} from 'core/observer/index'
+import Dep from 'core/observer/dep'
+
+describe('Observer (proxy mode)', () => {
+  beforeEach(() => {
+    Vue.config.reactivity = 'proxy'
+  })
+
+  afterEach(() => {
+    Vue.config.reactivity = 'accessor'
+  })
+
+  // mock a watcher!
+  function createWatcher () {
+    return {
+      deps: [],
+      addDep (dep) {
+        this.deps.push(dep)
+        dep.addSub(this)
+      },
+      update: jasmine.createSpy()
+    }
+  }
+
+  function collect (watcher, fn) {
+    Dep.target = watcher
+    fn()
+    Dep.target = null
+  }
+
+  it('create on object', () => {
+    const obj = { a: { b: 1 } }
+    const ob = observe(obj)
+    expect(ob instanceof Observer).toBe(true)
+    expect(ob.value).toBe(obj)
+    expect(ob.proxy).not.toBe(obj)
+    expect(obj.__ob__).toBe(ob)
+    // keys are not converted to getter/setters
+    expect(Object.getOwnPropertyDescriptor(obj, 'a').get).toBeUndefined()
+    // nested objects are observed lazily and wrapped on access
+    expect(obj.a.__ob__).toBeUndefined()
+    const a = ob.proxy.a
+    expect(a).toBe(obj.a.__ob__.proxy)
+    expect(ob.proxy.a).toBe(a)
+    expect(toRaw(a)).toBe(obj.a)
+    // should return existing ob for both raw and proxy
+    expect(observe(obj)).toBe(ob)
+    expect(observe(ob.proxy)).toBe(ob)
+  })
+
+  it('observing object prop change', () => {
+    const state = observe({ a: { b: 2 }, c: NaN }).proxy
+    const watcher = createWatcher()
+    collect(watcher, () => state.a.b)
+    state.a.b = 3
+    expect(watcher.update.calls.count()).toBe(1)
+    state.a = { b: 4 }
+    expect(watcher.update.calls.count()).toBe(2)
+    // should not trigger on NaN -> NaN set
+    collect(watcher, () => state.c)
+    state.c = NaN
+    expect(watcher.update.calls.count()).toBe(2)
+  })
+
+  it('observing property addition and deletion', () => {
+    const state = observe({ a: 1 }).proxy
+    const watcher = createWatcher()
+    collect(watcher, () => state.b)
+    state.b = 1
+    expect(watcher.update.calls.count()).toBe(1)
+    delete state.b
+    expect(watcher.update.calls.count()).toBe(2)
+
+    // iteration depends on the key set
+    const iterator = createWatcher()
+    collect(iterator, () => Object.keys(state))
+    state.c = 1
+    expect(iterator.update.calls.count()).toBe(1)
+    delete state.a
+    expect(iterator.update.calls.count()).toBe(2)
+
+    // `in` checks
+    const checker = createWatcher()
+    collect(checker, () => 'd' in state)
+    state.d = 1
+    expect(checker.update.calls.count()).toBe(1)
+  })
+
+  it('observing array index assignment and length', () => {
+    const arr = observe([1, 2, 3]).proxy
+    const watcher = createWatcher()
+    collect(watcher, () => arr[0])
+    arr[0] = 4
+    expect(watcher.update.calls.count()).toBe(1)
+    expect(toRaw(arr)[0]).toBe(4)
+
+    const lengthWatcher = createWatcher()
+    collect(lengthWatcher, () => arr.length)
+    arr[5] = 1
+    expect(lengthWatcher.update.calls.count()).toBe(1)
+    arr.length = 0
+    expect(lengthWatcher.update.calls.count()).toBe(2)
+  })
+
+  it('observing array mutation', () => {
+    const ob = observe([])
+    const arr = ob.proxy
+    spyOn(ob.dep, 'notify')
+    const objs = [{}, {}, {}]
+    arr.push(objs[0])
+    arr.pop()
+    arr.unshift(objs[1])
+    arr.shift()
+    arr.splice(0, 0, objs[2])
+    arr.sort()
+    arr.reverse()
+    expect(ob.dep.notify).toHaveBeenCalled()
+    // elements are stored raw
+    expect(toRaw(arr)[0]).toBe(objs[2])
+
+    // mutators should not collect the array as a dependency
+    const watcher = createWatcher()
+    collect(watcher, () => arr.push(1))
+    expect(watcher.deps.length).toBe(0)
+  })
+
+  it('identity-sensitive array methods', () => {
+    const obj = {}
+    const arr = observe([obj]).proxy
+    expect(arr.indexOf(obj)).toBe(0)
+    expect(arr.indexOf(arr[0])).toBe(0)
+    expect(arr.includes(obj)).toBe(true)
+    expect(arr.lastIndexOf(obj)).toBe(0)
+  })
+
+  it('observing Map', () => {
+    const key = {}
+    const map = observe(new Map([['a', { n: 1 }]])).proxy
+    const watcher = createWatcher()
+    collect(watcher, () => map.get('a').n)
+    map.get('a').n = 2
+    expect(watcher.update.calls.count()).toBe(1)
+    map.set('a', { n: 3 })
+    expect(watcher.update.calls.count()).toBe(2)
+
+    const hasWatcher = createWatcher()
+    collect(hasWatcher, () => map.has(key))
+    map.set(key, 1)
+    expect(hasWatcher.update.calls.count()).toBe(1)
+    map.delete(key)
+    expect(hasWatcher.update.calls.count()).toBe(2)
+
+    const sizeWatcher = createWatcher()
+    collect(sizeWatcher, () => map.size)
+    map.set('b', 1)
+    expect(sizeWatcher.update.calls.count()).toBe(1)
+    map.clear()
+    expect(sizeWatcher.update.calls.count()).toBe(2)
+    expect(map.size).toBe(0)
+  })
+
+  it('observing Set', () => {
+    const set = observe(new Set()).proxy
+    const watcher = createWatcher()
+    collect(watcher, () => {
+      for (const item of set) item.n // eslint-disable-line no-unused-expressions
+    })
+    const item = { n: 1 }
+    set.add(item)
+    expect(watcher.update.calls.count()).toBe(1)
+    // adding an existing value should not trigger
+    set.add(item)
+    expect(watcher.update.calls.count()).toBe(1)
+    expect(set.has(item)).toBe(true)
+    // values are wrapped on iteration
+    set.forEach(value => {
+      expect(toRaw(value)).toBe(item)
+      expect(value).not.toBe(item)
+    })
+    set.delete(item)
+    expect(watcher.update.calls.count()).toBe(2)
+  })
+
+  it('debug events', () => {
+    const raw = { a: 1 }
+    const state = observe(raw).proxy
+    const watcher = createWatcher()
+    watcher.onTrack = jasmine.createSpy('onTrack')
+    watcher.onTrigger = jasmine.createSpy('onTrigger')
+    collect(watcher, () => {
+      'b' in state // eslint-disable-line no-unused-expressions
+      Object.keys(state)
+    })
+    expect(watcher.onTrack).toHaveBeenCalledWith({ target: raw, key: 'b', type: 'has' })
+    expect(watcher.onTrack).toHaveBeenCalledWith({ target: raw, key: undefined, type: 'iterate' })
+    state.b = 1
+    expect(watcher.onTrigger).toHaveBeenCalledWith({ target: raw, key: 'b', type: 'add' })
+    delete state.a
+    expect(watcher.onTrigger).toHaveBeenCalledWith({ target: raw, key: 'a', type: 'delete' })
+
+    const map = observe(new Map()).proxy
+    const mapWatcher = createWatcher()
+    mapWatcher.onTrigger = jasmine.createSpy('onTrigger')
+    collect(mapWatcher, () => map.size)
+    map.set('k', 1)
+    expect(mapWatcher.onTrigger).toHaveBeenCalledWith({ target: toRaw(map), key: 'k', type: 'add' })
+    map.clear()
+    expect(mapWatcher.onTrigger).toHaveBeenCalledWith({ target: toRaw(map), key: undefined, type: 'clear' })
+  })
+
+  it('set/delete', () => {
+    const ob = observe({ a: 1 })
+    const watcher = createWatcher()
+    collect(watcher, () => ob.proxy.b)
+    spyOn(ob.dep, 'notify').and.callThrough()
+    setProp(ob.value, 'b', 2)
+    expect(ob.proxy.b).toBe(2)
+    expect(watcher.update.calls.count()).toBe(1)
+    expect(ob.dep.notify.calls.count()).toBe(1)
+    delProp(ob.proxy, 'b')
+    expect(ob.value.b).toBeUndefined()
+    expect(watcher.update.calls.count()).toBe(2)
+
+    const arrOb = observe([1])
+    spyOn(arrOb.dep, 'notify')
+    setProp(arrOb.value, 0, 2)
+    expect(arrOb.value[0]).toBe(2)
+    delProp(arrOb.value, 0)
+    expect(arrOb.value.length).toBe(0)
+    expect(arrOb.dep.notify).toHaveBeenCalled()
+  })
+
+  it('should work with components', done => {
+    const vm = new Vue({
+      template: '<div>{{ obj.a }}-{{ obj.b }}-{{ list[0] }}-{{ map.get("k") }}</div>',
+      data: {
+        obj: { a: 1 },
+        list: [1],
+        map: new Map()
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1--1-')
+    vm.obj.b = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1-2-1-')
+      delete vm.obj.a
+      vm.list[0] = 3
+      vm.map.set('k', 'v')
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('-2-3-v')
+      // root $data is the proxy as well
+      vm.$data.obj = { a: 4 }
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('4--3-v')
+    }).then(done)
+  })
+})
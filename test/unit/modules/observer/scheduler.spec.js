@@ -126,6 +126,80 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  it('call post watchers after the whole tree is patched', done => {
+    const calls = []
+    const vm = new Vue({
+      data: { a: 1 },
+      template: '<div><test :a="a"></test></div>',
+      created () {
+        this.$watch('a', () => {
+          calls.push(`parent post:${this.$el.textContent}`)
+        }, { flush: 'post' })
+      },
+      components: {
+        test: {
+          props: ['a'],
+          template: '<span>{{ a }}</span>',
+          watch: {
+            a () {
+              calls.push(`child pre:${this.$el.textContent}`)
+            }
+          },
+          updated () {
+            calls.push('child updated')
+          }
+        }
+      }
+    }).$mount()
+    vm.a = 2
+    waitForUpdate(() => {
+      expect(calls).toEqual([
+        'child pre:1',
+        'parent post:2',
+        'child updated'
+      ])
+    }).then(done)
+  })
+
+  it('flush pre watchers queued by post watchers', done => {
+    const calls = []
+    queueWatcher({
+      id: 2,
+      flush: 'post',
+      run () {
+        calls.push('post')
+        queueWatcher({
+          id: 1,
+          run () {
+            calls.push('pre')
+          }
+        })
+      }
+    })
+    waitForUpdate(() => {
+      expect(calls).toEqual(['post', 'pre'])
+    }).then(done)
+  })
+
+  it('warn against infinite update loops in post watchers', function (done) {
+    let count = 0
+    const job = {
+      id: 1,
+      user: true,
+      expression: 'foo',
+      flush: 'post',
+      run () {
+        count++
+        queueWatcher(job)
+      }
+    }
+    queueWatcher(job)
+    waitForUpdate(() => {
+      expect(count).toBe(MAX_UPDATE_COUNT + 1)
+      expect('infinite update loop in watcher with expression "foo"').toHaveBeenWarned()
+    }).then(done)
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
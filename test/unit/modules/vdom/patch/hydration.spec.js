@@ -2,6 +2,7 @@ import Vue from 'vue'
 import VNode from 'core/vdom/vnode'
 import { patch } from 'web/runtime/patch'
 import { SSR_ATTR } from 'shared/constants'
+import { SWAP_RUNTIME } from 'server/out-of-order'
 
 function createMockSSRDOM (innerHTML) {
   const dom = document.createElement('div')
@@ -135,6 +136,184 @@ describe('vdom patch: hydration', () => {
     }).then(done)
   })
 
+  it('should hydrate components with multiple root nodes', done => {
+    const dom = createMockSSRDOM('<span>foo</span><!--[--><p>foo</p><p>qux</p><!--]--><b></b>')
+    const originalStart = dom.childNodes[1]
+    const originalNode = dom.childNodes[2]
+
+    const vm = new Vue({
+      template: '<div><span>{{msg}}</span><test :msg="msg"></test><b></b></div>',
+      data: {
+        msg: 'foo'
+      },
+      components: {
+        test: {
+          props: ['msg'],
+          data () {
+            return { a: 'qux' }
+          },
+          template: '<p>{{msg}}</p><p>{{a}}</p>'
+        }
+      }
+    })
+
+    vm.$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$children[0].$el).toBe(originalStart)
+    expect(vm.$el.childNodes[2]).toBe(originalNode)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>bar</span><!--[--><p>bar</p><p>qux</p><!--]--><b></b>')
+      expect(vm.$el.childNodes[2]).toBe(originalNode)
+    }).then(done)
+  })
+
+  it('should warn failed hydration for fragment without anchors', () => {
+    const dom = createMockSSRDOM('<p>foo</p><p>bar</p>')
+
+    new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          template: '<p>foo</p><p>bar</p>'
+        }
+      }
+    }).$mount(dom)
+
+    expect('not matching server-rendered content').toHaveBeenWarned()
+  })
+
+  it('should hydrate teleports', done => {
+    const target = document.createElement('div')
+    target.innerHTML = '<!--teleport start anchor--><p>foo</p><!--teleport anchor-->'
+    const dom = createMockSSRDOM('<span>foo</span><!--teleport start--><!--teleport end-->')
+    const originalNode = target.childNodes[1]
+
+    const vm = new Vue({
+      template: '<div><span>{{msg}}</span><teleport :to="target"><p>{{msg}}</p></teleport></div>',
+      data: {
+        msg: 'foo',
+        target
+      }
+    })
+
+    vm.$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    // the claimed start anchor is removed
+    expect(target.innerHTML).toBe('<p>foo</p><!--teleport anchor-->')
+    expect(target.firstChild).toBe(originalNode)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<p>bar</p><!--teleport anchor-->')
+      expect(target.firstChild).toBe(originalNode)
+    }).then(done)
+  })
+
+  it('should hydrate suspense without showing the fallback', done => {
+    const dom = createMockSSRDOM(
+      '<!--[--><!--teleport start--><span>foo</span><!--teleport end--><!----><!--]-->'
+    )
+    const span = dom.querySelector('span')
+    const vm = new Vue({
+      template: `
+        <div><suspense><foo></foo><template #fallback>loading</template></suspense></div>
+      `,
+      components: {
+        foo: resolve => setTimeout(() => resolve({ template: '<span>foo</span>' }))
+      }
+    })
+
+    vm.$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo')
+    }).thenWaitFor(10).then(() => {
+      expect(vm.$el.textContent).toBe('foo')
+      expect(vm.$el.querySelector('span')).toBe(span)
+    }).then(done)
+  })
+
+  describe('out-of-order suspense', () => {
+    const pending =
+      '<!--[--><!--teleport start-->' +
+        '<!--suspense pending:0-->loading<!--/suspense pending:0-->' +
+      '<!--teleport end--><!----><!--]-->'
+    const template = `
+      <div><suspense><foo></foo><template #fallback>loading</template></suspense></div>
+    `
+    let dom, content
+
+    beforeEach(() => {
+      dom = createMockSSRDOM(pending)
+      content = document.createElement('template')
+      content.id = 'vue-ssr-0'
+      content.innerHTML = '<span>foo</span>'
+      document.body.appendChild(dom)
+      document.body.appendChild(content)
+      new Function(SWAP_RUNTIME)() // eslint-disable-line no-new-func
+    })
+
+    afterEach(() => {
+      document.body.removeChild(dom)
+      if (content.parentNode) {
+        document.body.removeChild(content)
+      }
+      delete window.__VUE_SSR_SWAP__
+    })
+
+    it('should adopt the content swapped in for the fallback', done => {
+      window.__VUE_SSR_SWAP__(0)
+      expect(content.parentNode).toBe(null)
+      expect(dom.innerHTML).toBe(
+        '<!--[--><!--teleport start--><span>foo</span><!--teleport end--><!----><!--]-->'
+      )
+      const span = dom.querySelector('span')
+      const vm = new Vue({
+        template,
+        components: {
+          foo: resolve => setTimeout(() => resolve({ template: '<span>foo</span>' }))
+        }
+      })
+      vm.$mount(dom)
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      waitForUpdate().thenWaitFor(10).then(() => {
+        expect(vm.$el.textContent).toBe('foo')
+        expect(vm.$el.querySelector('span')).toBe(span)
+      }).then(done)
+    })
+
+    it('should read the id from the template preceding the calling script', () => {
+      const script = document.createElement('script')
+      document.body.appendChild(script)
+      Object.defineProperty(document, 'currentScript', { value: script, configurable: true })
+      window.__VUE_SSR_SWAP__()
+      delete document.currentScript
+      expect(content.parentNode).toBe(null)
+      expect(script.parentNode).toBe(null)
+      expect(dom.innerHTML).toBe(
+        '<!--[--><!--teleport start--><span>foo</span><!--teleport end--><!----><!--]-->'
+      )
+    })
+
+    it('should render the content on the client before it is swapped in', () => {
+      const vm = new Vue({
+        template,
+        components: {
+          foo: { template: '<span>client</span>' }
+        }
+      })
+      vm.$mount(dom)
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(vm.$el.innerHTML).toBe(
+        '<!--[--><!--teleport start--><span>client</span><!--teleport end--><!----><!--]-->'
+      )
+      // the late content is dropped
+      window.__VUE_SSR_SWAP__(0)
+      expect(content.parentNode).toBe(null)
+      expect(vm.$el.textContent).toBe('client')
+    })
+  })
+
   it('should warn failed hydration for non-matching DOM in child component', () => {
     const dom = createMockSSRDOM('<div><span></span></div>')
 
@@ -161,7 +340,7 @@ describe('vdom patch: hydration', () => {
     expect('Unknown custom element: <foo>').toHaveBeenWarned()
   })
 
-  it('should overwrite textNodes in the correct position but with mismatching text without warning', () => {
+  it('should overwrite textNodes in the correct position but with mismatching text without bailing', () => {
     const dom = createMockSSRDOM('<div><span>foo</span></div>')
 
     new Vue({
@@ -177,6 +356,7 @@ describe('vdom patch: hydration', () => {
     }).$mount(dom)
 
     expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect('Hydration mismatch at div > div > span > #text:\n- expected text "qux", found "foo"').toHaveBeenWarned()
     expect(dom.querySelector('span').textContent).toBe('qux')
   })
 
@@ -388,4 +568,308 @@ describe('vdom patch: hydration', () => {
       expect(dom.children[0].className).toBe('bar')
     }).then(done)
   })
+
+  describe('mismatch', () => {
+    afterEach(() => {
+      Vue.config.hydrationMismatch = 'warn'
+    })
+
+    it('should report the mismatching node with its path', () => {
+      const dom = createMockSSRDOM('<ul><li>foo</li><li><span>bar</span></li></ul>')
+
+      const vm = new Vue({
+        template: '<div><test></test></div>',
+        components: {
+          test: {
+            template: '<ul><li>foo</li><li><b>bar</b></li></ul>'
+          }
+        }
+      }).$mount(dom)
+
+      expect(
+        'Hydration mismatch at div > ul > li:nth-child(2) > span:\n' +
+        '- expected <b>, found <span>'
+      ).toHaveBeenWarned()
+      expect('---> <Test>').toHaveBeenWarned()
+      // the component is rendered on the client
+      expect('not matching server-rendered content').toHaveBeenWarned()
+      expect(vm.$el.innerHTML).toBe('<ul><li>foo</li><li><b>bar</b></li></ul>')
+    })
+
+    it('should report mismatching attributes, class and style', () => {
+      const dom = createMockSSRDOM('<p id="b" class="foo" style="color:blue;">foo</p>')
+      const p = dom.firstChild
+
+      new Vue({
+        template: '<div><p :id="id" class="foo bar" :style="{ color: color }">foo</p></div>',
+        data: { id: 'a', color: 'red' }
+      }).$mount(dom)
+
+      expect(
+        'Hydration mismatch at p#b:\n' +
+        '- attribute "id": expected "a", found "b"\n' +
+        '- class: expected "foo bar", found "foo"\n' +
+        '- style "color": expected "red", found "blue"'
+      ).toHaveBeenWarned()
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(dom.firstChild).toBe(p)
+    })
+
+    it('should patch only the mismatching nodes', () => {
+      Vue.config.hydrationMismatch = 'patch'
+      const dom = createMockSSRDOM('<span>foo</span><ul><li>a</li><i>b</i><li>c</li><li>d</li></ul><p></p>')
+      const [span, ul, p] = dom.children
+      const [a, , c] = ul.children
+
+      const vm = new Vue({
+        template: `
+          <div><span>foo</span><ul><li>a</li><li>b</li><li>c</li></ul><p :id="id"></p></div>
+        `,
+        data: { id: 'p' }
+      }).$mount(dom)
+
+      expect('Hydration mismatch at div > ul:nth-child(2) > i:nth-child(2):\n- expected <li>, found <i>').toHaveBeenWarned()
+      expect('Hydration mismatch at div > ul:nth-child(2):\n- unexpected <li>').toHaveBeenWarned()
+      expect('Hydration mismatch at div > p:nth-child(3):\n- attribute "id": expected "p", found none').toHaveBeenWarned()
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(vm.$el).toBe(dom)
+      expect(dom.innerHTML).toBe('<span>foo</span><ul><li>a</li><li>b</li><li>c</li></ul><p id="p"></p>')
+      expect(dom.children[0]).toBe(span)
+      expect(dom.children[1]).toBe(ul)
+      expect(dom.children[2]).toBe(p)
+      expect(ul.children[0]).toBe(a)
+      expect(ul.children[2]).toBe(c)
+    })
+
+    it('should patch missing nodes', done => {
+      Vue.config.hydrationMismatch = 'patch'
+      const dom = createMockSSRDOM('<span>foo</span>')
+      const span = dom.firstChild
+
+      const vm = new Vue({
+        template: '<div><span>{{ msg }}</span><b>{{ msg }}</b></div>',
+        data: { msg: 'foo' }
+      }).$mount(dom)
+
+      expect('Hydration mismatch at div:\n- missing <b>').toHaveBeenWarned()
+      expect(dom.firstChild).toBe(span)
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<span>bar</span><b>bar</b>')
+      }).then(done)
+    })
+
+    it('should remount the closest element containing the mismatch', done => {
+      Vue.config.hydrationMismatch = 'remount'
+      const dom = createMockSSRDOM('<span>foo</span><ul><li>a</li></ul>')
+      const span = dom.firstChild
+      const ul = dom.lastChild
+
+      const vm = new Vue({
+        template: '<div><span>{{ msg }}</span><ul><li>a</li><li>{{ msg }}</li></ul></div>',
+        data: { msg: 'foo' }
+      }).$mount(dom)
+
+      expect('Hydration mismatch at div > ul:nth-child(2):\n- missing <li>').toHaveBeenWarned()
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(vm.$el).toBe(dom)
+      expect(dom.firstChild).toBe(span)
+      expect(dom.lastChild).not.toBe(ul)
+      expect(dom.innerHTML).toBe('<span>foo</span><ul><li>a</li><li>foo</li></ul>')
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        expect(dom.innerHTML).toBe('<span>bar</span><ul><li>a</li><li>bar</li></ul>')
+      }).then(done)
+    })
+
+    it('should destroy the components hydrated before the mismatch when remounting', () => {
+      Vue.config.hydrationMismatch = 'remount'
+      const dom = createMockSSRDOM('<ul><li>a</li></ul>')
+      const mounted = jasmine.createSpy('mounted')
+      const destroyed = jasmine.createSpy('destroyed')
+
+      const vm = new Vue({
+        template: '<div><ul><item></item><li>b</li></ul></div>',
+        components: {
+          item: {
+            template: '<li>a</li>',
+            mounted,
+            destroyed
+          }
+        }
+      }).$mount(dom)
+
+      expect('Hydration mismatch at div > ul:\n- missing <li>').toHaveBeenWarned()
+      expect(dom.innerHTML).toBe('<ul><li>a</li><li>b</li></ul>')
+      expect(destroyed.calls.count()).toBe(1)
+      expect(mounted.calls.count()).toBe(1)
+      expect(vm.$children.length).toBe(1)
+      expect(vm.$children[0]._isDestroyed).toBe(false)
+      expect(vm.$children[0].$el).toBe(dom.firstChild.firstChild)
+    })
+
+    it('should remove the attributes only rendered by the server when patching', () => {
+      Vue.config.hydrationMismatch = 'patch'
+      const dom = createMockSSRDOM('<p id="b" title="foo" class="foo" data-v-1="">foo</p>')
+      const p = dom.firstChild
+
+      new Vue({
+        _scopeId: 'data-v-1',
+        template: '<div><p :id="id" class="foo">foo</p></div>',
+        data: { id: 'a' }
+      }).$mount(dom)
+
+      expect('Hydration mismatch at p#b:\n- attribute "id": expected "a", found "b"').toHaveBeenWarned()
+      expect(dom.firstChild).toBe(p)
+      expect(dom.innerHTML).toBe('<p id="a" class="foo" data-v-1="">foo</p>')
+    })
+
+    it('should remount an element with mismatching attributes', () => {
+      Vue.config.hydrationMismatch = 'remount'
+      const dom = createMockSSRDOM('<p class="foo"><span>foo</span></p>')
+      const p = dom.firstChild
+
+      new Vue({
+        template: '<div><p class="bar"><span>foo</span></p></div>'
+      }).$mount(dom)
+
+      expect('Hydration mismatch at div > p:\n- class: expected "bar", found "foo"').toHaveBeenWarned()
+      expect(dom.firstChild).not.toBe(p)
+      expect(dom.innerHTML).toBe('<p class="bar"><span>foo</span></p>')
+    })
+  })
+
+  describe('lazy hydration', () => {
+    it('should not hydrate components with the never strategy', () => {
+      const dom = createMockSSRDOM('<p data-server-hydrate="never">static</p><span>foo</span>')
+      const p = dom.firstChild
+      const created = jasmine.createSpy('created')
+
+      const vm = new Vue({
+        template: '<div><static></static><span>foo</span></div>',
+        components: {
+          static: {
+            hydrate: 'never',
+            template: '<p>static</p>',
+            created
+          }
+        }
+      }).$mount(dom)
+
+      expect('not matching server-rendered content').not.toHaveBeenWarned()
+      expect(created).not.toHaveBeenCalled()
+      expect(vm.$children.length).toBe(0)
+      expect(vm.$el.firstChild).toBe(p)
+      vm.$destroy()
+    })
+
+    it('should hydrate on interaction', done => {
+      const dom = createMockSSRDOM('<button data-server-hydrate="interaction">0</button>')
+      const button = dom.firstChild
+
+      const vm = new Vue({
+        template: '<div><counter></counter></div>',
+        components: {
+          counter: {
+            hydrate: { on: 'click' },
+            data: () => ({ count: 0 }),
+            template: '<button @click="count++">{{ count }}</button>'
+          }
+        }
+      }).$mount(dom)
+
+      expect(vm.$children.length).toBe(0)
+      button.click()
+      const counter = vm.$children[0]
+      expect(counter.$el).toBe(button)
+      expect(counter._isMounted).toBe(true)
+      // the event that triggered the hydration is handled
+      expect(counter.count).toBe(1)
+      expect(button.hasAttribute('data-server-hydrate')).toBe(false)
+      waitForUpdate(() => {
+        expect(button.textContent).toBe('1')
+        button.click()
+        expect(counter.count).toBe(2)
+      }).then(done)
+    })
+
+    it('should hydrate with the latest props when the strategy triggers', done => {
+      const dom = createMockSSRDOM('<p data-server-hydrate="custom">foo</p>')
+      const p = dom.firstChild
+      const teardown = jasmine.createSpy('teardown')
+      let hydrate
+
+      const vm = new Vue({
+        template: '<div><test :msg="msg"></test></div>',
+        data: { msg: 'foo' },
+        components: {
+          test: {
+            props: ['msg'],
+            hydrate: (fn, el) => {
+              expect(el).toBe(p)
+              hydrate = fn
+              return teardown
+            },
+            template: '<p>{{ msg }}</p>'
+          }
+        }
+      }).$mount(dom)
+
+      vm.msg = 'bar'
+      waitForUpdate(() => {
+        // still the server-rendered content
+        expect(p.textContent).toBe('foo')
+        hydrate()
+        expect(teardown).toHaveBeenCalled()
+        expect(vm.$children[0].msg).toBe('bar')
+      }).then(() => {
+        expect(vm.$el.firstChild).toBe(p)
+        expect(p.textContent).toBe('bar')
+      }).then(done)
+    })
+
+    it('should tear down the strategy when destroyed before hydration', done => {
+      const dom = createMockSSRDOM('<p data-server-hydrate="custom">foo</p>')
+      const teardown = jasmine.createSpy('teardown')
+      let hydrate
+
+      const vm = new Vue({
+        template: '<div><test v-if="ok"></test></div>',
+        data: { ok: true },
+        components: {
+          test: {
+            hydrate: fn => {
+              hydrate = fn
+              return teardown
+            },
+            template: '<p>foo</p>'
+          }
+        }
+      }).$mount(dom)
+
+      vm.ok = false
+      waitForUpdate(() => {
+        expect(teardown).toHaveBeenCalled()
+        hydrate()
+        expect(vm.$children.length).toBe(0)
+      }).then(done)
+    })
+
+    it('should hydrate eagerly without the server marker', () => {
+      const dom = createMockSSRDOM('<p>foo</p>')
+
+      const vm = new Vue({
+        template: '<div><test></test></div>',
+        components: {
+          test: {
+            hydrate: 'never',
+            template: '<p>foo</p>'
+          }
+        }
+      }).$mount(dom)
+
+      expect(vm.$children.length).toBe(1)
+      expect(vm.$children[0].$el).toBe(dom.firstChild)
+    })
+  })
 })
@@ -5,7 +5,16 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  App,
+  AppConfig,
+  AppPlugin,
+  Profiler,
+  ComponentProfile,
+  DevtoolsHook,
+  DevtoolsProtocol,
+  DevtoolsComponentNode,
+  DevtoolsInstanceState
 } from "./vue";
 
 export {
@@ -14,6 +23,9 @@ export {
   ComponentOptions,
   FunctionalComponentOptions,
   RenderContext,
+  SetupContext,
+  KeepAliveInfo,
+  HydrationStrategy,
   PropType,
   PropOptions,
   ComputedOptions,
@@ -24,6 +36,16 @@ export {
   DirectiveOptions
 } from "./options";
 
+export {
+  Ref,
+  ComputedRef,
+  WatchSource,
+  WatchCallback,
+  WatchStopHandle,
+  EffectScope,
+  DebuggerEvent
+} from "./reactivity";
+
 export {
   PluginFunction,
   PluginObject
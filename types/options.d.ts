@@ -1,5 +1,6 @@
 import { Vue, CreateElement, CombinedVueInstance } from "./vue";
 import { VNode, VNodeData, VNodeDirective, NormalizedScopedSlot } from "./vnode";
+import { DebuggerEvent } from "./reactivity";
 
 type Constructor = {
   new (...args: any[]): any;
@@ -60,6 +61,25 @@ export type ThisTypedComponentOptionsWithRecordProps<V extends Vue, Data, Method
   ComponentOptions<V, DataDef<Data, Props, V>, Methods, Computed, RecordPropsDefinition<Props>, Props> &
   ThisType<CombinedVueInstance<V, Data, Methods, Computed, Readonly<Props>>>;
 
+export type HydrationStrategy =
+  | 'visible'
+  | 'idle'
+  | 'never'
+  | { on: string | string[] }
+  | ((hydrate: () => void, el: Element) => (() => void) | void);
+
+export interface KeepAliveInfo {
+  key: string;
+  fromCache: boolean;
+}
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): void;
+}
+
 type DefaultData<V> =  object | ((this: V) => object);
 type DefaultProps = Record<string, any>;
 type DefaultMethods<V> =  { [key: string]: (this: V, ...args: any[]) => any };
@@ -77,6 +97,7 @@ export interface ComponentOptions<
   computed?: Accessors<Computed>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any> | string>;
+  setup?(this: void, props: Readonly<Props>, context: SetupContext): object | ((createElement: CreateElement) => VNode) | void;
 
   el?: Element | string;
   template?: string;
@@ -93,10 +114,13 @@ export interface ComponentOptions<
   mounted?(): void;
   beforeUpdate?(): void;
   updated?(): void;
-  activated?(): void;
-  deactivated?(): void;
+  activated?(info?: KeepAliveInfo): void;
+  deactivated?(info?: Pick<KeepAliveInfo, 'key'>): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  serverPrefetchTimeout?: number;
+  renderTracked?(event: DebuggerEvent): void;
+  renderTriggered?(event: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -119,6 +143,7 @@ export interface ComponentOptions<
   delimiters?: [string, string];
   comments?: boolean;
   inheritAttrs?: boolean;
+  hydrate?: HydrationStrategy;
 }
 
 export interface FunctionalComponentOptions<Props = DefaultProps, PropDefs = PropsDefinition<Props>> {
@@ -174,6 +199,9 @@ export type WatchHandler<T> = (val: T, oldVal: T) => void;
 export interface WatchOptions {
   deep?: boolean;
   immediate?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  onTrack?: (event: DebuggerEvent) => void;
+  onTrigger?: (event: DebuggerEvent) => void;
 }
 
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
@@ -0,0 +1,46 @@
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface ComputedRef<T = any> extends Ref<T> {
+  readonly value: T;
+}
+
+export interface WritableComputedOptions<T> {
+  get(): T;
+  set(value: T): void;
+}
+
+export type WatchSource<T = any> = Ref<T> | ComputedRef<T> | (() => T);
+
+export type WatchCallback<V = any, OV = any> = (
+  value: V,
+  oldValue: OV,
+  onCleanup: (cleanupFn: () => void) => void
+) => any;
+
+export interface WatchOptions {
+  immediate?: boolean;
+  deep?: boolean;
+  flush?: 'pre' | 'post' | 'sync';
+  onTrack?: (event: DebuggerEvent) => void;
+  onTrigger?: (event: DebuggerEvent) => void;
+}
+
+export interface DebuggerEvent {
+  target: object;
+  key: any;
+  type: 'get' | 'has' | 'iterate' | 'set' | 'add' | 'delete' | 'clear' | 'array mutation';
+  newValue?: any;
+  oldValue?: any;
+}
+
+export type WatchEffect = (onCleanup: (cleanupFn: () => void) => void) => void;
+
+export type WatchStopHandle = () => void;
+
+export interface EffectScope {
+  active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
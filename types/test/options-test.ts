@@ -169,6 +169,10 @@ Vue.component('component', {
         this.a = val
       },
       deep: true
+    },
+    'd': {
+      handler(val, oldVal) {},
+      flush: 'post'
     }
   },
   el: "#app",
@@ -244,7 +248,11 @@ Vue.component('component', {
   mounted() {},
   beforeUpdate() {},
   updated() {},
-  activated() {},
+  activated(info) {
+    if (info && info.fromCache) {
+      info.key.toUpperCase();
+    }
+  },
   deactivated() {},
   errorCaptured(err, vm, info) {
     err.message
@@ -255,6 +263,13 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  serverPrefetchTimeout: 1000,
+  renderTracked (e) {
+    console.log(e.target, e.key, e.type)
+  },
+  renderTriggered (e) {
+    console.log(e.newValue, e.oldValue)
+  },
 
   directives: {
     a: {
@@ -293,6 +308,15 @@ Vue.component('component', {
 });
 
 
+Vue.component('lazy-hydration', { hydrate: 'visible' });
+Vue.component('lazy-hydration-on-event', { hydrate: { on: ['click', 'focus'] } });
+Vue.component('lazy-hydration-custom', {
+  hydrate(hydrate, el) {
+    el.addEventListener('mouseover', hydrate);
+    return () => el.removeEventListener('mouseover', hydrate);
+  }
+});
+
 Vue.component('custom-prop-type-function', {
   props: {
     callback: Function as PropType<(confirm: boolean) => void>,
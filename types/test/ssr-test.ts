@@ -3,7 +3,7 @@ import VueSSRClientPlugin = require('../../packages/vue-server-renderer/client-p
 import VueSSRServerPlugin = require('../../packages/vue-server-renderer/server-plugin');
 import webpack = require('webpack');
 import { readFileSync } from 'fs';
-import { createRenderer, createBundleRenderer } from '../../packages/vue-server-renderer';
+import { createRenderer, createBundleRenderer, createRenderCache, SSRAsyncIterable } from '../../packages/vue-server-renderer';
 
 function createApp (context: any) {
   return new Vue({
@@ -58,13 +58,30 @@ renderer.renderToStream(app, context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+const iterable: SSRAsyncIterable<string> = renderer.renderToAsyncIterable(app, context);
+
+renderer.renderToWebStream(app, context).getReader().read().then(({ value }) => {
+  const bytes: Uint8Array = value;
+});
+
 // Bundle renderer test
-declare const cacheClient: { [key: string]: string };
+declare const cacheClient: { [key: string]: any };
 
 const bundleRenderer = createBundleRenderer('/path/to/vue-ssr-server-bundle.json', {
   inject: false,
   runInNewContext: 'once',
   basedir: '/path/to/base',
+  outOfOrder: true,
+  serverPrefetchTimeout: 3000,
+  cspHashes: true,
+  state: {
+    state: '__INITIAL_STATE__',
+    user: { windowKey: '__USER__', format: 'json' }
+  },
+  stateBudget: 100 * 1024,
+  criticalCSS: {
+    readFile: file => readFileSync(`/path/to/dist/${file}`, 'utf-8')
+  },
 
   shouldPreload: (file, type) => {
     if (type === 'script' || type === 'style') {
@@ -83,8 +100,8 @@ const bundleRenderer = createBundleRenderer('/path/to/vue-ssr-server-bundle.json
     get: key => {
       return cacheClient[key];
     },
-    set: (key, val) => {
-      cacheClient[key] = val;
+    set: (key, entry, maxAge) => {
+      cacheClient[key] = entry;
     },
     has: key => {
       return !!cacheClient[key];
@@ -115,6 +132,41 @@ bundleRenderer.renderToStream(context).on('data', chunk => {
   const html = chunk.toString();
 });
 
+const bundleIterable: SSRAsyncIterable<string> = bundleRenderer.renderToAsyncIterable(context);
+
+const response = new Response(bundleRenderer.renderToWebStream(context) as ReadableStream<Uint8Array>);
+
+// hot reload
+bundleRenderer.on('bundleUpdated', () => {
+  console.log('server bundle updated');
+});
+bundleRenderer.updateBundle('/path/to/vue-ssr-server-bundle.json', { publicPath: '/' });
+
+// early hints
+const links: string = bundleRenderer.getEarlyResources()
+  .map(hint => `<${hint.href}>; rel=${hint.rel}${hint.rel === 'preload' ? `; as=${hint.as}` : ''}`)
+  .join(', ');
+renderer.getEarlyResources(context).forEach(hint => {
+  const crossorigin: boolean | undefined = hint.crossorigin;
+});
+
+// render cache
+const renderCache = createRenderCache({ max: 500 });
+createRenderer({ cache: renderCache });
+renderCache.purge(['product:1', 'products']);
+const entry = renderCache.get('product::1');
+if (entry) {
+  const age: number = Date.now() - entry.renderedAt;
+  const tags: string[] | undefined = entry.tags;
+}
+
+createRenderer({
+  cache: {
+    get: key => Promise.resolve(undefined),
+    set: (key, entry) => {}
+  }
+});
+
 // webpack plugins
 webpack({
   plugins: [
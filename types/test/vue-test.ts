@@ -1,4 +1,4 @@
-import Vue, { VNode } from "../index";
+import Vue, { VNode, CreateElement, App } from "../index";
 import { ComponentOptions } from "../options";
 
 class Test extends Vue {
@@ -44,6 +44,11 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch("a", () => {}, { flush: "post" });
+    this.$watch("a", () => {}, {
+      onTrack: e => e.target,
+      onTrigger: e => e.type === "set" && e.newValue
+    });
     this.$on("", () => {});
     this.$once("", () => {});
     this.$off("", () => {});
@@ -75,6 +80,7 @@ class Test extends Vue {
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.hydrationMismatch = 'patch';
   }
 
   static testMethods() {
@@ -214,6 +220,86 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+// standalone reactivity API
+const state = Vue.reactive({ count: 0 })
+const count = Vue.ref(0)
+const double = Vue.computed(() => count.value * 2)
+const scope = Vue.effectScope()
+scope.run(() => {
+  Vue.watch(count, (value: number, oldValue: number | undefined) => {})
+  Vue.watch(state, (value) => { value.count++ })
+  Vue.watch([count, () => state.count], ([a, b]) => {})
+  Vue.watchEffect(onCleanup => {
+    double.value.toFixed()
+    onCleanup(() => {})
+  })
+  Vue.watchEffect(() => {}, { flush: 'sync' })
+  Vue.onScopeDispose(() => {})
+})
+scope.stop()
+Vue.unref(count).toFixed()
+
+// setup() option
+Vue.extend({
+  props: {
+    msg: String
+  },
+  setup (props, { attrs, emit, slots }) {
+    const local = Vue.ref(props.msg)
+    Vue.onMounted(() => {
+      emit('mounted', local.value)
+    })
+    Vue.onErrorCaptured((err, vm, info) => false)
+    Vue.onRenderTriggered(e => console.log(e.key, e.type))
+    return { local }
+  }
+})
+Vue.extend({
+  setup () {
+    return (h: CreateElement) => h('div')
+  }
+})
+
+// createApp()
+const app = Vue.createApp({
+  render: h => h('div')
+})
+app.config.errorHandler = (err, vm, info) => {}
+app.config.globalProperties.$http = {}
+app
+  .use((app: App, options: { foo: string }) => {}, { foo: 'bar' })
+  .use({ install (app: App) { app.provide('key', 1) } })
+  .mixin({ created () {} })
+  .component('foo', { template: '<div></div>' })
+  .directive('bar', (el, binding) => {})
+  .filter('baz', (value: string) => value)
+const mountedRoot: Vue = app.mount('#app')
+app.unmount()
+
+// profiler
+Vue.profiler.start()
+const profiles = Vue.profiler.stop()
+profiles.forEach(({ name, render, patch, updates }) => {
+  name.toUpperCase()
+  render.toFixed(patch)
+  updates.forEach(reason => reason && reason.key)
+})
+const trace: string = Vue.profiler.exportTrace()
+
+// devtools hook protocol
+const messages: string[] = []
+Vue.devtools.setHook({
+  emit (event, payload) {
+    messages.push(JSON.stringify({ event, payload, version: Vue.devtools.version }))
+  }
+})
+Vue.devtools.getComponentTree().forEach(node => node.children.length)
+const inspected = Vue.devtools.inspect(1)
+if (inspected) {
+  inspected.props.msg
+}
+Vue.devtools.setHook(null)
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
@@ -11,8 +11,21 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  KeepAliveInfo,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
+import {
+  Ref,
+  ComputedRef,
+  WritableComputedOptions,
+  WatchSource,
+  WatchCallback,
+  WatchEffect,
+  WatchStopHandle,
+  WatchOptions as WatchSourceOptions,
+  EffectScope,
+  DebuggerEvent
+} from "./reactivity";
 import { PluginFunction, PluginObject } from "./plugin";
 
 export interface CreateElement {
@@ -75,6 +88,84 @@ export interface VueConfiguration {
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
   async: boolean;
+  reactivity: 'accessor' | 'proxy';
+  hydrationMismatch: 'warn' | 'patch' | 'remount';
+}
+
+export interface AppConfig {
+  errorHandler?(err: Error, vm: Vue, info: string): void;
+  warnHandler?(msg: string, vm: Vue, trace: string): void;
+  globalProperties: Record<string, any>;
+}
+
+export type AppPlugin =
+  | { install(app: App, ...options: any[]): void }
+  | ((app: App, ...options: any[]) => void);
+
+export interface App {
+  version: string;
+  config: AppConfig;
+
+  use(plugin: AppPlugin, ...options: any[]): this;
+  mixin(mixin: ComponentOptions<Vue>): this;
+  provide(key: string | symbol, value: any): this;
+
+  component(id: string): VueConstructor | undefined;
+  component(id: string, definition: Component<any, any, any, any> | AsyncComponent<any, any, any, any>): this;
+  directive(id: string): DirectiveOptions | undefined;
+  directive(id: string, definition: DirectiveOptions | DirectiveFunction): this;
+  filter(id: string): Function | undefined;
+  filter(id: string, definition: Function): this;
+
+  mount(el?: Element | string, hydrating?: boolean): Vue;
+  unmount(): void;
+}
+
+export interface ComponentProfile {
+  uid: number;
+  name: string;
+  init: number;
+  compile: number;
+  render: number;
+  patch: number;
+  renders: number;
+  updates: ({ type: string; key: string } | null)[];
+}
+
+export interface Profiler {
+  start(): void;
+  stop(): ComponentProfile[];
+  isRecording(): boolean;
+  summary(): ComponentProfile[];
+  exportTrace(): string;
+}
+
+export interface DevtoolsHook {
+  emit(event: string, payload?: any): void;
+}
+
+export interface DevtoolsComponentNode {
+  uid: number;
+  name: string;
+  children: DevtoolsComponentNode[];
+}
+
+export interface DevtoolsInstanceState {
+  uid: number;
+  name: string;
+  parentUid: number | null;
+  props: Record<string, any>;
+  data: Record<string, any>;
+  computed: Record<string, any>;
+  injected: Record<string, any>;
+  setupState: Record<string, any>;
+}
+
+export interface DevtoolsProtocol {
+  version: number;
+  setHook(hook: DevtoolsHook | null): void;
+  getComponentTree(): DevtoolsComponentNode[];
+  inspect(uid: number): DevtoolsInstanceState | null;
 }
 
 export interface VueConstructor<V extends Vue = Vue> {
@@ -121,6 +212,42 @@ export interface VueConstructor<V extends Vue = Vue> {
 
   observable<T>(obj: T): T;
 
+  reactive<T extends object>(obj: T): T;
+  isReactive(value: any): boolean;
+  toRaw<T>(observed: T): T;
+  ref<T>(value: T): Ref<T>;
+  ref<T = any>(): Ref<T | undefined>;
+  isRef<T>(r: Ref<T> | unknown): r is Ref<T>;
+  unref<T>(ref: T | Ref<T>): T;
+  computed<T>(getter: () => T): ComputedRef<T>;
+  computed<T>(options: WritableComputedOptions<T>): Ref<T>;
+  watch<T>(source: WatchSource<T>, cb: WatchCallback<T, T | undefined>, options?: WatchSourceOptions): WatchStopHandle;
+  watch<T extends object>(source: T, cb: WatchCallback<T, T | undefined>, options?: WatchSourceOptions): WatchStopHandle;
+  watch(sources: (WatchSource | object)[], cb: WatchCallback<any[], any[] | undefined>, options?: WatchSourceOptions): WatchStopHandle;
+  watchEffect(effect: WatchEffect, options?: Pick<WatchSourceOptions, 'flush' | 'onTrack' | 'onTrigger'>): WatchStopHandle;
+  effectScope(detached?: boolean): EffectScope;
+  getCurrentScope(): EffectScope | undefined;
+  onScopeDispose(fn: () => void): void;
+
+  getCurrentInstance(): Vue | null;
+  onBeforeMount(fn: () => void): void;
+  onMounted(fn: () => void): void;
+  onBeforeUpdate(fn: () => void): void;
+  onUpdated(fn: () => void): void;
+  onBeforeUnmount(fn: () => void): void;
+  onUnmounted(fn: () => void): void;
+  onActivated(fn: (info?: KeepAliveInfo) => void): void;
+  onDeactivated(fn: (info?: Pick<KeepAliveInfo, 'key'>) => void): void;
+  onErrorCaptured(fn: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onServerPrefetch(fn: () => Promise<void>): void;
+  onRenderTracked(fn: (event: DebuggerEvent) => void): void;
+  onRenderTriggered(fn: (event: DebuggerEvent) => void): void;
+
+  createApp(rootOptions?: ComponentOptions<V>): App;
+
+  profiler: Profiler;
+  devtools: DevtoolsProtocol;
+
   config: VueConfiguration;
   version: string;
 }